@@ -0,0 +1,78 @@
+/**
+ * Token auth for the HTTP API.
+ *
+ * Every route has an access level:
+ *   public - health checks, always open
+ *   read   - /events, /ws, /history, /stats and /metrics; READ_TOKENS or ADMIN_TOKENS
+ *   admin  - everything else (subscriptions, dead letters); ADMIN_TOKENS only
+ *
+ * Tokens are sent as `Authorization: Bearer <token>` or `X-API-Key: <token>`.
+ * Read endpoints also take `?access_token=`, for clients such as EventSource
+ * that cannot set headers; admin tokens are never accepted in the URL, where
+ * they would end up in access logs.
+ *
+ * Without ADMIN_TOKENS the admin endpoints are open, and without any tokens
+ * the read endpoints are too, as before auth existed.
+ */
+
+import { createHash, timingSafeEqual } from 'crypto';
+
+const PUBLIC_PATHS = ['/health', '/health/live', '/health/ready'];
+const READ_PATHS = ['/events', '/ws', '/history', '/stats', '/metrics'];
+
+export function accessLevel(pathname) {
+  if (PUBLIC_PATHS.includes(pathname)) return 'public';
+  if (READ_PATHS.includes(pathname)) return 'read';
+  return 'admin';
+}
+
+// Tokens are compared as digests so the comparison takes constant time
+// whatever their lengths
+function digest(token) {
+  return createHash('sha256').update(token).digest();
+}
+
+export class Authenticator {
+  constructor({ config }) {
+    this.adminTokens = (config.adminTokens || []).map(digest);
+    this.readTokens = (config.readTokens || []).map(digest);
+  }
+
+  get adminOpen() {
+    return this.adminTokens.length === 0;
+  }
+
+  get readOpen() {
+    return this.adminOpen && this.readTokens.length === 0;
+  }
+
+  tokenFrom(req, searchParams, level) {
+    const authorization = req.headers.authorization || '';
+    const bearer = /^Bearer\s+(.+)$/i.exec(authorization);
+    if (bearer) return bearer[1].trim();
+    if (req.headers['x-api-key']) return String(req.headers['x-api-key']);
+    if (level === 'read') return searchParams?.get('access_token') || null;
+    return null;
+  }
+
+  /**
+   * Null when the request may access a route of the given level, otherwise
+   * the `{ status, error }` to answer with: 401 without a valid token, 403
+   * for a read token on an admin route.
+   */
+  check(req, searchParams, level) {
+    if (level === 'public') return null;
+    if (level === 'read' ? this.readOpen : this.adminOpen) return null;
+
+    const token = this.tokenFrom(req, searchParams, level);
+    if (!token) return { status: 401, error: 'Missing access token' };
+
+    const given = digest(token);
+    const matches = (tokens) => tokens.reduce((found, expected) => timingSafeEqual(given, expected) || found, false);
+    if (matches(this.adminTokens)) return null;
+    if (matches(this.readTokens)) {
+      return level === 'read' ? null : { status: 403, error: 'Read-only token' };
+    }
+    return { status: 401, error: 'Invalid access token' };
+  }
+}
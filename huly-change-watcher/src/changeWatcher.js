@@ -0,0 +1,928 @@
+/**
+ * ChangeWatcher
+ *
+ * Ties the modules together: rows from a change source (sources/) are told
+ * apart as created, updated, archived or deleted by the DocumentTracker and
+ * the periodic Reconciler, turned into events for the watched classes, and
+ * fanned out to subscribers (subscriberRegistry.js) through their delivery
+ * mode (deliveryModes.js), queue (deliveryQueue.js) and sink (sinks/), as
+ * well as to SSE, WebSocket and history clients. With LEADER_ELECTION only
+ * the elected replica does this (leaderElection.js), keeping its state in
+ * CockroachDB (databaseStore.js).
+ */
+
+import pg from 'pg';
+import { randomUUID } from 'crypto';
+import { config } from './config.js';
+import { FileCursorStore } from './cursorStore.js';
+import { FileJsonStore, MemoryJsonStore, FileJsonCollection, MemoryJsonCollection } from './jsonStore.js';
+import { DeliveryQueue, backoffDelay } from './deliveryQueue.js';
+import { DeadLetterStore } from './deadLetterStore.js';
+import { EventBatcher } from './deliveryModes.js';
+import { createEnvelope } from './eventSchema.js';
+import { compileSink, checkSinkTarget, createSink, redactUrl } from './sinks/index.js';
+import { SubscriberRegistry } from './subscriberRegistry.js';
+import { UrlPolicy } from './urlPolicy.js';
+import { EventStream } from './eventStream.js';
+import { WebSocketHub } from './webSocketHub.js';
+import { EventHistory } from './eventHistory.js';
+import { FileEventLog, MemoryEventLog } from './eventLog.js';
+import { createChangeSource } from './sources/index.js';
+import { DocumentTracker } from './documentTracker.js';
+import { Reconciler } from './reconciler.js';
+import { snapshotOf, diffSnapshots, derivedEventTypes } from './fieldDiff.js';
+import { Enricher } from './enricher.js';
+import { WatchedClassRegistry } from './watchedClasses.js';
+import { MetricsRegistry } from './metrics.js';
+import { LeaderElection } from './leaderElection.js';
+import { DatabaseJsonStore, DatabaseJsonCollection, CREATE_STATE_TABLE } from './databaseStore.js';
+
+const { Pool } = pg;
+
+export class ChangeWatcher {
+  constructor(options = {}) {
+    this.config = { ...config, ...options.config };
+    this.pool = options.pool || new Pool(this.config.db);
+    // An idle client losing its connection is only logged; the pool replaces it
+    this.pool.on?.('error', err => console.error('Idle database client error:', err.message));
+    this.cursorStore = options.cursorStore || this.stateStore('cursor', this.config.cursorFile, FileCursorStore);
+    this.registry = options.registry || WatchedClassRegistry.fromConfig(this.config);
+    this.metrics = this.defineMetrics();
+    // Newest "modifiedOn" seen per watched class, for the cursor lag gauge
+    this.lastModifiedOn = {};
+    this.source = options.source || createChangeSource(this.config.changeSource, {
+      pool: this.pool,
+      cursorStore: this.cursorStore,
+      registry: this.registry,
+      metrics: this.metrics,
+      config: this.config
+    });
+    this.tracker = new DocumentTracker();
+    this.reconciler = new Reconciler({
+      pool: this.pool,
+      tracker: this.tracker,
+      registry: this.registry,
+      toState: (name, row) => this.toState(name, row),
+      config: this.config
+    });
+    this.enricher = new Enricher({ pool: this.pool, config: this.config });
+    this.deadLetters = new DeadLetterStore({
+      store: options.deadLetterStore || this.stateStore('dead-letters', this.config.deadLetterFile),
+      config: this.config
+    });
+    this.delivery = new DeliveryQueue({
+      collection: options.deliveryCollection || this.stateCollection('delivery-queue', this.config.deliveryQueueDir),
+      send: (url, payload, delivery) => this.sendWebhook(url, payload, delivery),
+      onDeadLetter: async (delivery) => {
+        await this.deadLetters.add(delivery);
+        this.webhookSubscribers.recordDeadLetter(delivery.url);
+      },
+      config: this.config
+    });
+    this.batcher = new EventBatcher({
+      store: options.heldEventsStore || this.stateStore('held-events', this.config.heldEventsFile),
+      flush: (url, events) => this.delivery.enqueue(url, createEnvelope(events))
+    });
+    this.subscribers = new EventStream({ config: this.config });
+    this.webSockets = new WebSocketHub({ stream: this.subscribers, config: this.config });
+    this.history = new EventHistory({
+      log: options.historyLog || (this.config.historyFile
+        ? new FileEventLog(this.config.historyFile)
+        : new MemoryEventLog()),
+      config: this.config
+    });
+    this.subscribers.listen((entry) => this.history.record(entry));
+    this.webhookSubscribers = new SubscriberRegistry({
+      store: options.subscriberStore || this.stateStore('subscribers', this.config.subscribersFile),
+      config: this.config
+    });
+    this.urlPolicy = new UrlPolicy({ config: this.config, ...(options.lookup ? { lookup: options.lookup } : {}) });
+    // Open sinks by subscriber URL; `sinkClients` replaces broker connectors (see sinks/)
+    this.sinks = new Map();
+    this.sinkClients = options.sinkClients || {};
+    this.election = this.config.leaderElection
+      ? new LeaderElection({
+        pool: this.pool,
+        config: this.config,
+        // Not awaited: the first reconcile pass can outlast a lease renewal.
+        // A replica that cannot lead gives the lease up for another to take.
+        onElected: () => {
+          this.lead().catch((err) => {
+            console.error('Failed to start as leader:', err.message);
+            return this.election.resign(`failed to start: ${err.message}`);
+          }).catch(err => console.error('Failed to step down:', err.message));
+        },
+        onDemoted: () => this.stepDown()
+      })
+      : null;
+    this.isRunning = false;
+    this.isLeading = false;
+    this.isStopped = false;
+    // Taking and giving up leadership run one after the other
+    this.transition = Promise.resolve();
+    this.stats = {
+      changesDetected: 0,
+      webhooksSent: 0,
+      errors: 0
+    };
+  }
+
+  // Persisted state lives in CockroachDB rows shared by the replicas
+  // (STATE_STORE=database), else in its file, or in memory without one
+  stateStore(name, filePath, File = FileJsonStore) {
+    if (this.config.stateStore === 'database') {
+      return new DatabaseJsonStore({ pool: this.pool, name, fence: this.stateFence() });
+    }
+    return filePath ? new File(filePath) : new MemoryJsonStore();
+  }
+
+  // The same for state kept per subscriber, a document (or file) each
+  stateCollection(name, dirPath) {
+    if (this.config.stateStore === 'database') {
+      return new DatabaseJsonCollection({ pool: this.pool, name, fence: this.stateFence() });
+    }
+    return dirPath ? new FileJsonCollection(dirPath) : new MemoryJsonCollection();
+  }
+
+  // Under leader election, shared state is only written while leading
+  stateFence() {
+    return this.config.leaderElection
+      ? () => ({ lease: this.config.leaderLeaseName, holder: this.config.instanceId, token: this.election.token })
+      : null;
+  }
+
+  /**
+   * Prometheus metrics served on /metrics. Gauges mirroring state kept
+   * elsewhere are collected at scrape time.
+   */
+  defineMetrics() {
+    const registry = new MetricsRegistry({ prefix: 'huly_change_watcher_' });
+    const metrics = {
+      registry,
+      pollDuration: registry.histogram({
+        name: 'poll_duration_seconds',
+        help: 'Duration of each poll of the watched classes'
+      }),
+      rowsScanned: registry.counter({
+        name: 'rows_scanned_total',
+        help: 'Rows read from the database by the change source',
+        labelNames: ['table']
+      }),
+      eventsEmitted: registry.counter({
+        name: 'events_emitted_total',
+        help: 'Events emitted to subscribers',
+        labelNames: ['type']
+      }),
+      deliveries: registry.counter({
+        name: 'webhook_deliveries_total',
+        help: 'Webhook delivery attempts by outcome (success or failure)',
+        labelNames: ['subscriber', 'outcome']
+      }),
+      deliveryDuration: registry.histogram({
+        name: 'webhook_delivery_duration_seconds',
+        help: 'Duration of webhook delivery attempts',
+        labelNames: ['subscriber']
+      })
+    };
+
+    registry.gauge({
+      name: 'webhook_queue_depth',
+      help: 'Deliveries waiting in each subscriber queue',
+      labelNames: ['subscriber'],
+      collect: (gauge) => {
+        for (const subscriber of this.webhookSubscribers.list()) {
+          gauge.set({ subscriber: subscriber.id }, this.delivery.pending(subscriber.url));
+        }
+      }
+    });
+    registry.gauge({
+      name: 'suspended_subscribers',
+      help: 'Webhook subscribers suspended after repeated delivery failures',
+      collect: (gauge) => gauge.set({}, this.webhookSubscribers.list().filter(subscriber => subscriber.suspendedAt).length)
+    });
+    registry.gauge({
+      name: 'dead_letters',
+      help: 'Deliveries that exhausted their retries',
+      collect: (gauge) => gauge.set({}, this.deadLetters.size)
+    });
+    registry.gauge({
+      name: 'history_events',
+      help: 'Events retained in the history log',
+      collect: (gauge) => gauge.set({}, this.history.size)
+    });
+    registry.gauge({
+      name: 'sse_clients',
+      help: 'Connected SSE clients',
+      collect: (gauge) => gauge.set({}, this.subscribers.size)
+    });
+    registry.gauge({
+      name: 'websocket_clients',
+      help: 'Connected WebSocket clients',
+      collect: (gauge) => gauge.set({}, this.webSockets.size)
+    });
+    registry.gauge({
+      name: 'cursor_lag_seconds',
+      help: 'Time since the newest "modifiedOn" observed for each watched class',
+      labelNames: ['class'],
+      collect: (gauge) => {
+        for (const [name, modifiedOn] of Object.entries(this.lastModifiedOn)) {
+          gauge.set({ class: name }, Math.max(0, Date.now() - modifiedOn) / 1000);
+        }
+      }
+    });
+    return metrics;
+  }
+
+  async start() {
+    console.log('Starting Huly Change Watcher...');
+    console.log(`Change source: ${this.config.changeSource}`);
+    console.log(`Watched classes: ${this.registry.names().join(', ')}`);
+    console.log(`Poll interval: ${this.config.pollInterval}ms`);
+    console.log(`Webhook URLs: ${this.config.webhookUrls.join(', ')}`);
+
+    for (let attempt = 1; !this.isStopped; attempt++) {
+      try {
+        await this.initialize();
+        return;
+      } catch (err) {
+        this.isRunning = false;
+        await this.election?.stop();
+        const delay = backoffDelay(attempt, {
+          baseMs: this.config.startupRetryBaseMs,
+          maxMs: this.config.startupRetryMaxMs
+        });
+        console.error(`Failed to start (attempt ${attempt}): ${err.message}; retrying in ${delay}ms`);
+        await new Promise(resolve => {
+          this.wakeRetry = resolve;
+          this.retryTimer = setTimeout(resolve, delay);
+        });
+      }
+    }
+  }
+
+  /**
+   * One startup attempt: connect, restore state, then lead or stand for
+   * election. start() retries it with backoff until it succeeds or the
+   * watcher is stopped; the HTTP server is already up meanwhile, reporting
+   * not ready.
+   */
+  async initialize() {
+    const client = await this.pool.connect();
+    console.log('Connected to CockroachDB');
+    client.release();
+
+    this.isRunning = true;
+    if (this.config.stateStore === 'database') {
+      await this.pool.query(CREATE_STATE_TABLE);
+    }
+    await this.loadState();
+    await this.history.load();
+    // Ids come from the clock; keep them past history recorded before a clock step back
+    this.subscribers.lastId = Math.max(this.subscribers.lastId, this.history.lastId);
+    if (this.isStopped) return;
+    if (this.election) {
+      console.log(`Leader election enabled as ${this.config.instanceId}`);
+      await this.election.start();
+    } else {
+      await this.lead();
+    }
+  }
+
+  async loadState() {
+    await this.webhookSubscribers.load();
+    for (const subscriber of this.webhookSubscribers.list()) {
+      this.updateQueueState(subscriber);
+    }
+    await this.deadLetters.load();
+    await this.batcher.load();
+  }
+
+  // Start polling, reconciling and delivering; on election, or at startup
+  // when leader election is off. Rejects if starting fails part way; what
+  // did start is stopped again.
+  lead() {
+    this.transition = this.transition.catch(() => {}).then(async () => {
+      try {
+        await this.startLeading();
+      } catch (err) {
+        await this.stopLeading();
+        throw err;
+      }
+    });
+    return this.transition;
+  }
+
+  async startLeading() {
+    if (!this.isRunning || (this.election && !this.election.isLeader())) return;
+    this.isLeading = true;
+    // Demoted while starting up: stepDown() waits for this to return
+    const demoted = () => !this.isLeading;
+    if (this.election) {
+      // Taking over: the previous leader's subscriptions and dead letters
+      await this.loadState();
+      if (demoted()) return;
+    }
+    await this.webhookSubscribers.saveSeeded();
+    await this.delivery.start();
+    this.batcher.start();
+    if (this.config.reconcileInterval > 0) {
+      // The first pass only primes the tracker with every existing document
+      await this.reconcile();
+    }
+    if (demoted()) return;
+    this.scheduleProbe();
+    await this.source.start(
+      (changes) => this.handleChanges(changes),
+      () => this.stats.errors++
+    );
+  }
+
+  // Stop everything only the leader may do, once a lead() in progress has
+  // returned; pending deliveries stay queued, along with the events held for
+  // batched and coalesced subscribers
+  stepDown() {
+    this.isLeading = false;
+    this.transition = this.transition.catch(() => {}).then(() => this.stopLeading());
+    return this.transition;
+  }
+
+  async stopLeading() {
+    this.isLeading = false;
+    clearTimeout(this.reconcileTimer);
+    clearTimeout(this.probeTimer);
+    await this.source.stop();
+    await this.batcher.flushAll().catch(err => console.error('Failed to queue batched events:', err.message));
+    this.batcher.stop();
+    this.delivery.stop();
+    await this.delivery.documents.saving;
+    await Promise.all([...this.sinks.keys()].map(url => this.closeSink(url)));
+  }
+
+  get role() {
+    if (!this.election) return 'standalone';
+    return this.election.isLeader() ? 'leader' : 'standby';
+  }
+
+  /**
+   * Readiness for /health/ready: started, the change source healthy and not
+   * too far behind, and the pool not exhausted. Each check reports its
+   * observed value so a failing probe says why. A standby runs no source, so
+   * only the leader's source is checked.
+   */
+  getReadiness() {
+    const checks = {
+      running: { ok: this.isRunning }
+    };
+    if (this.isLeading) {
+      const sourceStats = this.source.getStats();
+      const consecutiveErrors = sourceStats.consecutiveErrors ?? 0;
+      const cursorLagMs = sourceStats.cursorLagMs ?? null;
+      checks.consecutiveErrors = {
+        ok: consecutiveErrors <= this.config.readyMaxConsecutiveErrors,
+        value: consecutiveErrors,
+        max: this.config.readyMaxConsecutiveErrors
+      };
+      checks.cursorLag = {
+        ok: cursorLagMs === null || cursorLagMs <= this.config.readyMaxCursorLagMs,
+        valueMs: cursorLagMs,
+        maxMs: this.config.readyMaxCursorLagMs
+      };
+    }
+    // pg.Pool keeps these counters; callers waiting with every client busy
+    // means queries are queueing behind an exhausted pool
+    if (this.pool.waitingCount !== undefined) {
+      const max = this.pool.options?.max ?? 10;
+      checks.pool = {
+        ok: !(this.pool.waitingCount > 0 && this.pool.totalCount >= max && this.pool.idleCount === 0),
+        total: this.pool.totalCount,
+        idle: this.pool.idleCount,
+        waiting: this.pool.waitingCount,
+        max
+      };
+    }
+
+    return { ready: Object.values(checks).every(check => check.ok), checks };
+  }
+
+  // Called by the change source with each batch; resolving lets the source
+  // advance its durable cursor past these changes
+  async handleChanges(changes) {
+    this.stats.changesDetected += changes.length;
+    await this.loadTracked(changes);
+    const events = [];
+    const enrichable = [];
+    for (const change of changes) {
+      const modifiedOn = Number(change.row.modifiedOn);
+      if (change.entry && modifiedOn > (this.lastModifiedOn[change.entry] ?? 0)) {
+        this.lastModifiedOn[change.entry] = modifiedOn;
+      }
+      const changeEvents = this.toEvents(change);
+      events.push(...changeEvents);
+      if (change.entry && this.registry.get(change.entry).enrich) {
+        enrichable.push(...changeEvents);
+      }
+    }
+    if (events.length > 0) {
+      await this.enricher.enrich(enrichable);
+      await this.emitWebhooks(events);
+    }
+  }
+
+  async reconcile() {
+    try {
+      const deleted = await this.reconciler.run();
+      if (deleted.length > 0) {
+        console.log(`Reconciliation found ${deleted.length} deleted documents`);
+        await this.emitWebhooks(deleted.map(({ entry, state }) => this.deletionEvent(entry, state)));
+      }
+    } catch (err) {
+      console.error('Reconciliation error:', err.message);
+      this.stats.errors++;
+    }
+
+    if (this.isRunning && this.isLeading) {
+      this.reconcileTimer = setTimeout(() => this.reconcile(), this.config.reconcileInterval);
+    }
+  }
+
+  // Load the documents the tracker knows only from a listing, for the
+  // changes about to be classified against them
+  async loadTracked(changes) {
+    const stubs = new Map();
+    for (const { entry: name, table, row } of changes) {
+      const candidates = name ? [name] : this.registry.forTable(table).map(entry => entry.name);
+      for (const candidate of candidates) {
+        const state = this.tracker.get(candidate, row.id);
+        if (!state?.stub) continue;
+        if (!stubs.has(candidate)) stubs.set(candidate, []);
+        stubs.get(candidate).push(state);
+      }
+    }
+
+    for (const [name, states] of stubs) {
+      for (const state of await this.reconciler.load(name, states)) {
+        if (!state.stub) this.tracker.set(name, state.id, state);
+      }
+    }
+  }
+
+  // Classify a change against what the tracker last saw of the document
+  toEvents({ entry: name, table, row, deleted }) {
+    if (deleted) {
+      // Changefeed deletions only know the table; the tracker knows the entry
+      const candidates = name ? [name] : this.registry.forTable(table).map(entry => entry.name);
+      for (const candidate of candidates) {
+        const state = this.tracker.delete(candidate, row.id);
+        if (state) return [this.deletionEvent(candidate, state)];
+      }
+      return [];
+    }
+
+    const entry = this.registry.get(name);
+    const previous = this.tracker.get(name, row.id);
+    const state = this.toState(name, row);
+    this.tracker.set(name, row.id, state);
+
+    const created = Number(row.createdOn) === Number(row.modifiedOn) ||
+      (!previous && this.tracker.isPrimed(name));
+    if (created) {
+      return [this.mapRow(name, row, 'created')];
+    }
+    if (entry.archivable) {
+      // A document only known from a listing that could not be loaded may
+      // have been archived already
+      const archived = state.archived && previous && !previous.stub && !previous.archived;
+      return [this.mapRow(name, row, archived ? 'archived' : 'updated')];
+    }
+
+    const event = this.mapRow(name, row, 'updated');
+    if (!entry.diff || !previous?.snapshot) {
+      return [event];
+    }
+
+    const changes = diffSnapshots(previous.snapshot, state.snapshot);
+    event.changes = changes;
+    const derived = derivedEventTypes(entry.eventPrefix(row.class), changes)
+      .map(({ type, field }) => ({ ...event, type, changes: { [field]: changes[field] } }));
+    return [event, ...derived];
+  }
+
+  // Compact per-document state kept by the tracker
+  toState(name, row) {
+    const entry = this.registry.get(name);
+    const state = {
+      class: row.class,
+      space: row.space,
+      modifiedOn: Number(row.modifiedOn)
+    };
+    for (const key of entry.summary) {
+      state[key] = row[key] ?? null;
+    }
+    if (entry.archivable) state.archived = Boolean(row.archived);
+    if (entry.diff) state.snapshot = snapshotOf(row);
+    return state;
+  }
+
+  mapRow(name, row, action = 'updated') {
+    const entry = this.registry.get(name);
+    const data = { id: row.id, class: row.class, space: row.space };
+    for (const { key } of entry.fields) {
+      data[key] = row[key] ?? null;
+    }
+    // INT8 columns arrive as strings
+    data.modifiedOn = Number(row.modifiedOn);
+    data.modifiedBy = row.modifiedBy;
+
+    return {
+      type: `${entry.eventPrefix(row.class)}.${action}`,
+      timestamp: Date.now(),
+      data
+    };
+  }
+
+  deletionEvent(name, state) {
+    const entry = this.registry.get(name);
+    const data = { id: state.id, class: state.class, space: state.space };
+    for (const key of entry.summary) {
+      data[key] = state[key];
+    }
+    data.modifiedOn = Number(state.modifiedOn);
+    return {
+      type: `${entry.eventPrefix(state.class)}.deleted`,
+      timestamp: Date.now(),
+      data
+    };
+  }
+
+  // Queue the events each webhook subscriber's filter selects; resolves once
+  // the queues are persisted, not when the subscribers have received them.
+  // Batched and coalesced subscribers' events are held until their batch
+  // completes. Suspended subscribers keep queueing, to receive once resumed.
+  async emitWebhooks(changes) {
+    for (const event of changes) {
+      this.metrics.eventsEmitted.inc({ type: event.type });
+    }
+
+    // Also notify SSE subscribers
+    this.notifySubscribers(changes);
+
+    await Promise.all(this.webhookSubscribers.list().map((subscriber) => {
+      if (!subscriber.enabled) return null;
+      const events = changes.filter(event => this.webhookSubscribers.matches(subscriber, event));
+      if (events.length === 0) return null;
+      return this.batcher.add(subscriber.url, subscriber.delivery, events);
+    }));
+  }
+
+  // A single delivery attempt; throws unless the sink accepts the whole
+  // payload (a webhook subscriber answers 2xx)
+  async sendWebhook(url, payload, delivery) {
+    // Fencing: a leader whose lease may have lapsed must not deliver
+    if (this.election && !this.election.isLeader()) {
+      throw new Error('Not the leader');
+    }
+    // Labelled by subscription id: URLs may carry secrets in their path or query
+    const label = this.webhookSubscribers.findByUrl(url)?.id ?? 'unknown';
+    const started = process.hrtime.bigint();
+    const elapsedMs = () => Number(process.hrtime.bigint() - started) / 1e6;
+    const observe = (outcome) => {
+      this.metrics.deliveries.inc({ subscriber: label, outcome });
+      this.metrics.deliveryDuration.observe({ subscriber: label }, elapsedMs() / 1000);
+    };
+    let statusCode;
+    try {
+      statusCode = await this.deliverTo(url, payload, delivery.id);
+    } catch (err) {
+      observe('failure');
+      this.recordAttempt(url, { error: err, statusCode: err.statusCode ?? null, latencyMs: elapsedMs() });
+      throw err;
+    }
+
+    observe('success');
+    this.recordAttempt(url, { statusCode, latencyMs: elapsedMs() });
+    this.stats.webhooksSent++;
+    console.log(`Webhook sent to ${redactUrl(url)}: ${payload.events.length} events`);
+  }
+
+  // Hand a payload to the subscriber's sink in its format; resolves with the
+  // HTTP status for webhooks (null for other sinks)
+  async deliverTo(url, payload, deliveryId) {
+    const subscriber = this.webhookSubscribers.findByUrl(url);
+    const addresses = subscriber?.source === 'api' ? await checkSinkTarget(url, subscriber.sink, this) : null;
+    return this.sinkFor(url).send(payload, { deliveryId, format: subscriber?.format ?? 'native', addresses });
+  }
+
+  // The open sink for a subscriber URL, created on first use
+  sinkFor(url) {
+    let sink = this.sinks.get(url);
+    if (!sink) {
+      const subscriber = this.webhookSubscribers.findByUrl(url);
+      sink = createSink(url, subscriber?.sink ?? compileSink(url), {
+        config: this.config,
+        urlPolicy: subscriber?.source === 'api' ? this.urlPolicy : null,
+        clients: this.sinkClients,
+        secrets: () => {
+          const current = this.webhookSubscribers.findByUrl(url);
+          return current ? this.webhookSubscribers.activeSecrets(current) : [];
+        },
+        headers: () => (this.election ? { 'X-Huly-Fencing-Token': String(this.election.token) } : {})
+      });
+      this.sinks.set(url, sink);
+    }
+    return sink;
+  }
+
+  async closeSink(url) {
+    const sink = this.sinks.get(url);
+    if (!sink) return;
+    this.sinks.delete(url);
+    try {
+      await sink.close();
+    } catch (err) {
+      console.error(`Failed to close sink for ${redactUrl(url)}:`, err.message);
+    }
+  }
+
+  // Update the subscriber's health, suspending it after too many failures
+  recordAttempt(url, result) {
+    const subscriber = this.webhookSubscribers.recordDelivery(url, result);
+    const threshold = this.config.subscriberSuspendAfter;
+    if (!result.error || !subscriber || subscriber.suspendedAt || threshold <= 0) return;
+
+    if (subscriber.stats.consecutiveFailures >= threshold) {
+      this.webhookSubscribers.suspend(subscriber.id, `${threshold} consecutive failed deliveries (last: ${result.error.message})`);
+      this.updateQueueState(subscriber);
+      this.persistSubscribers();
+      console.warn(`Webhook subscriber suspended after ${threshold} consecutive failures: ${redactUrl(url)}`);
+    }
+  }
+
+  scheduleProbe() {
+    if (this.config.subscriberProbeIntervalMs > 0) {
+      this.probeTimer = setTimeout(() => this.probeSuspended(), this.config.subscriberProbeIntervalMs);
+      this.probeTimer.unref?.();
+    }
+  }
+
+  /**
+   * Probe each suspended subscriber through its sink: webhooks are sent an
+   * empty, signed payload marked with `probe: true` and an `X-Huly-Probe`
+   * header, broker and file sinks check they can reach their target. Those
+   * that pass are resumed and their queued deliveries continue.
+   */
+  async probeSuspended() {
+    const suspended = this.webhookSubscribers.list().filter(subscriber => subscriber.suspendedAt);
+    for (const subscriber of suspended) {
+      if (!this.isLeading || (this.election && !this.election.isLeader())) break;
+      try {
+        const addresses = subscriber.source === 'api' ? await checkSinkTarget(subscriber.url, subscriber.sink, this) : null;
+        await this.sinkFor(subscriber.url).probe({ deliveryId: randomUUID(), format: subscriber.format, addresses });
+      } catch (err) {
+        this.webhookSubscribers.recordProbe(subscriber.id, err);
+        console.error(`Probe of suspended subscriber ${redactUrl(subscriber.url)} failed: ${err.message}`);
+        continue;
+      }
+      this.webhookSubscribers.recordProbe(subscriber.id);
+      this.webhookSubscribers.unsuspend(subscriber.id);
+      this.updateQueueState(subscriber);
+      this.persistSubscribers();
+      console.log(`Webhook subscriber recovered, resuming deliveries: ${redactUrl(subscriber.url)}`);
+    }
+
+    if (this.isRunning && this.isLeading) {
+      this.scheduleProbe();
+    }
+  }
+
+  // Dead letters, optionally only those of one subscriber, given by its
+  // subscription id or URL
+  listDeadLetters({ subscriber = null } = {}) {
+    const url = subscriber && (this.webhookSubscribers.get(subscriber)?.url ?? subscriber);
+    return this.deadLetters.list({ subscriber: url });
+  }
+
+  /**
+   * Re-queue dead letters for delivery, either the given ids or every dead
+   * letter (optionally only those of one subscriber). Replayed deliveries
+   * keep their id and join the back of the subscriber's queue. Dead letters
+   * of a subscription that no longer exists have nowhere to go; they are
+   * skipped and kept.
+   */
+  async replayDeadLetters({ ids = null, subscriber = null } = {}) {
+    const entries = ids
+      ? ids.map(id => this.deadLetters.get(id)).filter(Boolean)
+      : this.listDeadLetters({ subscriber });
+    const replayable = entries.filter(entry => this.webhookSubscribers.findByUrl(entry.url));
+    const skipped = entries.length - replayable.length;
+
+    for (const entry of replayable) {
+      await this.delivery.enqueue(entry.url, entry.payload, { id: entry.id });
+    }
+    await this.deadLetters.remove(replayable.map(entry => entry.id));
+    if (replayable.length > 0) {
+      console.log(`Replaying ${replayable.length} dead letters`);
+    }
+    if (skipped > 0) {
+      console.warn(`Skipped ${skipped} dead letters of subscriptions that no longer exist`);
+    }
+    return { success: true, replayed: replayable.length, skipped };
+  }
+
+  // Webhook subscription management. Webhooks get a secret unless one is
+  // given; it is only returned when it is created or rotated. Re-subscribing
+  // an existing URL updates its filter, delivery mode, payload format, sink
+  // options and description and, given a secret, rotates to it. Throws on an
+  // invalid URL, filter, mode, format or sink options.
+  addWebhookSubscriber(url, { secret = null, filter, delivery, format, sink, description } = {}) {
+    const existing = this.webhookSubscribers.findByUrl(url);
+    if (existing) {
+      const changes = {};
+      if (filter !== undefined) changes.filter = filter;
+      if (delivery !== undefined) changes.delivery = delivery;
+      if (format !== undefined) changes.format = format;
+      if (sink !== undefined) changes.sink = sink;
+      if (description !== undefined) changes.description = description;
+      this.updateSubscription(existing.id, changes);
+      const result = secret ? this.rotateWebhookSecret(url, { secret }) : { success: true };
+      return {
+        ...result,
+        id: existing.id,
+        subscriberCount: this.webhookSubscribers.size,
+        filter: existing.filter,
+        delivery: existing.delivery,
+        format: existing.format,
+        sink: existing.sink
+      };
+    }
+
+    const subscriber = this.webhookSubscribers.create({ url, secret, filter, delivery, format, sink, description });
+    this.persistSubscribers();
+    console.log(`Webhook subscriber added: ${redactUrl(url)}`);
+    return {
+      success: true,
+      id: subscriber.id,
+      subscriberCount: this.webhookSubscribers.size,
+      secret: subscriber.secret,
+      filter: subscriber.filter,
+      delivery: subscriber.delivery,
+      format: subscriber.format,
+      sink: subscriber.sink
+    };
+  }
+
+  // Throws unless a subscription made through the API may use this URL with
+  // these sink options (by default the current or default ones);
+  // WEBHOOK_URLS subscribers are configured by the operator and exempt
+  async checkSubscriberUrl(url, sink = null) {
+    const existing = this.webhookSubscribers.findByUrl(url);
+    if (existing?.source === 'env') return;
+    await checkSinkTarget(url, compileSink(url, sink ?? existing?.sink ?? null), this);
+  }
+
+  removeWebhookSubscriber(url) {
+    const subscriber = this.webhookSubscribers.findByUrl(url);
+    if (subscriber) this.deleteSubscription(subscriber.id);
+    return { success: Boolean(subscriber), subscriberCount: this.webhookSubscribers.size };
+  }
+
+  rotateWebhookSecret(url, options = {}) {
+    const existing = this.webhookSubscribers.findByUrl(url);
+    if (!existing) {
+      return { success: false, error: `Unknown subscriber ${url}` };
+    }
+
+    const subscriber = this.webhookSubscribers.rotateSecret(existing.id, options);
+    this.persistSubscribers();
+    console.log(`Webhook secret rotated: ${redactUrl(url)}`);
+    return { success: true, secret: subscriber.secret, previousSecretExpiresAt: subscriber.previousSecretExpiresAt };
+  }
+
+  listWebhookSubscribers() {
+    return this.webhookSubscribers.list().map(subscriber => subscriber.url);
+  }
+
+  // Health of every subscriber, as listed by GET /subscribers
+  listSubscriberHealth() {
+    return this.webhookSubscribers.list().map(subscriber => ({
+      id: subscriber.id,
+      url: subscriber.url,
+      enabled: subscriber.enabled,
+      pendingDeliveries: this.delivery.pending(subscriber.url),
+      ...this.webhookSubscribers.health(subscriber)
+    }));
+  }
+
+  // Subscriptions by id, as exposed under /subscriptions
+  listSubscriptions() {
+    return this.webhookSubscribers.list().map(subscriber => this.describeSubscription(subscriber));
+  }
+
+  getSubscription(id) {
+    const subscriber = this.webhookSubscribers.get(id);
+    return subscriber ? this.describeSubscription(subscriber) : null;
+  }
+
+  // Apply a PATCH (description, enabled, filter, delivery, format, sink); null
+  // for an unknown id, throws on an invalid change. Disabling pauses the
+  // subscriber's queue; events held under the old delivery mode are sent
+  // when it changes, and new sink options take effect on the next delivery.
+  updateSubscription(id, changes) {
+    const subscriber = this.webhookSubscribers.update(id, changes);
+    if (!subscriber) return null;
+
+    if (changes.delivery !== undefined) {
+      this.batcher.flush(subscriber.url).catch(err => console.error(`Failed to queue batched events for ${redactUrl(subscriber.url)}:`, err.message));
+    }
+    if (changes.sink !== undefined) {
+      this.closeSink(subscriber.url);
+    }
+    this.updateQueueState(subscriber);
+    this.persistSubscribers();
+    console.log(`Webhook subscription updated: ${redactUrl(subscriber.url)}`);
+    return this.describeSubscription(subscriber);
+  }
+
+  // Deliveries wait while a subscription is disabled or suspended
+  updateQueueState(subscriber) {
+    if (subscriber.enabled && !subscriber.suspendedAt) {
+      this.delivery.resume(subscriber.url);
+    } else {
+      this.delivery.pause(subscriber.url);
+    }
+  }
+
+  deleteSubscription(id) {
+    const subscriber = this.webhookSubscribers.remove(id);
+    if (!subscriber) return null;
+
+    const { url } = subscriber;
+    this.persistSubscribers();
+    console.log(`Webhook subscriber removed: ${redactUrl(url)}`);
+    this.batcher.discard(url);
+    this.closeSink(url);
+    this.delivery.remove(url).catch(err => console.error(`Failed to drop queued deliveries for ${redactUrl(url)}:`, err.message));
+    return this.describeSubscription(subscriber);
+  }
+
+  describeSubscription(subscriber) {
+    return {
+      ...this.webhookSubscribers.describe(subscriber),
+      pendingDeliveries: this.delivery.pending(subscriber.url),
+      heldEvents: this.batcher.pending(subscriber.url)
+    };
+  }
+
+  persistSubscribers() {
+    this.webhookSubscribers.persist().catch(err => console.error('Failed to save subscribers:', err.message));
+  }
+
+  // SSE support for real-time subscribers (see eventStream.js)
+  addSubscriber(res, options) {
+    return this.subscribers.connect(res, options);
+  }
+
+  notifySubscribers(changes) {
+    this.subscribers.publish(changes);
+  }
+
+  getStats() {
+    return {
+      ...this.stats,
+      sseSubscriberCount: this.subscribers.size,
+      sseBufferedEvents: this.subscribers.buffer.length,
+      sseSlowConsumersDisconnected: this.subscribers.stats.slowConsumersDisconnected,
+      wsClientCount: this.webSockets.size,
+      wsSlowConsumersDisconnected: this.webSockets.stats.slowConsumersDisconnected,
+      webhookSubscriberCount: this.webhookSubscribers.size,
+      pendingDeliveries: this.delivery.getStats().pending,
+      deliveryFailures: this.delivery.stats.failedAttempts,
+      deliveriesDropped: this.delivery.stats.dropped,
+      deliveriesOverflowed: this.delivery.stats.overflowed,
+      deadLetters: this.deadLetters.size,
+      historyEvents: this.history.size,
+      trackedDocuments: this.tracker.size,
+      enrichmentLookups: this.enricher.stats.lookups,
+      enrichmentErrors: this.enricher.stats.lookupErrors,
+      reconciliations: this.reconciler.runs,
+      ...this.source.getStats(),
+      role: this.role,
+      ...(this.election ? this.election.getStats() : {}),
+      isRunning: this.isRunning
+    };
+  }
+
+  async stop() {
+    this.isRunning = false;
+    this.isStopped = true;
+    clearTimeout(this.retryTimer);
+    this.wakeRetry?.();
+    await this.stepDown();
+    // Saved before the lease is released, while the saves are still fenced by it
+    await this.webhookSubscribers.flush().catch(err => console.error('Failed to save subscribers:', err.message));
+    await this.election?.stop();
+    this.subscribers.stop();
+    this.webSockets.stop();
+    await this.history.flush();
+    this.pool.end();
+  }
+}
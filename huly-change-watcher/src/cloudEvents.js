@@ -0,0 +1,107 @@
+/**
+ * Payload formats a webhook subscriber can choose:
+ *   native                 - the `{ source, schemaVersion, timestamp, events }`
+ *                            envelope (see eventSchema.js), the default
+ *   cloudevents-structured - CloudEvents 1.0 structured mode: one
+ *                            `application/cloudevents+json` event, or an
+ *                            `application/cloudevents-batch+json` array when
+ *                            a payload holds several
+ *   cloudevents-binary     - CloudEvents 1.0 binary mode: one request per
+ *                            event, attributes in `ce-*` headers
+ *
+ * Each CloudEvent's `data` is the watcher event exactly as in the native
+ * envelope, described by `dataschema`. `type` is the event type behind
+ * CLOUDEVENTS_TYPE_PREFIX (`io.huly.issue.updated`), `source` is
+ * CLOUDEVENTS_SOURCE, `subject` the document id, and `id` is derived from the
+ * delivery id, so it stays the same across retries and replays and receivers
+ * can deduplicate on it. A failed request fails the whole delivery, so in
+ * binary mode a retry may resend events that were already accepted.
+ *
+ * Sinks other than webhooks (see sinks/) carry one message per event, in the
+ * native or the structured format.
+ */
+
+import { EVENT_SCHEMA_ID } from './eventSchema.js';
+
+export const PAYLOAD_FORMATS = ['native', 'cloudevents-structured', 'cloudevents-binary'];
+
+export function validateFormat(format) {
+  if (!PAYLOAD_FORMATS.includes(format)) {
+    throw new Error(`Payload format must be one of: ${PAYLOAD_FORMATS.join(', ')}`);
+  }
+  return format;
+}
+
+export function toCloudEvent(event, { id, source, typePrefix }) {
+  return {
+    specversion: '1.0',
+    id,
+    source,
+    type: `${typePrefix}${event.type}`,
+    ...(event.data?.id ? { subject: String(event.data.id) } : {}),
+    time: new Date(event.timestamp).toISOString(),
+    datacontenttype: 'application/json',
+    dataschema: EVENT_SCHEMA_ID,
+    data: event
+  };
+}
+
+/**
+ * The HTTP requests, as `{ headers, body }`, that deliver a native payload in
+ * the given format. Probes (empty payloads) are sent as a single event of
+ * type `<prefix>probe` in the CloudEvents formats.
+ */
+export function encodePayload(payload, { format = 'native', deliveryId, source, typePrefix }) {
+  if (format === 'native') {
+    return [{ headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(payload) }];
+  }
+
+  const cloudEvents = payload.probe
+    ? [{
+      specversion: '1.0',
+      id: deliveryId,
+      source,
+      type: `${typePrefix}probe`,
+      time: new Date(payload.timestamp).toISOString(),
+      datacontenttype: 'application/json',
+      data: null
+    }]
+    : payload.events.map((event, index) => toCloudEvent(event, { id: `${deliveryId}:${index}`, source, typePrefix }));
+
+  if (format === 'cloudevents-structured') {
+    return cloudEvents.length === 1
+      ? [{ headers: { 'Content-Type': 'application/cloudevents+json' }, body: JSON.stringify(cloudEvents[0]) }]
+      : [{ headers: { 'Content-Type': 'application/cloudevents-batch+json' }, body: JSON.stringify(cloudEvents) }];
+  }
+
+  return cloudEvents.map(({ data, datacontenttype, ...attributes }) => {
+    const headers = { 'Content-Type': datacontenttype };
+    for (const [name, value] of Object.entries(attributes)) {
+      headers[`ce-${name}`] = value;
+    }
+    return { headers, body: JSON.stringify(data) };
+  });
+}
+
+/**
+ * One message per event, for sinks that carry events individually:
+ * `{ id, type, key, contentType, body }`, where `key` is the document id and
+ * the body is the event or, in cloudevents-structured format, the CloudEvent
+ * wrapping it. Ids are derived from the delivery id as in encodePayload.
+ */
+export function encodeMessages(payload, { format = 'native', deliveryId, source, typePrefix }) {
+  if (format === 'cloudevents-binary') {
+    throw new Error('Payload format cloudevents-binary is only supported by http sinks');
+  }
+  return payload.events.map((event, index) => {
+    const id = `${deliveryId}:${index}`;
+    const structured = format === 'cloudevents-structured';
+    return {
+      id,
+      type: event.type,
+      key: event.data?.id != null ? String(event.data.id) : null,
+      contentType: structured ? 'application/cloudevents+json' : 'application/json',
+      body: JSON.stringify(structured ? toCloudEvent(event, { id, source, typePrefix }) : event)
+    };
+  });
+}
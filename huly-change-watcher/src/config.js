@@ -0,0 +1,122 @@
+/**
+ * Runtime configuration for the change watcher, read from the environment.
+ */
+
+import os from 'os';
+
+export const config = {
+  // CockroachDB connection
+  db: {
+    host: process.env.COCKROACH_HOST || 'cockroachdb',
+    port: parseInt(process.env.COCKROACH_PORT || '26257'),
+    database: process.env.COCKROACH_DATABASE || 'defaultdb',
+    user: process.env.COCKROACH_USER || 'root',
+    password: process.env.COCKROACH_PASSWORD || '',
+    ssl: false
+  },
+  // Where changes come from: 'polling' or 'changefeed' (CockroachDB sinkless changefeed)
+  changeSource: process.env.CHANGE_SOURCE || 'polling',
+  // Interval between changefeed resolved timestamps, which are the durable cursor
+  changefeedResolvedInterval: process.env.CHANGEFEED_RESOLVED_INTERVAL || '5s',
+  // Names of the watched classes to enable (see watchedClasses.js); empty enables all
+  watchedClasses: (process.env.WATCHED_CLASSES || '').split(',').map(name => name.trim()).filter(Boolean),
+  // JSON file of extra watched class definitions, or overrides of the defaults by name
+  watchedClassesFile: process.env.WATCHED_CLASSES_FILE || null,
+  // Polling interval in ms
+  pollInterval: parseInt(process.env.POLL_INTERVAL || '5000'),
+  // Rows fetched per keyset page; a poll keeps paging until a short page
+  pageSize: parseInt(process.env.PAGE_SIZE || '100'),
+  // Overlap (ms) re-read behind the cursor each poll to catch late commits
+  lookbackMs: parseInt(process.env.CURSOR_LOOKBACK_MS || '10000'),
+  // Interval (ms) between full id listings used to detect deleted documents; 0 disables
+  reconcileInterval: parseInt(process.env.RECONCILE_INTERVAL || '60000'),
+  // How long (ms) resolved status names, project identifiers and assignee emails are cached
+  enrichmentCacheTtl: parseInt(process.env.ENRICHMENT_CACHE_TTL || '300000'),
+  // Webhook endpoints to notify
+  webhookUrls: (process.env.WEBHOOK_URLS || 'http://huly-vibe-sync:3000/webhook').split(',').map(url => url.trim()).filter(Boolean),
+  // HMAC secret for the WEBHOOK_URLS subscribers; their deliveries are unsigned when empty
+  webhookSecret: process.env.WEBHOOK_SECRET || null,
+  // Tokens for the management endpoints (subscriptions, dead letters); they are open when empty
+  adminTokens: (process.env.ADMIN_TOKENS || '').split(',').map(token => token.trim()).filter(Boolean),
+  // Read-only tokens for /events, /ws, /history, /stats and /metrics (admin tokens work there too)
+  readTokens: (process.env.READ_TOKENS || '').split(',').map(token => token.trim()).filter(Boolean),
+  // Hosts or CIDR ranges API subscriptions may use even though they are not public, and
+  // hosts or ranges they may never use (see urlPolicy.js)
+  subscriberUrlAllow: (process.env.SUBSCRIBER_URL_ALLOW || '').split(',').map(entry => entry.trim()).filter(Boolean),
+  subscriberUrlDeny: (process.env.SUBSCRIBER_URL_DENY || '').split(',').map(entry => entry.trim()).filter(Boolean),
+  // File webhook subscriptions (including those made via the API) are persisted to
+  subscribersFile: process.env.SUBSCRIBERS_FILE || '/data/subscribers.json',
+  // How long (ms) the previous secret keeps signing deliveries after a rotation
+  secretRotationGraceMs: parseInt(process.env.SECRET_ROTATION_GRACE_MS || String(24 * 60 * 60 * 1000)),
+  // Defaults for batched delivery: events per payload, and the longest (ms) the first one waits
+  batchMaxEvents: parseInt(process.env.BATCH_MAX_EVENTS || '100'),
+  batchMaxWaitMs: parseInt(process.env.BATCH_MAX_WAIT_MS || '5000'),
+  // File events held for batched and coalesced subscribers are persisted to until their batch is queued
+  heldEventsFile: process.env.HELD_EVENTS_FILE || '/data/held-events.json',
+  // Default window (ms) within which coalesced delivery collapses updates to a document
+  coalesceWindowMs: parseInt(process.env.COALESCE_WINDOW_MS || '10000'),
+  // Consecutive failed delivery attempts after which a subscriber is suspended; 0 never suspends
+  subscriberSuspendAfter: parseInt(process.env.SUBSCRIBER_SUSPEND_AFTER || '20'),
+  // Interval (ms) between probes of suspended subscribers
+  subscriberProbeIntervalMs: parseInt(process.env.SUBSCRIBER_PROBE_INTERVAL_MS || '60000'),
+  // CloudEvents `source`, and the prefix of `type` before the event type, for subscribers using CloudEvents
+  cloudEventsSource: process.env.CLOUDEVENTS_SOURCE || '/huly-change-watcher',
+  cloudEventsTypePrefix: process.env.CLOUDEVENTS_TYPE_PREFIX ?? 'io.huly.',
+  // Directory file sinks made through the API must write under; empty disables them for API subscriptions
+  fileSinkDir: process.env.FILE_SINK_DIR ?? '/data/sinks',
+  // Directory pending webhook deliveries are persisted to (a file per subscriber), so they survive restarts
+  deliveryQueueDir: process.env.DELIVERY_QUEUE_DIR || '/data/delivery-queue',
+  // Deliveries a subscriber may have pending before the oldest are dead-lettered; 0 for no limit
+  deliveryQueueMaxPending: parseInt(process.env.DELIVERY_QUEUE_MAX_PENDING || '1000'),
+  // Attempts per webhook delivery before it is given up on
+  deliveryMaxAttempts: parseInt(process.env.DELIVERY_MAX_ATTEMPTS || '10'),
+  // First retry delay (ms); doubles with every failed attempt, with jitter
+  deliveryBackoffMs: parseInt(process.env.DELIVERY_BACKOFF_MS || '1000'),
+  // Upper bound (ms) for the retry delay
+  deliveryMaxBackoffMs: parseInt(process.env.DELIVERY_MAX_BACKOFF_MS || '300000'),
+  // File deliveries that exhausted their retries are kept in for replay
+  deadLetterFile: process.env.DEAD_LETTER_FILE || '/data/dead-letters.json',
+  // Dead letters kept; the oldest are discarded beyond this
+  deadLetterMax: parseInt(process.env.DEAD_LETTER_MAX || '10000'),
+  // File every emitted event is appended to for GET /history
+  historyFile: process.env.HISTORY_FILE || '/data/history.ndjson',
+  // How long (ms) emitted events are kept for GET /history; 0 disables the history
+  historyRetentionMs: parseInt(process.env.HISTORY_RETENTION_MS || String(7 * 24 * 60 * 60 * 1000)),
+  // Events kept for GET /history, all held in memory; the oldest are dropped beyond this (0 for no cap)
+  historyMaxEvents: parseInt(process.env.HISTORY_MAX_EVENTS || '50000'),
+  // Recent events kept for SSE clients resuming with Last-Event-ID
+  sseReplayBufferSize: parseInt(process.env.SSE_REPLAY_BUFFER_SIZE || '1000'),
+  // Interval (ms) of SSE keep-alive comments; 0 disables them
+  sseHeartbeatMs: parseInt(process.env.SSE_HEARTBEAT_MS || '15000'),
+  // Unsent bytes a lagging SSE client may accumulate before it is disconnected
+  sseMaxBufferBytes: parseInt(process.env.SSE_MAX_BUFFER_BYTES || String(1024 * 1024)),
+  // Unacknowledged events a /ws subscription with acks may have before it is disconnected
+  wsMaxUnacked: parseInt(process.env.WS_MAX_UNACKED || '1000'),
+  // Unsent bytes a lagging /ws client may accumulate before it is disconnected
+  wsMaxBufferBytes: parseInt(process.env.WS_MAX_BUFFER_BYTES || String(1024 * 1024)),
+  // First and maximum delay (ms) between startup attempts (connecting, restoring state, starting to lead)
+  startupRetryBaseMs: parseInt(process.env.STARTUP_RETRY_BASE_MS || '1000'),
+  startupRetryMaxMs: parseInt(process.env.STARTUP_RETRY_MAX_MS || '30000'),
+  // /health/ready fails after this many consecutive poll (or changefeed) errors
+  readyMaxConsecutiveErrors: parseInt(process.env.READY_MAX_CONSECUTIVE_ERRORS || '3'),
+  // /health/ready fails when the source's cursor lags further behind now (ms)
+  readyMaxCursorLagMs: parseInt(process.env.READY_MAX_CURSOR_LAG_MS || '300000'),
+  // Elect a single leader among replicas through a lease row; only the leader polls and emits
+  leaderElection: process.env.LEADER_ELECTION === 'true',
+  // Name of this replica in the lease row
+  instanceId: process.env.INSTANCE_ID || `${os.hostname()}-${process.pid}`,
+  // Lease row shared by the replicas of one deployment
+  leaderLeaseName: process.env.LEADER_LEASE_NAME || 'huly-change-watcher',
+  // How long (ms) a lease lasts without renewal, and how often (ms) it is renewed or contested
+  leaderLeaseTtlMs: parseInt(process.env.LEADER_LEASE_TTL_MS || '15000'),
+  leaderLeaseRenewMs: parseInt(process.env.LEADER_LEASE_RENEW_MS || '5000'),
+  // Where the cursor, subscriptions, delivery queues, held events and dead letters are kept: `file` (the
+  // *_FILE settings) or `database`, shared by the replicas (the default with LEADER_ELECTION)
+  stateStore: process.env.STATE_STORE || (process.env.LEADER_ELECTION === 'true' ? 'database' : 'file'),
+  // HTTP server port
+  port: parseInt(process.env.PORT || '3459'),
+  // File the poll cursor is persisted to so restarts resume where they left off
+  cursorFile: process.env.CURSOR_FILE || '/data/cursor.json',
+  // How far back (ms) a restart may replay; older cursors are clamped to this window
+  maxCatchupMs: parseInt(process.env.MAX_CATCHUP_MS || String(24 * 60 * 60 * 1000))
+};
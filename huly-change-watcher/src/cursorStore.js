@@ -0,0 +1,11 @@
+/**
+ * Durable storage for the change watcher's poll cursor.
+ *
+ * The cursor records, per watched class, the last ("modifiedOn", _id) pair
+ * that was emitted. FileCursorStore writes it atomically through
+ * FileJsonStore; without a file it is kept in a MemoryJsonStore.
+ */
+
+import { FileJsonStore } from './jsonStore.js';
+
+export class FileCursorStore extends FileJsonStore {}
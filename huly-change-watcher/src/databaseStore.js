@@ -0,0 +1,124 @@
+/**
+ * Watcher state kept in CockroachDB next to the leader lease
+ * (STATE_STORE=database), so a replica taking over as leader resumes from
+ * its predecessor's cursor, subscriptions, delivery queues, held events and
+ * dead letters rather than from files of its own.
+ *
+ * Each document is one JSONB row, keyed by name; the documents of a
+ * collection are named `<collection>/<key>`. With a `fence`, a save (or
+ * removal) only applies while the lease is still held with the given fencing
+ * token, so a deposed leader can never overwrite its successor's state.
+ */
+
+import { LEASE_TABLE } from './leaderElection.js';
+
+export const STATE_TABLE = 'huly_change_watcher_state';
+
+export const CREATE_STATE_TABLE = `
+  CREATE TABLE IF NOT EXISTS ${STATE_TABLE} (
+    name STRING PRIMARY KEY,
+    value JSONB NOT NULL,
+    saved_at TIMESTAMPTZ NOT NULL DEFAULT now()
+  )
+`;
+
+export const LOAD_STATE_QUERY = `SELECT value FROM ${STATE_TABLE} WHERE name = $1`;
+
+// Every document of a collection; $1 is `<collection>/%`
+export const LOAD_STATE_COLLECTION_QUERY = `SELECT value FROM ${STATE_TABLE} WHERE name LIKE $1`;
+
+export const SAVE_STATE_QUERY = `
+  UPSERT INTO ${STATE_TABLE} (name, value, saved_at) VALUES ($1, $2::JSONB, now())
+`;
+
+// Writes nothing unless the lease is ours, with this token, and unexpired
+export const SAVE_FENCED_STATE_QUERY = `
+  UPSERT INTO ${STATE_TABLE} (name, value, saved_at)
+  SELECT $1, $2::JSONB, now() FROM ${LEASE_TABLE}
+  WHERE name = $3 AND holder = $4 AND token = $5
+    AND expires_at >= (extract(epoch FROM now()) * 1000)::INT8
+`;
+
+export const DELETE_STATE_QUERY = `DELETE FROM ${STATE_TABLE} WHERE name = $1`;
+
+export const DELETE_FENCED_STATE_QUERY = `
+  DELETE FROM ${STATE_TABLE} WHERE name = $1 AND EXISTS (
+    SELECT 1 FROM ${LEASE_TABLE}
+    WHERE name = $2 AND holder = $3 AND token = $4
+      AND expires_at >= (extract(epoch FROM now()) * 1000)::INT8
+  )
+`;
+
+export class DatabaseJsonStore {
+  /**
+   * `fence` returns `{ lease, holder, token }` for the lease saves are
+   * fenced by, with a null token while this replica is not the leader.
+   */
+  constructor({ pool, name, fence = null }) {
+    this.pool = pool;
+    this.name = name;
+    this.fence = fence;
+  }
+
+  async load() {
+    const result = await this.pool.query(LOAD_STATE_QUERY, [this.name]);
+    return result.rows[0]?.value ?? null;
+  }
+
+  async save(value) {
+    const body = JSON.stringify(value);
+    if (!this.fence) {
+      await this.pool.query(SAVE_STATE_QUERY, [this.name, body]);
+      return;
+    }
+
+    const { lease, holder, token } = this.fence();
+    if (token === null) {
+      throw new Error(`Not the leader, ${this.name} not saved`);
+    }
+    const result = await this.pool.query(SAVE_FENCED_STATE_QUERY, [this.name, body, lease, holder, token]);
+    if (result.rowCount === 0) {
+      throw new Error(`Leader lease lost, ${this.name} not saved`);
+    }
+  }
+
+  // A fenced removal that finds nothing may have lost the lease or had
+  // nothing to remove; either way there is nothing left to do
+  async remove() {
+    if (!this.fence) {
+      await this.pool.query(DELETE_STATE_QUERY, [this.name]);
+      return;
+    }
+
+    const { lease, holder, token } = this.fence();
+    if (token === null) {
+      throw new Error(`Not the leader, ${this.name} not removed`);
+    }
+    await this.pool.query(DELETE_FENCED_STATE_QUERY, [this.name, lease, holder, token]);
+  }
+}
+
+export class DatabaseJsonCollection {
+  constructor({ pool, name, fence = null }) {
+    this.pool = pool;
+    this.name = name;
+    this.fence = fence;
+  }
+
+  storeFor(key) {
+    return new DatabaseJsonStore({ pool: this.pool, name: `${this.name}/${key}`, fence: this.fence });
+  }
+
+  async loadAll() {
+    const result = await this.pool.query(LOAD_STATE_COLLECTION_QUERY, [`${this.name}/%`]);
+    return result.rows.map(row => row.value);
+  }
+
+  save(key, value) {
+    return this.storeFor(key).save(value);
+  }
+
+  remove(key) {
+    return this.storeFor(key).remove();
+  }
+}
@@ -0,0 +1,81 @@
+/**
+ * Dead-letter store for webhook deliveries that exhausted their retries.
+ *
+ * Dead letters keep the original payload so an operator can re-drive them
+ * through the delivery queue once the subscriber is healthy again
+ * (`POST /deadletters/:id/replay`). The store is capped at DEAD_LETTER_MAX
+ * entries; the oldest are discarded first.
+ */
+
+import { JsonDocument } from './jsonStore.js';
+
+export class DeadLetterStore {
+  constructor({ store, config }) {
+    this.document = new JsonDocument(store, 'dead letters');
+    this.config = config;
+    this.entries = new Map();
+    this.discarded = 0;
+  }
+
+  async load() {
+    const saved = await this.document.load();
+    if (saved === undefined) return;
+
+    this.entries.clear();
+    for (const entry of saved?.deadLetters || []) {
+      this.entries.set(entry.id, entry);
+    }
+  }
+
+  // Record a delivery that was given up on
+  async add(delivery) {
+    const entry = {
+      id: delivery.id,
+      url: delivery.url,
+      payload: delivery.payload,
+      attempts: delivery.attempts,
+      createdAt: delivery.createdAt,
+      failedAt: Date.now(),
+      lastError: delivery.lastError
+    };
+    this.entries.set(entry.id, entry);
+
+    // Maps iterate in insertion order, so the first keys are the oldest
+    for (const id of this.entries.keys()) {
+      if (this.entries.size <= this.config.deadLetterMax) break;
+      this.entries.delete(id);
+      this.discarded++;
+    }
+
+    await this.persist();
+    return entry;
+  }
+
+  list({ subscriber = null } = {}) {
+    const entries = Array.from(this.entries.values());
+    return subscriber ? entries.filter(entry => entry.url === subscriber) : entries;
+  }
+
+  get(id) {
+    return this.entries.get(id) || null;
+  }
+
+  async remove(ids) {
+    let removed = 0;
+    for (const id of ids) {
+      if (this.entries.delete(id)) removed++;
+    }
+    if (removed > 0) {
+      await this.persist();
+    }
+    return removed;
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+
+  persist() {
+    return this.document.save({ deadLetters: Array.from(this.entries.values()), savedAt: Date.now() });
+  }
+}
@@ -0,0 +1,311 @@
+/**
+ * Per-subscriber webhook delivery modes.
+ *
+ * A subscription's `delivery` spec decides how its events are grouped into
+ * webhook payloads:
+ *   { mode: 'immediate' }
+ *       One payload per batch of changes, as soon as it is seen (default).
+ *   { mode: 'batched', maxEvents, maxWaitMs }
+ *       Events are held until `maxEvents` have gathered or `maxWaitMs` has
+ *       passed since the first of them, then sent together.
+ *   { mode: 'coalesced', windowMs }
+ *       Events are held for `windowMs` and collapsed per document first (see
+ *       coalesceEvents), so rapid successive edits arrive as one event.
+ * A mode name alone ('batched') takes the defaults from BATCH_MAX_EVENTS,
+ * BATCH_MAX_WAIT_MS and COALESCE_WINDOW_MS.
+ *
+ * Held events are persisted before `add` resolves, so the change source only
+ * moves its cursor past events that are durably held, and are restored on
+ * the next start (or by the next leader) with what is left of their wait.
+ * They enter the persistent delivery queue when their batch is flushed; the
+ * watcher flushes every batch when it stops or steps down as leader.
+ */
+
+import { JsonDocument, MemoryJsonStore } from './jsonStore.js';
+
+export const DELIVERY_MODES = ['immediate', 'batched', 'coalesced'];
+
+// Wait before retrying a batch that could not be queued
+const REQUEUE_DELAY_MS = 5000;
+
+const MODE_OPTIONS = {
+  immediate: {},
+  batched: { maxEvents: 'batchMaxEvents', maxWaitMs: 'batchMaxWaitMs' },
+  coalesced: { windowMs: 'coalesceWindowMs' }
+};
+
+/**
+ * Validate a delivery spec and return it normalized, with defaults from the
+ * config filled in. Missing means immediate.
+ */
+export function compileDeliveryMode(spec = null, config = {}) {
+  if (spec === null || spec === undefined) return { mode: 'immediate' };
+  const given = typeof spec === 'string' ? { mode: spec } : spec;
+  if (typeof given !== 'object' || Array.isArray(given)) {
+    throw new Error('Delivery must be a mode name or an object');
+  }
+  if (!DELIVERY_MODES.includes(given.mode)) {
+    throw new Error(`Delivery mode must be one of: ${DELIVERY_MODES.join(', ')}`);
+  }
+
+  const options = MODE_OPTIONS[given.mode];
+  const unknown = Object.keys(given).filter(key => key !== 'mode' && !(key in options));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown options for ${given.mode} delivery: ${unknown.join(', ')}`);
+  }
+
+  const compiled = { mode: given.mode };
+  for (const [key, configKey] of Object.entries(options)) {
+    const value = given[key] ?? config[configKey];
+    if (!Number.isInteger(value) || value <= 0) {
+      throw new Error(`Delivery "${key}" must be a positive integer`);
+    }
+    compiled[key] = value;
+  }
+  return compiled;
+}
+
+// Field diffs applied one after the other; fields that ended up where they
+// started are dropped
+function mergeChanges(earlier = {}, later = {}) {
+  const merged = { ...earlier };
+  for (const [field, { to }] of Object.entries(later)) {
+    merged[field] = { from: field in earlier ? earlier[field].from : later[field].from, to };
+  }
+  for (const [field, { from, to }] of Object.entries(merged)) {
+    if (from === to) delete merged[field];
+  }
+  return merged;
+}
+
+function actionOf(event) {
+  return event.type.slice(event.type.lastIndexOf('.') + 1);
+}
+
+/**
+ * Collapse events that concern the same document (by `data.id`):
+ *  - updates become one `*.updated` carrying the latest data and the merged
+ *    `changes` diff; granular events (`issue.status_changed`, ...) are merged
+ *    per field the same way, and dropped when the field ends up unchanged
+ *  - anything following a `*.created` in the same window is folded into it,
+ *    which then carries the latest data
+ *  - a `*.deleted` discards the document's pending updates
+ * Merged events count what they replace in `coalesced`. Events keep the order
+ * in which their document first appeared.
+ */
+export function coalesceEvents(events) {
+  const merged = new Map();
+  const keysByDocument = new Map();
+  let anonymous = 0;
+
+  for (const event of events) {
+    const id = event.data?.id;
+    if (id === undefined || id === null) {
+      merged.set(`anonymous:${anonymous++}`, event);
+      continue;
+    }
+    if (!keysByDocument.has(id)) keysByDocument.set(id, new Set());
+    const keys = keysByDocument.get(id);
+    const action = actionOf(event);
+    const creation = merged.get(JSON.stringify([id, 'created']));
+
+    if (action === 'deleted') {
+      for (const key of keys) {
+        if (key === JSON.stringify([id, 'created'])) continue;
+        merged.delete(key);
+        keys.delete(key);
+      }
+    } else if (creation) {
+      creation.data = event.data;
+      creation.coalesced = (creation.coalesced || 1) + 1;
+      continue;
+    }
+
+    // Granular events carry a single-field diff and are merged per field
+    const derived = event.changes && action !== 'updated' && action !== 'created';
+    const key = JSON.stringify([id, derived ? `field:${Object.keys(event.changes)[0]}` : action]);
+    const existing = merged.get(key);
+    if (!existing) {
+      merged.set(key, { ...event });
+      keys.add(key);
+      continue;
+    }
+
+    existing.type = event.type;
+    existing.timestamp = event.timestamp;
+    existing.data = event.data;
+    if (existing.changes || event.changes) {
+      existing.changes = mergeChanges(existing.changes, event.changes);
+    }
+    existing.coalesced = (existing.coalesced || 1) + 1;
+    if (derived && Object.keys(existing.changes).length === 0) {
+      merged.delete(key);
+      keys.delete(key);
+    }
+  }
+
+  return Array.from(merged.values());
+}
+
+/**
+ * Holds events per subscriber URL according to its delivery mode and hands
+ * each completed batch to `flush(url, events)`. Batches only complete on
+ * their timers once started.
+ */
+export class EventBatcher {
+  constructor({ flush, store = new MemoryJsonStore() }) {
+    this.flushBatch = flush;
+    this.document = new JsonDocument(store, 'held events');
+    this.buffers = new Map();
+    this.isRunning = false;
+  }
+
+  // Restore the persisted held events, replacing those in memory
+  async load() {
+    const saved = await this.document.load();
+    if (saved === undefined) return;
+
+    for (const buffer of this.buffers.values()) clearTimeout(buffer.timer);
+    this.buffers.clear();
+    for (const [url, { delivery, events, heldSince }] of Object.entries(saved?.buffers || {})) {
+      if (events.length > 0) {
+        this.buffers.set(url, { delivery, events, heldSince, timer: null });
+      }
+    }
+  }
+
+  // Complete held batches when their wait is up
+  start() {
+    this.isRunning = true;
+    for (const url of this.buffers.keys()) this.arm(url);
+  }
+
+  stop() {
+    this.isRunning = false;
+    for (const buffer of this.buffers.values()) {
+      clearTimeout(buffer.timer);
+      buffer.timer = null;
+    }
+  }
+
+  /**
+   * Resolves once the events are durably held, and any batch they complete
+   * has been queued. Otherwise the events are taken out again and it
+   * rejects, so the caller can retry them without leaving duplicates held.
+   */
+  async add(url, delivery, events) {
+    if (delivery.mode === 'immediate') {
+      return this.flushBatch(url, events);
+    }
+
+    let buffer = this.buffers.get(url);
+    if (!buffer) {
+      buffer = { delivery, events: [], heldSince: Date.now(), timer: null };
+      this.buffers.set(url, buffer);
+    }
+    buffer.events.push(...events);
+
+    const flushes = [];
+    if (delivery.mode === 'batched') {
+      while (buffer.events.length >= delivery.maxEvents) {
+        const batch = buffer.events.splice(0, delivery.maxEvents);
+        flushes.push(this.queueBatch(url, { delivery, events: batch, heldSince: buffer.heldSince }, batch));
+      }
+    }
+
+    if (buffer.events.length === 0) {
+      clearTimeout(buffer.timer);
+      this.buffers.delete(url);
+    } else {
+      this.arm(url);
+    }
+
+    try {
+      await this.persist();
+      await Promise.all(flushes);
+    } catch (err) {
+      const current = this.buffers.get(url);
+      if (current) {
+        current.events = current.events.filter(event => !events.includes(event));
+        if (current.events.length === 0) {
+          clearTimeout(current.timer);
+          this.buffers.delete(url);
+        }
+      }
+      this.persist().catch(() => {});
+      throw err;
+    }
+  }
+
+  // Arm the timer completing a subscriber's batch, counted from its first
+  // event unless a delay is given
+  arm(url, delay = null) {
+    const buffer = this.buffers.get(url);
+    if (!this.isRunning || !buffer || buffer.timer) return;
+    const { delivery } = buffer;
+    const wait = delivery.mode === 'batched' ? delivery.maxWaitMs : delivery.windowMs;
+    buffer.timer = setTimeout(() => {
+      buffer.timer = null;
+      this.flush(url).catch(err => console.error(`Failed to queue batched events for ${url}:`, err.message));
+    }, delay ?? Math.max(0, buffer.heldSince + wait - Date.now()));
+    buffer.timer.unref?.();
+  }
+
+  // Send whatever is held for a subscriber now; events that cannot be queued
+  // stay held
+  async flush(url) {
+    const buffer = this.buffers.get(url);
+    if (!buffer) return;
+    clearTimeout(buffer.timer);
+    this.buffers.delete(url);
+
+    const events = buffer.delivery.mode === 'coalesced' ? coalesceEvents(buffer.events) : buffer.events;
+    if (events.length > 0) {
+      await this.queueBatch(url, buffer, events);
+    }
+    await this.persist();
+  }
+
+  // Hand a completed batch to the delivery queue; if that fails, the events
+  // it was made of are held again, ahead of any held since
+  async queueBatch(url, held, events) {
+    try {
+      await this.flushBatch(url, events);
+    } catch (err) {
+      const current = this.buffers.get(url);
+      if (current) {
+        current.events.unshift(...held.events);
+        current.heldSince = Math.min(current.heldSince, held.heldSince);
+      } else {
+        this.buffers.set(url, { delivery: held.delivery, events: [...held.events], heldSince: held.heldSince, timer: null });
+      }
+      this.arm(url, REQUEUE_DELAY_MS);
+      throw err;
+    }
+  }
+
+  flushAll() {
+    return Promise.all(Array.from(this.buffers.keys()).map(url => this.flush(url)));
+  }
+
+  // Drop what is held for a subscriber that has gone away
+  discard(url) {
+    const buffer = this.buffers.get(url);
+    if (!buffer) return;
+    clearTimeout(buffer.timer);
+    this.buffers.delete(url);
+    this.persist().catch(err => console.error('Failed to save held events:', err.message));
+  }
+
+  persist() {
+    const buffers = {};
+    for (const [url, { delivery, events, heldSince }] of this.buffers) {
+      buffers[url] = { delivery, events, heldSince };
+    }
+    return this.document.save({ buffers, savedAt: Date.now() });
+  }
+
+  pending(url) {
+    return this.buffers.get(url)?.events.length || 0;
+  }
+}
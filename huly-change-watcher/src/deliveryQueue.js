@@ -0,0 +1,262 @@
+/**
+ * Persistent outbound webhook queue
+ *
+ * Every subscriber URL has its own FIFO of deliveries. Only the head of a
+ * queue is ever in flight, so a subscriber receives batches strictly in the
+ * order they were emitted. A delivery is acknowledged (and removed) only when
+ * `send` resolves, i.e. the subscriber answered 2xx; otherwise it is retried
+ * with exponential backoff and jitter until DELIVERY_MAX_ATTEMPTS is reached,
+ * after which it is handed to `onDeadLetter` and the queue moves on.
+ *
+ * Each queue is persisted after every change to it, as its own document, so
+ * deliveries pending when the watcher stops are resumed on the next start
+ * and a busy queue does not rewrite everyone else's. A paused queue keeps
+ * accepting deliveries but sends nothing until it is resumed. A queue holds
+ * at most DELIVERY_QUEUE_MAX_PENDING deliveries; beyond that the oldest are
+ * dead-lettered, so a subscriber that never comes back (or stays suspended)
+ * cannot grow its queue without bound.
+ */
+
+import { createHash, randomUUID } from 'crypto';
+import { JsonDocumentSet } from './jsonStore.js';
+
+// Name of a subscriber URL's document: URLs are neither file-name safe nor
+// fit to appear in them
+function queueKey(url) {
+  return createHash('sha256').update(url).digest('hex');
+}
+
+/**
+ * Delay before the next attempt: base * 2^(attempts - 1), capped at max, with
+ * "equal jitter" (a random point in the upper half of the window) so that
+ * subscribers recovering together are not retried in lockstep.
+ */
+export function backoffDelay(attempts, { baseMs, maxMs }, random = Math.random) {
+  const window = Math.min(maxMs, baseMs * 2 ** (attempts - 1));
+  return Math.round(window / 2 + random() * (window / 2));
+}
+
+export class DeliveryQueue {
+  constructor({ collection, send, config, onDeadLetter = null }) {
+    this.documents = new JsonDocumentSet(collection, 'delivery queues');
+    this.send = send;
+    this.onDeadLetter = onDeadLetter;
+    this.config = config;
+    this.queues = new Map();
+    this.timers = new Map();
+    this.active = new Set();
+    this.paused = new Set();
+    this.trimming = new Set();
+    this.isRunning = false;
+    this.stats = {
+      delivered: 0,
+      failedAttempts: 0,
+      dropped: 0,
+      overflowed: 0
+    };
+  }
+
+  // Restore persisted queues, replacing those in memory, and resume
+  // delivering them
+  async start() {
+    const saved = await this.documents.load();
+    if (saved !== undefined) this.queues.clear();
+
+    for (const { url, deliveries } of saved || []) {
+      if (deliveries.length > 0) {
+        this.queues.set(url, deliveries);
+        console.log(`Resuming ${deliveries.length} pending deliveries to ${url}`);
+      }
+    }
+
+    this.isRunning = true;
+    for (const url of this.queues.keys()) {
+      this.schedule(url);
+    }
+  }
+
+  /**
+   * Append a payload to a subscriber's queue. Resolves once the queue has
+   * been persisted, so callers can treat the payload as durably accepted;
+   * if persisting fails the payload is taken out again and it rejects, so a
+   * caller retrying the same events does not leave duplicates queued.
+   * A queue pushed over its cap is trimmed afterwards.
+   */
+  async enqueue(url, payload, { id = randomUUID() } = {}) {
+    const now = Date.now();
+    const delivery = {
+      id,
+      url,
+      payload,
+      attempts: 0,
+      createdAt: now,
+      nextAttemptAt: now,
+      lastError: null
+    };
+    if (!this.queues.has(url)) {
+      this.queues.set(url, []);
+    }
+    const queue = this.queues.get(url);
+    queue.push(delivery);
+
+    try {
+      await this.persist(url);
+    } catch (err) {
+      // A drain in progress may have sent it already; the caller's retry then
+      // delivers it twice, which at-least-once delivery allows
+      const index = queue.indexOf(delivery);
+      if (index !== -1) queue.splice(index, 1);
+      if (queue.length === 0 && this.queues.get(url) === queue) {
+        this.queues.delete(url);
+      }
+      throw err;
+    }
+    this.schedule(url);
+    await this.trim(url);
+    return delivery;
+  }
+
+  // Dead-letter the oldest deliveries beyond DELIVERY_QUEUE_MAX_PENDING; one
+  // in flight is left to finish. Failing to is only logged: the payloads are
+  // still queued, and the next enqueue tries again.
+  async trim(url) {
+    const max = this.config.deliveryQueueMaxPending;
+    const queue = this.queues.get(url);
+    if (!(max > 0) || !queue || queue.length <= max || this.trimming.has(url)) return;
+
+    this.trimming.add(url);
+    let trimmed = 0;
+    try {
+      while (this.queues.get(url) === queue && queue.length > max) {
+        const delivery = queue[this.active.has(url) ? 1 : 0];
+        delivery.lastError = `More than ${max} deliveries pending`;
+        // Dead-lettered before it leaves the queue, as in drain()
+        if (this.onDeadLetter) await this.onDeadLetter(delivery);
+        const index = queue.indexOf(delivery);
+        if (index !== -1) queue.splice(index, 1);
+        this.stats.overflowed++;
+        trimmed++;
+      }
+      await this.persist(url);
+    } catch (err) {
+      console.error(`Failed to trim the delivery queue for ${url}:`, err.message);
+    } finally {
+      this.trimming.delete(url);
+    }
+    if (trimmed > 0) {
+      console.warn(`Dead-lettered ${trimmed} deliveries to ${url}: more than ${max} pending`);
+    }
+  }
+
+  // Drop everything pending for a subscriber that has gone away
+  async remove(url) {
+    clearTimeout(this.timers.get(url));
+    this.timers.delete(url);
+    this.paused.delete(url);
+    if (this.queues.delete(url)) {
+      await this.persist(url);
+    }
+  }
+
+  // Hold a subscriber's deliveries; one already in flight still completes
+  pause(url) {
+    this.paused.add(url);
+    clearTimeout(this.timers.get(url));
+    this.timers.delete(url);
+  }
+
+  resume(url) {
+    if (this.paused.delete(url)) {
+      this.schedule(url);
+    }
+  }
+
+  pending(url) {
+    return this.queues.get(url)?.length || 0;
+  }
+
+  // Arm a timer for when the head of the queue is next due
+  schedule(url) {
+    if (!this.isRunning || this.paused.has(url) || this.active.has(url) || this.timers.has(url)) return;
+    const head = this.queues.get(url)?.[0];
+    if (!head) return;
+
+    const delay = Math.max(0, head.nextAttemptAt - Date.now());
+    this.timers.set(url, setTimeout(() => {
+      this.timers.delete(url);
+      this.drain(url);
+    }, delay));
+  }
+
+  // Deliver the queue head by head until it is empty or a delivery must wait
+  async drain(url) {
+    this.active.add(url);
+    try {
+      while (this.isRunning && !this.paused.has(url)) {
+        const queue = this.queues.get(url);
+        const delivery = queue?.[0];
+        if (!delivery || delivery.nextAttemptAt > Date.now()) break;
+
+        delivery.attempts++;
+        try {
+          await this.send(url, delivery.payload, delivery);
+          queue.shift();
+          this.stats.delivered++;
+        } catch (err) {
+          this.stats.failedAttempts++;
+          delivery.lastError = err.message;
+          if (delivery.attempts >= this.config.deliveryMaxAttempts) {
+            console.error(`Giving up on delivery ${delivery.id} to ${url} after ${delivery.attempts} attempts: ${err.message}`);
+            // Dead-lettered before it leaves the queue, so a crash in between
+            // at worst leaves a duplicate rather than losing it
+            if (this.onDeadLetter) await this.onDeadLetter(delivery);
+            queue.shift();
+            this.stats.dropped++;
+          } else {
+            const delay = backoffDelay(delivery.attempts, {
+              baseMs: this.config.deliveryBackoffMs,
+              maxMs: this.config.deliveryMaxBackoffMs
+            });
+            delivery.nextAttemptAt = Date.now() + delay;
+            console.error(`Webhook delivery to ${url} failed (attempt ${delivery.attempts}/${this.config.deliveryMaxAttempts}): ${err.message}; retrying in ${delay}ms`);
+          }
+        }
+
+        if (queue.length === 0 && this.queues.get(url) === queue) {
+          this.queues.delete(url);
+        }
+        await this.persist(url);
+      }
+    } catch (err) {
+      console.error(`Delivery queue error for ${url}:`, err.message);
+    } finally {
+      this.active.delete(url);
+    }
+    this.schedule(url);
+  }
+
+  // Save a subscriber's queue, or remove its document once it is empty
+  persist(url) {
+    const deliveries = this.queues.get(url) || [];
+    if (deliveries.length === 0) {
+      return this.documents.remove(queueKey(url));
+    }
+    return this.documents.save(queueKey(url), { url, deliveries, savedAt: Date.now() });
+  }
+
+  getStats() {
+    let pending = 0;
+    for (const queue of this.queues.values()) {
+      pending += queue.length;
+    }
+    return { ...this.stats, pending };
+  }
+
+  stop() {
+    this.isRunning = false;
+    for (const timer of this.timers.values()) {
+      clearTimeout(timer);
+    }
+    this.timers.clear();
+  }
+}
@@ -0,0 +1,79 @@
+/**
+ * Remembers the documents the watcher has seen, so a change can be
+ * classified as a creation, an update, an archive or a deletion. Documents
+ * are grouped by watched class name (see watchedClasses.js).
+ *
+ * Until the tracker has been primed with a full listing of a class, only
+ * rows whose createdOn equals modifiedOn are reported as creations; once
+ * primed, any document it has not seen before is new.
+ *
+ * Listings carry only ids, so a document known from them alone is a stub
+ * (`stub: true`, its modifiedOn and when it was listed) until its state is
+ * first needed; the Reconciler then loads it as it was at that listing.
+ */
+
+export class DocumentTracker {
+  constructor() {
+    this.documents = new Map();
+    this.primed = new Set();
+  }
+
+  static key(entry, id) {
+    return `${entry}:${id}`;
+  }
+
+  get(entry, id) {
+    return this.documents.get(DocumentTracker.key(entry, id));
+  }
+
+  set(entry, id, state) {
+    this.documents.set(DocumentTracker.key(entry, id), { entry, id, ...state });
+  }
+
+  delete(entry, id) {
+    const key = DocumentTracker.key(entry, id);
+    const state = this.documents.get(key);
+    this.documents.delete(key);
+    return state;
+  }
+
+  isPrimed(entry) {
+    return this.primed.has(entry);
+  }
+
+  /**
+   * Reconcile against the ids (with modifiedOn) currently in a watched
+   * class, listed at `listedAt`; documents not tracked yet are added as
+   * stubs. Returns the tracked documents that are gone, skipping any whose
+   * last known modification is newer than `since` (they may have been
+   * created after the listing was taken). The first call for a class only
+   * primes it.
+   */
+  reconcile(entry, rows, since, listedAt) {
+    const present = new Set();
+    for (const row of rows) {
+      present.add(row.id);
+      const state = this.get(entry, row.id);
+      if (!state || state.stub) {
+        this.set(entry, row.id, { stub: true, modifiedOn: Number(row.modifiedOn), listedAt });
+      }
+    }
+
+    if (!this.isPrimed(entry)) {
+      this.primed.add(entry);
+      return [];
+    }
+
+    const deleted = [];
+    for (const state of this.documents.values()) {
+      if (state.entry !== entry || present.has(state.id)) continue;
+      if (Number(state.modifiedOn) >= since) continue;
+      deleted.push(this.delete(entry, state.id));
+    }
+    return deleted;
+  }
+
+  get size() {
+    return this.documents.size;
+  }
+}
@@ -0,0 +1,137 @@
+/**
+ * Resolves the raw references in task events to human-readable values, the
+ * same way formatIssueFromMaps in huly-rest-api does: status name, project
+ * identifier, assignee email and priority label.
+ *
+ * Lookups are batched per emitted batch and cached with a TTL, so a steady
+ * stream of edits to the same projects costs no extra queries.
+ */
+
+export const PRIORITY_LABELS = ['NoPriority', 'Urgent', 'High', 'Medium', 'Low'];
+
+const LOOKUP_QUERIES = {
+  status: `
+    SELECT _id as id, data->>'name' as value
+    FROM status
+    WHERE _id = ANY($1)
+  `,
+  project: `
+    SELECT _id as id, data->>'identifier' as value
+    FROM space
+    WHERE _id = ANY($1)
+  `,
+  // Assignees are Person docs; their email lives on the global account's social ids
+  assignee: `
+    SELECT c._id as id, s.value as value
+    FROM contact c
+    JOIN global_account.social_id s
+      ON s.person_uuid::STRING = c.data->>'personUuid' AND s.type = 'email'
+    WHERE c._id = ANY($1)
+  `
+};
+
+class TtlCache {
+  constructor(ttlMs) {
+    this.ttlMs = ttlMs;
+    this.entries = new Map();
+  }
+
+  has(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return false;
+    if (entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      return false;
+    }
+    return true;
+  }
+
+  get(key) {
+    return this.has(key) ? this.entries.get(key).value : undefined;
+  }
+
+  set(key, value) {
+    this.entries.set(key, { value, expiresAt: Date.now() + this.ttlMs });
+  }
+}
+
+export class Enricher {
+  constructor({ pool, config }) {
+    this.pool = pool;
+    this.caches = {};
+    for (const kind of Object.keys(LOOKUP_QUERIES)) {
+      this.caches[kind] = new TtlCache(config.enrichmentCacheTtl);
+    }
+    this.stats = { lookups: 0, lookupErrors: 0 };
+  }
+
+  /**
+   * Add statusName, project, assigneeEmail and priorityLabel to every task
+   * event in place, and labels to status/assignee/priority diffs.
+   */
+  async enrich(events) {
+    // Deletion events carry no status and are left as-is
+    const taskEvents = events.filter(event => event.data.status !== undefined);
+    if (taskEvents.length === 0) return events;
+
+    const wanted = { status: new Set(), project: new Set(), assignee: new Set() };
+    for (const { data, changes } of taskEvents) {
+      if (data.status) wanted.status.add(data.status);
+      if (data.space) wanted.project.add(data.space);
+      if (data.assignee) wanted.assignee.add(data.assignee);
+      for (const kind of ['status', 'assignee']) {
+        if (changes?.[kind]?.from) wanted[kind].add(changes[kind].from);
+        if (changes?.[kind]?.to) wanted[kind].add(changes[kind].to);
+      }
+    }
+
+    await Promise.all(Object.keys(wanted).map(kind => this.load(kind, wanted[kind])));
+
+    for (const { data, changes } of taskEvents) {
+      data.statusName = this.lookup('status', data.status);
+      data.project = this.lookup('project', data.space);
+      data.assigneeEmail = this.lookup('assignee', data.assignee);
+      data.priorityLabel = priorityLabel(data.priority);
+
+      if (changes?.status) this.label(changes.status, value => this.lookup('status', value));
+      if (changes?.assignee) this.label(changes.assignee, value => this.lookup('assignee', value));
+      if (changes?.priority) this.label(changes.priority, priorityLabel);
+    }
+    return events;
+  }
+
+  // Fetch every id not already cached; ids the query does not return are
+  // cached as null so unknown references are not looked up on every batch
+  async load(kind, ids) {
+    const cache = this.caches[kind];
+    const missing = [...ids].filter(id => !cache.has(id));
+    if (missing.length === 0) return;
+
+    this.stats.lookups++;
+    try {
+      const result = await this.pool.query(LOOKUP_QUERIES[kind], [missing]);
+      const found = new Map(result.rows.map(row => [row.id, row.value]));
+      for (const id of missing) {
+        cache.set(id, found.get(id) ?? null);
+      }
+    } catch (err) {
+      this.stats.lookupErrors++;
+      console.error(`Failed to resolve ${kind} references:`, err.message);
+    }
+  }
+
+  lookup(kind, id) {
+    if (!id) return null;
+    return this.caches[kind].get(id) ?? null;
+  }
+
+  label(change, resolve) {
+    change.fromLabel = resolve(change.from);
+    change.toLabel = resolve(change.to);
+  }
+}
+
+function priorityLabel(priority) {
+  if (priority === null || priority === undefined) return null;
+  return PRIORITY_LABELS[priority] || 'NoPriority';
+}
@@ -0,0 +1,147 @@
+/**
+ * Per-subscriber event filters.
+ *
+ * A filter spec is a JSON object; every given criterion must match:
+ *   types    - event types, with `*` wildcards: ['issue.*', '*.deleted']
+ *   projects - project identifiers or space ids: ['PROJ', 'OPS']
+ *   classes  - Huly classes: ['tracker:class:Issue']
+ *   where    - field predicates on event.data, as strings
+ *              ('status in [Done, Canceled]', 'priority = Urgent',
+ *              'assignee != null') or { field, op, value } objects
+ *
+ * Predicates on status, priority and assignee also match the enriched
+ * statusName, priorityLabel and assigneeEmail, so `priority = Urgent` and
+ * `priority = 1` are equivalent.
+ */
+
+const OPERATORS = ['=', '!=', 'in', 'not in'];
+
+// Enriched fields a predicate on the raw reference also matches
+const FIELD_ALIASES = {
+  status: ['status', 'statusName'],
+  priority: ['priority', 'priorityLabel'],
+  assignee: ['assignee', 'assigneeEmail']
+};
+
+const PREDICATE = /^\s*([A-Za-z_][\w.]*)\s*(not\s+in\b|in\b|!=|=)\s*(.+?)\s*$/i;
+
+function unquote(value) {
+  const trimmed = value.trim();
+  const quoted = /^(['"])(.*)\1$/.exec(trimmed);
+  if (quoted) return quoted[2];
+  return trimmed === 'null' ? null : trimmed;
+}
+
+// Parse `field op value` into { field, op, value }
+export function parsePredicate(text) {
+  const match = PREDICATE.exec(text);
+  if (!match) {
+    throw new Error(`Invalid filter predicate: ${text}`);
+  }
+  const [, field, operator, raw] = match;
+  const op = operator.toLowerCase().replace(/\s+/g, ' ');
+
+  if (raw.startsWith('[') && raw.endsWith(']')) {
+    return { field, op, value: raw.slice(1, -1).split(',').map(unquote).filter(value => value !== '') };
+  }
+  return { field, op, value: unquote(raw) };
+}
+
+function compilePredicate(predicate) {
+  const { field, op, value } = typeof predicate === 'string' ? parsePredicate(predicate) : predicate;
+  if (!field || !OPERATORS.includes(op)) {
+    throw new Error(`Invalid filter predicate: ${JSON.stringify(predicate)}`);
+  }
+
+  const list = op === 'in' || op === 'not in';
+  if (!list && Array.isArray(value)) {
+    throw new Error(`Operator "${op}" needs a single value, got a list for "${field}"`);
+  }
+  const expected = (list ? [].concat(value) : [value]).map(item => (item == null ? null : String(item)));
+
+  const fields = FIELD_ALIASES[field] || [field];
+  const negated = op === '!=' || op === 'not in';
+  return (data) => {
+    const actual = fields.map(name => {
+      const found = name.split('.').reduce((current, key) => current?.[key], data);
+      return found == null ? null : String(found);
+    });
+    const matched = expected.some(item => (item === null
+      ? actual.every(found => found === null)
+      : actual.includes(item)));
+    return negated ? !matched : matched;
+  };
+}
+
+function globToRegExp(pattern) {
+  const escaped = pattern.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*');
+  return new RegExp(`^${escaped}$`);
+}
+
+function asList(spec, key) {
+  const value = spec[key];
+  if (value === undefined || value === null) return null;
+  if (!Array.isArray(value) || !value.every(item => typeof item === 'string' || key === 'where')) {
+    throw new Error(`Filter "${key}" must be a list`);
+  }
+  return value;
+}
+
+/**
+ * Validate a filter spec and return `{ spec, matches(event) }`. A missing or
+ * empty spec matches every event.
+ */
+export function compileFilter(spec = null) {
+  if (spec === null || spec === undefined) {
+    return { spec: null, matches: () => true };
+  }
+  if (typeof spec !== 'object' || Array.isArray(spec)) {
+    throw new Error('Filter must be an object');
+  }
+  const unknown = Object.keys(spec).filter(key => !['types', 'projects', 'classes', 'where'].includes(key));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown filter keys: ${unknown.join(', ')}`);
+  }
+
+  const types = asList(spec, 'types')?.map(globToRegExp);
+  const projects = asList(spec, 'projects');
+  const classes = asList(spec, 'classes');
+  const predicates = (asList(spec, 'where') || []).map(compilePredicate);
+
+  const matches = (event) => {
+    const data = event.data || {};
+    if (types && !types.some(type => type.test(event.type))) return false;
+    if (classes && !classes.includes(data.class)) return false;
+    if (projects) {
+      // Project events identify the project itself; everything else its space
+      const candidates = event.type?.startsWith('project.')
+        ? [data.identifier, data.id]
+        : [data.project, data.space];
+      if (!candidates.some(candidate => candidate != null && projects.includes(candidate))) return false;
+    }
+    return predicates.every(predicate => predicate(data));
+  };
+
+  return { spec, matches };
+}
+
+/**
+ * Build a filter spec from URL query params, for clients that cannot send a
+ * JSON body (`/events?types=issue.*&projects=PROJ&where=priority = Urgent`).
+ * `types`, `projects` and `classes` may be repeated or comma-separated;
+ * `where` is repeated, one predicate each. Null when no filter param is given.
+ */
+export function filterFromQuery(searchParams) {
+  const spec = {};
+  for (const key of ['types', 'projects', 'classes']) {
+    const values = searchParams.getAll(key)
+      .flatMap(value => value.split(','))
+      .map(value => value.trim())
+      .filter(Boolean);
+    if (values.length > 0) spec[key] = values;
+  }
+  const where = searchParams.getAll('where').filter(Boolean);
+  if (where.length > 0) spec.where = where;
+
+  return Object.keys(spec).length > 0 ? spec : null;
+}
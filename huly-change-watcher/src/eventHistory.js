@@ -0,0 +1,226 @@
+/**
+ * Retained log of every emitted event, queried through `GET /history`.
+ *
+ * Each event is recorded as the EventStream entry it was published as,
+ * `{ id, timestamp, event }`, so history ids are the SSE ids: a client can
+ * page through history with `after` and then resume `/events` with the last
+ * id as Last-Event-ID. Entries older than HISTORY_RETENTION_MS, or beyond the
+ * newest HISTORY_MAX_EVENTS, are dropped; a retention of 0 disables history.
+ * Only the replica emitting events (the leader, see leaderElection.js)
+ * records them, each in its own log, so only the leader answers queries; a
+ * standby answers 503, as it does for the admin routes.
+ *
+ * Writes are appended to the EventLog (see eventLog.js) in the background,
+ * one append per published batch; the log is rewritten without the dropped
+ * entries once they outnumber the retained ones.
+ */
+
+import { compileFilter } from './eventFilter.js';
+
+export const DEFAULT_HISTORY_LIMIT = 100;
+export const MAX_HISTORY_LIMIT = 1000;
+
+// Values of a query param given repeated or comma-separated
+function listParam(searchParams, key) {
+  const values = searchParams.getAll(key)
+    .flatMap(value => value.split(','))
+    .map(value => value.trim())
+    .filter(Boolean);
+  return values.length > 0 ? values : null;
+}
+
+/**
+ * Parse `/history` query params: `since` (epoch ms or an ISO 8601 date),
+ * `after` (an event id), `project`, `type` (with `*` wildcards) and `issue`
+ * (each repeated or comma-separated), and `limit`. Throws on invalid values.
+ */
+export function historyQueryFromParams(searchParams) {
+  const query = {
+    since: null,
+    after: null,
+    projects: listParam(searchParams, 'project'),
+    types: listParam(searchParams, 'type'),
+    issues: listParam(searchParams, 'issue'),
+    limit: DEFAULT_HISTORY_LIMIT
+  };
+
+  const since = searchParams.get('since');
+  if (since) {
+    query.since = /^\d+$/.test(since) ? Number(since) : Date.parse(since);
+    if (!Number.isFinite(query.since)) {
+      throw new Error('"since" must be epoch milliseconds or an ISO 8601 date');
+    }
+  }
+
+  const after = searchParams.get('after');
+  if (after) {
+    if (!/^\d+$/.test(after)) throw new Error('"after" must be an event id');
+    query.after = Number(after);
+  }
+
+  const limit = searchParams.get('limit');
+  if (limit) {
+    query.limit = Number(limit);
+    if (!Number.isInteger(query.limit) || query.limit < 1 || query.limit > MAX_HISTORY_LIMIT) {
+      throw new Error(`"limit" must be an integer between 1 and ${MAX_HISTORY_LIMIT}`);
+    }
+  }
+
+  return query;
+}
+
+// An issue is named by its id or identifier; comments and attachments on it
+// match as well
+function matchesIssue(event, issues) {
+  const data = event.data || {};
+  return [data.id, data.identifier, data.attachedTo].some(value => value != null && issues.includes(value));
+}
+
+export class EventHistory {
+  constructor({ log, config }) {
+    this.log = log;
+    this.config = config;
+    this.entries = [];
+    this.unsaved = [];
+    // Entries dropped from memory that are still in the log
+    this.dropped = 0;
+    this.writeScheduled = false;
+    this.saving = Promise.resolve();
+  }
+
+  get enabled() {
+    return this.config.historyRetentionMs > 0;
+  }
+
+  get size() {
+    return this.entries.length;
+  }
+
+  // Newest recorded id; event ids must keep increasing past it
+  get lastId() {
+    return this.entries.length > 0 ? this.entries[this.entries.length - 1].id : 0;
+  }
+
+  async load() {
+    if (!this.enabled) return;
+    let records = [];
+
+    try {
+      records = await this.log.load();
+    } catch (err) {
+      console.error('Failed to load event history, starting empty:', err.message);
+    }
+
+    this.entries = records
+      .filter(record => Number.isFinite(record?.id) && record.event)
+      .sort((a, b) => a.id - b.id);
+    this.dropped = records.length - this.entries.length;
+    this.prune();
+    if (this.dropped > 0) this.scheduleWrite();
+  }
+
+  // EventStream listener: keep a published entry
+  record(entry) {
+    if (!this.enabled) return;
+    this.entries.push(entry);
+    this.unsaved.push(entry);
+    this.prune();
+    this.scheduleWrite();
+  }
+
+  // Drop entries past the retention period or the size cap
+  prune(now = Date.now()) {
+    const cutoff = now - this.config.historyRetentionMs;
+    const max = this.config.historyMaxEvents > 0 ? this.config.historyMaxEvents : Infinity;
+    let count = 0;
+    while (count < this.entries.length &&
+      (this.entries.length - count > max || this.entries[count].timestamp < cutoff)) {
+      count++;
+    }
+    if (count > 0) {
+      this.entries.splice(0, count);
+      this.dropped += count;
+    }
+  }
+
+  /**
+   * Entries after `after` (an id) and at or after `since` (epoch ms) that
+   * match every given criterion, oldest first, at most `limit` of them.
+   * `cursor` is the id to pass as `after` for the next page: the last entry
+   * returned while there is more, otherwise the newest entry looked at.
+   * `retainedSince` is the time of the oldest entry still retained; anything
+   * earlier may be missing.
+   */
+  query({ since = null, after = null, projects = null, types = null, issues = null, limit = DEFAULT_HISTORY_LIMIT } = {}) {
+    this.prune();
+    const filter = compileFilter({ projects, types });
+
+    // Ids and timestamps both increase along the log
+    const start = this.firstIndex(entry => (after === null || entry.id > after) && (since === null || entry.timestamp >= since));
+    const events = [];
+    let hasMore = false;
+    for (let i = start; i < this.entries.length; i++) {
+      const entry = this.entries[i];
+      if (!filter.matches(entry.event) || (issues && !matchesIssue(entry.event, issues))) continue;
+      if (events.length === limit) {
+        hasMore = true;
+        break;
+      }
+      events.push(entry);
+    }
+
+    return {
+      events,
+      count: events.length,
+      hasMore,
+      cursor: hasMore ? events[events.length - 1].id : (this.lastId || after),
+      retainedSince: this.entries[0]?.timestamp ?? null
+    };
+  }
+
+  // Index of the first entry satisfying a predicate that holds for a suffix
+  firstIndex(predicate) {
+    let low = 0;
+    let high = this.entries.length;
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      if (predicate(this.entries[mid])) high = mid;
+      else low = mid + 1;
+    }
+    return low;
+  }
+
+  // Writes are chained so an append never races a rewrite of the log
+  scheduleWrite() {
+    if (this.writeScheduled) return;
+    this.writeScheduled = true;
+    const write = this.saving.catch(() => {}).then(() => {
+      this.writeScheduled = false;
+      return this.write();
+    });
+    this.saving = write;
+    write.catch(err => console.error('Failed to write event history:', err.message));
+  }
+
+  async write() {
+    if (this.dropped > this.entries.length) {
+      this.unsaved = [];
+      this.dropped = 0;
+      await this.log.rewrite([...this.entries]);
+      return;
+    }
+    // Entries pruned before they were written need not be
+    const oldest = this.entries[0]?.id ?? Infinity;
+    const records = this.unsaved.filter(entry => entry.id >= oldest);
+    this.dropped -= this.unsaved.length - records.length;
+    this.unsaved = [];
+    if (records.length > 0) {
+      await this.log.append(records);
+    }
+  }
+
+  // Resolves once everything recorded so far is written
+  flush() {
+    return this.saving.catch(() => {});
+  }
+}
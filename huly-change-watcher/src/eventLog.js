@@ -0,0 +1,75 @@
+/**
+ * Append-only storage for the event history (see eventHistory.js).
+ *
+ * FileEventLog keeps one JSON record per line, so recording events is an
+ * append rather than a rewrite of everything retained. A line cut short by a
+ * crash mid-append is skipped on load. Expired records are dropped by
+ * rewriting the file atomically (temp file + rename), like FileJsonStore.
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+
+export class FileEventLog {
+  constructor(filePath) {
+    this.filePath = filePath;
+  }
+
+  async load() {
+    let raw;
+    try {
+      raw = await fs.readFile(this.filePath, 'utf8');
+    } catch (err) {
+      if (err.code === 'ENOENT') return [];
+      throw err;
+    }
+
+    const records = [];
+    let skipped = 0;
+    for (const line of raw.split('\n')) {
+      if (!line) continue;
+      try {
+        records.push(JSON.parse(line));
+      } catch {
+        skipped++;
+      }
+    }
+    if (skipped > 0) {
+      console.error(`Skipped ${skipped} unreadable lines in ${this.filePath}`);
+    }
+    return records;
+  }
+
+  async append(records) {
+    await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+    await fs.appendFile(this.filePath, records.map(record => `${JSON.stringify(record)}\n`).join(''));
+  }
+
+  async rewrite(records) {
+    const tmpPath = `${this.filePath}.${process.pid}.tmp`;
+    await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+    await fs.writeFile(tmpPath, records.map(record => `${JSON.stringify(record)}\n`).join(''));
+    await fs.rename(tmpPath, this.filePath);
+  }
+}
+
+/**
+ * Non-persistent log, used when no history file is configured and in tests.
+ */
+export class MemoryEventLog {
+  constructor(initial = []) {
+    this.records = [...initial];
+  }
+
+  async load() {
+    return [...this.records];
+  }
+
+  async append(records) {
+    this.records.push(...records);
+  }
+
+  async rewrite(records) {
+    this.records = [...records];
+  }
+}
@@ -0,0 +1,23 @@
+/**
+ * Versioned shape of the events the watcher emits.
+ *
+ * The payload and event formats are described by the JSON Schema files in
+ * schemas/v1/, and every payload states the version it follows in
+ * `schemaVersion`. Fields may be added within a version; removing or changing
+ * one means a new major version and a new schemas/ directory.
+ */
+
+export const SCHEMA_VERSION = '1.0';
+export const ENVELOPE_SCHEMA_ID = 'urn:huly-change-watcher:schema:v1:envelope';
+export const EVENT_SCHEMA_ID = 'urn:huly-change-watcher:schema:v1:event';
+
+// The `{ source, schemaVersion, timestamp, events }` payload
+export function createEnvelope(events, { timestamp = Date.now(), ...extra } = {}) {
+  return {
+    source: 'huly-change-watcher',
+    schemaVersion: SCHEMA_VERSION,
+    timestamp,
+    ...extra,
+    events
+  };
+}
@@ -0,0 +1,151 @@
+/**
+ * Server-sent event stream behind `/events`.
+ *
+ * Every event gets a monotonically increasing id, written as the frame's
+ * `id:` field, and the last SSE_REPLAY_BUFFER_SIZE events are kept in memory.
+ * A client reconnecting with `Last-Event-ID` is first sent everything it
+ * missed that is still buffered, then the live stream. Ids start from the
+ * clock, so they keep increasing across restarts; after a restart the buffer
+ * is empty and only live events follow.
+ *
+ * Each frame carries one event, as `data: {"events":[event]}` so clients
+ * written for the old batched frames keep working. Clients can pass a filter
+ * (see eventFilter.js) to receive only the events it selects.
+ *
+ * A `: keep-alive` comment goes out every SSE_HEARTBEAT_MS so proxies do not
+ * time out quiet streams. When `res.write` returns false the client is
+ * falling behind: what is written until its socket drains is counted, and a
+ * client with more than SSE_MAX_BUFFER_BYTES outstanding is disconnected (it
+ * can resume with Last-Event-ID) rather than buffering without bound.
+ *
+ * Other transports (the /ws WebSocket hub) share the ids and the replay
+ * buffer through `listen` and `eventsAfter`.
+ */
+
+import { compileFilter } from './eventFilter.js';
+
+export class EventStream {
+  constructor({ config }) {
+    this.config = config;
+    this.clients = new Set();
+    this.buffer = [];
+    this.lastId = Date.now() * 1000;
+    this.heartbeatTimer = null;
+    this.listeners = new Set();
+    this.stats = {
+      heartbeats: 0,
+      slowConsumersDisconnected: 0
+    };
+  }
+
+  /**
+   * Attach an SSE response. With `lastEventId`, buffered events after it are
+   * replayed before any live event is written.
+   */
+  connect(res, { lastEventId = null, filter = compileFilter(null) } = {}) {
+    const client = { res, filter, blocked: false, backlog: 0 };
+    this.clients.add(client);
+    res.on('close', () => this.disconnect(client));
+    res.on('drain', () => {
+      client.blocked = false;
+      client.backlog = 0;
+    });
+    this.send(client, 'data: {"connected": true}\n\n');
+
+    for (const entry of this.eventsAfter(lastEventId)) {
+      this.write(client, entry);
+    }
+
+    if (!this.heartbeatTimer && this.config.sseHeartbeatMs > 0) {
+      this.heartbeatTimer = setInterval(() => this.heartbeat(), this.config.sseHeartbeatMs);
+      this.heartbeatTimer.unref?.();
+    }
+    return client;
+  }
+
+  disconnect(client) {
+    this.clients.delete(client);
+    if (this.clients.size === 0) {
+      clearInterval(this.heartbeatTimer);
+      this.heartbeatTimer = null;
+    }
+  }
+
+  // Buffered entries newer than an id given by a resuming client
+  eventsAfter(lastEventId) {
+    const after = Number(lastEventId);
+    if (lastEventId === null || lastEventId === undefined || lastEventId === '' || !Number.isFinite(after)) {
+      return [];
+    }
+    return this.buffer.filter(entry => entry.id > after);
+  }
+
+  // Receive every published { id, timestamp, event }; returns an unsubscribe
+  listen(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  publish(events) {
+    const timestamp = Date.now();
+    for (const event of events) {
+      const entry = { id: ++this.lastId, timestamp, event };
+      this.buffer.push(entry);
+      for (const client of this.clients) {
+        this.write(client, entry);
+      }
+      for (const listener of this.listeners) {
+        listener(entry);
+      }
+    }
+
+    const overflow = this.buffer.length - this.config.sseReplayBufferSize;
+    if (overflow > 0) {
+      this.buffer.splice(0, overflow);
+    }
+  }
+
+  write(client, { id, event }) {
+    if (!client.filter.matches(event)) return;
+    this.send(client, `id: ${id}\ndata: ${JSON.stringify({ events: [event] })}\n\n`);
+  }
+
+  // Blocked clients would only queue the comment behind unsent events
+  heartbeat() {
+    for (const client of this.clients) {
+      if (!client.blocked) {
+        this.send(client, ': keep-alive\n\n');
+        this.stats.heartbeats++;
+      }
+    }
+  }
+
+  send(client, chunk) {
+    if (!this.clients.has(client)) return;
+    if (client.blocked) {
+      client.backlog += Buffer.byteLength(chunk);
+      if (client.backlog > this.config.sseMaxBufferBytes) {
+        console.error(`Disconnecting slow SSE client: ${client.backlog} bytes behind`);
+        this.stats.slowConsumersDisconnected++;
+        this.disconnect(client);
+        client.res.destroy();
+        return;
+      }
+    }
+
+    try {
+      if (!client.res.write(chunk)) client.blocked = true;
+    } catch (err) {
+      this.disconnect(client);
+    }
+  }
+
+  get size() {
+    return this.clients.size;
+  }
+
+  stop() {
+    clearInterval(this.heartbeatTimer);
+    this.heartbeatTimer = null;
+  }
+}
@@ -0,0 +1,64 @@
+/**
+ * Field-level diffs between successive versions of a task.
+ *
+ * The tracker keeps a compact snapshot of the fields below for every task it
+ * has seen. When a new version arrives the snapshots are compared and the
+ * result is attached to the event as `changes: { field: { from, to } }`,
+ * from which granular events such as `issue.status_changed` are derived.
+ */
+
+export const SNAPSHOT_FIELDS = [
+  'status',
+  'title',
+  'priority',
+  'assignee',
+  'component',
+  'milestone',
+  'dueDate',
+  'parent'
+];
+
+// Granular event suffix per changed field; assignee is handled separately
+const FIELD_EVENTS = {
+  status: 'status_changed',
+  title: 'title_changed',
+  priority: 'priority_changed',
+  component: 'component_changed',
+  milestone: 'milestone_changed',
+  dueDate: 'due_date_changed',
+  parent: 'parent_changed'
+};
+
+const NUMERIC_FIELDS = new Set(['priority', 'dueDate']);
+
+export function snapshotOf(row) {
+  const snapshot = {};
+  for (const field of SNAPSHOT_FIELDS) {
+    const value = row[field] ?? null;
+    snapshot[field] = value !== null && NUMERIC_FIELDS.has(field) ? Number(value) : value;
+  }
+  return snapshot;
+}
+
+export function diffSnapshots(previous, next) {
+  const changes = {};
+  for (const field of SNAPSHOT_FIELDS) {
+    if (previous[field] !== next[field]) {
+      changes[field] = { from: previous[field], to: next[field] };
+    }
+  }
+  return changes;
+}
+
+/**
+ * Granular events derived from a diff, one per changed field, e.g.
+ * `issue.status_changed` or `issue.assigned` / `issue.unassigned`.
+ */
+export function derivedEventTypes(prefix, changes) {
+  return Object.keys(changes).map(field => ({
+    field,
+    type: field === 'assignee'
+      ? `${prefix}.${changes.assignee.to ? 'assigned' : 'unassigned'}`
+      : `${prefix}.${FIELD_EVENTS[field]}`
+  }));
+}
@@ -0,0 +1,204 @@
+/**
+ * Durable JSON document storage shared by the watcher's persisted state
+ * (poll cursor, subscriptions, delivery queues, held events, dead letters).
+ *
+ * Documents are written atomically (temp file + rename) so a crash mid-write
+ * never leaves a truncated file behind. State kept per subscriber lives in a
+ * collection, one document per key (a file per key in a directory). A
+ * JsonDocument, or a JsonDocumentSet for a collection, puts a store behind
+ * the load and save rules every piece of state follows.
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+
+export class FileJsonStore {
+  constructor(filePath) {
+    this.filePath = filePath;
+  }
+
+  async load() {
+    try {
+      const raw = await fs.readFile(this.filePath, 'utf8');
+      return JSON.parse(raw);
+    } catch (err) {
+      if (err.code === 'ENOENT') return null;
+      throw err;
+    }
+  }
+
+  async save(value) {
+    const tmpPath = `${this.filePath}.${process.pid}.tmp`;
+    await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+    await fs.writeFile(tmpPath, JSON.stringify(value));
+    await fs.rename(tmpPath, this.filePath);
+  }
+
+  async remove() {
+    try {
+      await fs.unlink(this.filePath);
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err;
+    }
+  }
+}
+
+export class FileJsonCollection {
+  constructor(dirPath) {
+    this.dirPath = dirPath;
+  }
+
+  storeFor(key) {
+    return new FileJsonStore(path.join(this.dirPath, `${key}.json`));
+  }
+
+  async loadAll() {
+    let names;
+    try {
+      names = await fs.readdir(this.dirPath);
+    } catch (err) {
+      if (err.code === 'ENOENT') return [];
+      throw err;
+    }
+
+    const values = [];
+    // Temp files of interrupted writes end in .tmp and are skipped
+    for (const name of names.filter(name => name.endsWith('.json'))) {
+      const value = await this.storeFor(name.slice(0, -'.json'.length)).load();
+      if (value !== null) values.push(value);
+    }
+    return values;
+  }
+
+  save(key, value) {
+    return this.storeFor(key).save(value);
+  }
+
+  remove(key) {
+    return this.storeFor(key).remove();
+  }
+}
+
+/**
+ * Non-persistent store, used when no file is configured and in tests.
+ */
+export class MemoryJsonStore {
+  constructor(initial = null) {
+    this.value = initial;
+  }
+
+  async load() {
+    return this.value;
+  }
+
+  async save(value) {
+    this.value = value;
+  }
+
+  async remove() {
+    this.value = null;
+  }
+}
+
+export class MemoryJsonCollection {
+  constructor() {
+    this.values = new Map();
+  }
+
+  async loadAll() {
+    return Array.from(this.values.values());
+  }
+
+  async save(key, value) {
+    this.values.set(key, value);
+  }
+
+  async remove(key) {
+    this.values.delete(key);
+  }
+}
+
+// The saved value, or undefined when it cannot be read, so the caller keeps
+// what it has in memory rather than losing it
+async function loadOrKeep(load, description) {
+  try {
+    return await load();
+  } catch (err) {
+    console.error(`Failed to load ${description}, keeping what is in memory:`, err.message);
+    return undefined;
+  }
+}
+
+/**
+ * One persisted document over any store. Saves (and its removal) are chained
+ * so concurrent writers never race on the temp file, and one failing does
+ * not hold up the next.
+ */
+export class JsonDocument {
+  constructor(store, description) {
+    this.store = store;
+    this.description = description;
+    this.saving = Promise.resolve();
+  }
+
+  // The saved value (null if none), or undefined when it cannot be read
+  load() {
+    return loadOrKeep(() => this.store.load(), this.description);
+  }
+
+  save(value) {
+    return this.chain(() => this.store.save(value));
+  }
+
+  remove() {
+    return this.chain(() => this.store.remove());
+  }
+
+  chain(write) {
+    const next = this.saving.catch(() => {}).then(write);
+    this.saving = next;
+    return next;
+  }
+}
+
+/**
+ * Documents of a collection by key, each saved in order like a JsonDocument;
+ * documents of different keys are saved independently.
+ */
+export class JsonDocumentSet {
+  constructor(collection, description) {
+    this.collection = collection;
+    this.description = description;
+    this.documents = new Map();
+  }
+
+  // Every saved value, or undefined when they cannot be read
+  load() {
+    return loadOrKeep(() => this.collection.loadAll(), this.description);
+  }
+
+  save(key, value) {
+    return this.documentFor(key).save(value);
+  }
+
+  remove(key) {
+    return this.documentFor(key).remove();
+  }
+
+  // Settles once every save begun so far has
+  get saving() {
+    return Promise.all(Array.from(this.documents.values(), document => document.saving.catch(() => {})));
+  }
+
+  documentFor(key) {
+    let document = this.documents.get(key);
+    if (!document) {
+      document = new JsonDocument({
+        save: value => this.collection.save(key, value),
+        remove: () => this.collection.remove(key)
+      }, this.description);
+      this.documents.set(key, document);
+    }
+    return document;
+  }
+}
@@ -0,0 +1,160 @@
+/**
+ * Leader election between watcher replicas via a CockroachDB lease row.
+ *
+ * Every replica tries to take or renew the lease every LEADER_LEASE_RENEW_MS.
+ * A single upsert does both: it succeeds when the row is ours or the current
+ * lease has expired (by database time), so two replicas can never both hold
+ * it. Each change of holder increments the row's fencing token; the leader
+ * stamps it on every webhook delivery so receivers can discard deliveries
+ * from a deposed leader.
+ *
+ * A leader that cannot renew stops considering itself leader once its lease
+ * would have expired, measured from when it last sent a successful renewal,
+ * so there is no window in which two replicas act as leader. A standby takes
+ * over at most LEADER_LEASE_TTL_MS + LEADER_LEASE_RENEW_MS after the leader
+ * stopped renewing; a leader shutting down cleanly releases the lease at once.
+ */
+
+export const LEASE_TABLE = 'huly_change_watcher_lease';
+
+export const CREATE_LEASE_TABLE = `
+  CREATE TABLE IF NOT EXISTS ${LEASE_TABLE} (
+    name STRING PRIMARY KEY,
+    holder STRING NOT NULL,
+    token INT8 NOT NULL,
+    expires_at INT8 NOT NULL
+  )
+`;
+
+// Take the lease if it is free or expired, or extend it if we hold it
+export const ACQUIRE_LEASE_QUERY = `
+  INSERT INTO ${LEASE_TABLE} (name, holder, token, expires_at)
+  VALUES ($1, $2, 1, (extract(epoch FROM now()) * 1000)::INT8 + $3)
+  ON CONFLICT (name) DO UPDATE SET
+    holder = excluded.holder,
+    token = CASE WHEN ${LEASE_TABLE}.holder = excluded.holder
+      THEN ${LEASE_TABLE}.token ELSE ${LEASE_TABLE}.token + 1 END,
+    expires_at = excluded.expires_at
+  WHERE ${LEASE_TABLE}.holder = excluded.holder
+    OR ${LEASE_TABLE}.expires_at < (extract(epoch FROM now()) * 1000)::INT8
+  RETURNING holder, token
+`;
+
+export const RELEASE_LEASE_QUERY = `
+  UPDATE ${LEASE_TABLE} SET expires_at = 0
+  WHERE name = $1 AND holder = $2 AND token = $3
+`;
+
+export class LeaderElection {
+  constructor({ pool, config, onElected = async () => {}, onDemoted = async () => {} }) {
+    this.pool = pool;
+    this.config = config;
+    this.onElected = onElected;
+    this.onDemoted = onDemoted;
+    this.token = null;
+    this.validUntil = 0;
+    this.isRunning = false;
+    this.stats = {
+      elections: 0,
+      demotions: 0
+    };
+  }
+
+  async start() {
+    await this.pool.query(CREATE_LEASE_TABLE);
+    this.isRunning = true;
+    await this.tick();
+  }
+
+  // True only while our lease is certainly still valid
+  isLeader() {
+    return this.token !== null && Date.now() < this.validUntil;
+  }
+
+  async tick() {
+    if (!this.isRunning) return;
+    const attemptedAt = Date.now();
+
+    try {
+      const result = await this.pool.query(ACQUIRE_LEASE_QUERY, [
+        this.config.leaderLeaseName,
+        this.config.instanceId,
+        this.config.leaderLeaseTtlMs
+      ]);
+      const row = result.rows[0];
+
+      if (!row) {
+        if (this.token !== null) await this.demote('the lease is held by another instance');
+      } else {
+        const token = Number(row.token);
+        if (this.token !== null && token !== this.token) {
+          // Someone else held the lease in between; this is a new term
+          await this.demote('the lease was taken over');
+        }
+        this.validUntil = attemptedAt + this.config.leaderLeaseTtlMs;
+        if (this.token === null && this.isRunning) {
+          this.token = token;
+          this.stats.elections++;
+          console.log(`Elected leader (fencing token ${token})`);
+          await this.onElected(token);
+        }
+      }
+    } catch (err) {
+      console.error('Leader lease renewal failed:', err.message);
+      if (this.token !== null && !this.isLeader()) {
+        await this.demote('the lease expired');
+      }
+    }
+
+    clearTimeout(this.timer);
+    if (this.isRunning) {
+      this.timer = setTimeout(() => this.tick(), this.config.leaderLeaseRenewMs);
+    }
+  }
+
+  async demote(reason) {
+    console.warn(`Stepping down as leader: ${reason}`);
+    this.token = null;
+    this.validUntil = 0;
+    this.stats.demotions++;
+    await this.onDemoted(reason);
+  }
+
+  getStats() {
+    return {
+      role: this.isLeader() ? 'leader' : 'standby',
+      instanceId: this.config.instanceId,
+      fencingToken: this.token,
+      elections: this.stats.elections,
+      demotions: this.stats.demotions
+    };
+  }
+
+  // Step down and release the lease, e.g. when this replica failed to start
+  // leading, so another one can take over at once; it may be elected again
+  async resign(reason) {
+    if (this.token === null) return;
+    const token = this.token;
+    await this.demote(reason);
+    try {
+      await this.pool.query(RELEASE_LEASE_QUERY, [this.config.leaderLeaseName, this.config.instanceId, token]);
+    } catch (err) {
+      console.error('Failed to release leader lease:', err.message);
+    }
+  }
+
+  // Release the lease so a standby can take over without waiting for the TTL
+  async stop() {
+    this.isRunning = false;
+    clearTimeout(this.timer);
+    if (this.token === null) return;
+
+    const token = this.token;
+    this.token = null;
+    try {
+      await this.pool.query(RELEASE_LEASE_QUERY, [this.config.leaderLeaseName, this.config.instanceId, token]);
+    } catch (err) {
+      console.error('Failed to release leader lease:', err.message);
+    }
+  }
+}
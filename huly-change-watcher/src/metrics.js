@@ -0,0 +1,169 @@
+/**
+ * Prometheus metrics for `/metrics`, rendered in the text exposition format.
+ *
+ * A deliberately small implementation of counters, gauges and histograms with
+ * labels. Gauges that mirror state held elsewhere (queue depth, client
+ * counts) are given a `collect` callback that is run at scrape time instead
+ * of being updated on every change.
+ */
+
+export const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(([key, value]) => `${key}="${escapeLabel(value)}"`);
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+function formatValue(value) {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return String(value);
+}
+
+class Metric {
+  constructor({ name, help, labelNames = [] }) {
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.series = new Map();
+  }
+
+  // Series are keyed by their label values, in labelNames order
+  seriesFor(labels) {
+    const key = JSON.stringify(this.labelNames.map(name => labels[name] ?? ''));
+    if (!this.series.has(key)) {
+      const picked = Object.fromEntries(this.labelNames.map(name => [name, labels[name] ?? '']));
+      this.series.set(key, { labels: picked, ...this.initial() });
+    }
+    return this.series.get(key);
+  }
+
+  header(type) {
+    return [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${type}`];
+  }
+}
+
+export class Counter extends Metric {
+  initial() {
+    return { value: 0 };
+  }
+
+  inc(labels = {}, amount = 1) {
+    this.seriesFor(labels).value += amount;
+  }
+
+  render() {
+    const lines = this.header('counter');
+    for (const { labels, value } of this.series.values()) {
+      lines.push(`${this.name}${formatLabels(labels)} ${formatValue(value)}`);
+    }
+    return lines;
+  }
+}
+
+export class Gauge extends Metric {
+  constructor({ collect = null, ...options }) {
+    super(options);
+    this.collect = collect;
+  }
+
+  initial() {
+    return { value: 0 };
+  }
+
+  set(labels = {}, value) {
+    this.seriesFor(labels).value = value;
+  }
+
+  render() {
+    if (this.collect) {
+      this.series.clear();
+      this.collect(this);
+    }
+    const lines = this.header('gauge');
+    for (const { labels, value } of this.series.values()) {
+      lines.push(`${this.name}${formatLabels(labels)} ${formatValue(value)}`);
+    }
+    return lines;
+  }
+}
+
+export class Histogram extends Metric {
+  constructor({ buckets = DEFAULT_BUCKETS, ...options }) {
+    super(options);
+    this.buckets = [...buckets].sort((a, b) => a - b);
+  }
+
+  initial() {
+    return { counts: this.buckets.map(() => 0), sum: 0, count: 0 };
+  }
+
+  observe(labels = {}, value) {
+    const series = this.seriesFor(labels);
+    this.buckets.forEach((bound, index) => {
+      if (value <= bound) series.counts[index]++;
+    });
+    series.sum += value;
+    series.count++;
+  }
+
+  // Observe the seconds `fn` takes, whether it resolves or throws
+  async time(labels, fn) {
+    const started = process.hrtime.bigint();
+    try {
+      return await fn();
+    } finally {
+      this.observe(labels, Number(process.hrtime.bigint() - started) / 1e9);
+    }
+  }
+
+  render() {
+    const lines = this.header('histogram');
+    for (const { labels, counts, sum, count } of this.series.values()) {
+      this.buckets.forEach((bound, index) => {
+        lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: formatValue(bound) })} ${counts[index]}`);
+      });
+      lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+      lines.push(`${this.name}_sum${formatLabels(labels)} ${formatValue(sum)}`);
+      lines.push(`${this.name}_count${formatLabels(labels)} ${count}`);
+    }
+    return lines;
+  }
+}
+
+export class MetricsRegistry {
+  constructor({ prefix = '' } = {}) {
+    this.prefix = prefix;
+    this.metrics = new Map();
+  }
+
+  register(metric) {
+    metric.name = `${this.prefix}${metric.name}`;
+    this.metrics.set(metric.name, metric);
+    return metric;
+  }
+
+  counter(options) {
+    return this.register(new Counter(options));
+  }
+
+  gauge(options) {
+    return this.register(new Gauge(options));
+  }
+
+  histogram(options) {
+    return this.register(new Histogram(options));
+  }
+
+  render() {
+    const lines = [];
+    for (const metric of this.metrics.values()) {
+      lines.push(...metric.render());
+    }
+    return `${lines.join('\n')}\n`;
+  }
+}
@@ -0,0 +1,77 @@
+/**
+ * Periodic id reconciliation
+ *
+ * Huly hard-deletes rows, so polling never sees them go. The reconciler
+ * lists the id of every watched row on an interval and hands the listing to
+ * the DocumentTracker, which reports the documents that disappeared. The
+ * state of documents known only from a listing is read when first needed,
+ * AS OF SYSTEM TIME the listing was taken, so deleted documents still
+ * carry their summary.
+ */
+
+import { NOW_QUERY } from './sources/pollingSource.js';
+
+export class Reconciler {
+  constructor({ pool, tracker, registry, toState, config }) {
+    this.pool = pool;
+    this.registry = registry;
+    this.tracker = tracker;
+    this.toState = toState;
+    this.config = config;
+    this.runs = 0;
+    this.lastRunAt = null;
+  }
+
+  /**
+   * List every watched class and return `{ entry, state }` for each tracked
+   * document that no longer exists.
+   */
+  async run() {
+    const nowResult = await this.pool.query(NOW_QUERY);
+    // Rows touched inside the lookback may belong to transactions the
+    // listing could not see yet, so they are never reported as deleted
+    const listedAt = Number(nowResult.rows[0].now);
+    const since = listedAt - this.config.lookbackMs;
+    const deleted = [];
+
+    for (const entry of this.registry.entries) {
+      const result = await this.pool.query(entry.listingQuery());
+      const gone = this.tracker.reconcile(entry.name, result.rows, since, listedAt);
+      const states = await this.load(entry.name, gone);
+      deleted.push(...states.map(state => ({ entry: entry.name, state })));
+    }
+
+    this.runs++;
+    this.lastRunAt = Date.now();
+    return deleted;
+  }
+
+  /**
+   * Return these tracked states with each stub replaced by the document as
+   * it was when last listed. A stub whose row cannot be read is returned as
+   * it is.
+   */
+  async load(name, states) {
+    const entry = this.registry.get(name);
+    const stubs = new Map();
+    for (const state of states) {
+      if (!state.stub) continue;
+      if (!stubs.has(state.listedAt)) stubs.set(state.listedAt, new Set());
+      stubs.get(state.listedAt).add(state.id);
+    }
+
+    const loaded = new Map();
+    for (const [listedAt, ids] of stubs) {
+      try {
+        const result = await this.pool.query(entry.historyQuery(listedAt), [[...ids]]);
+        for (const row of result.rows) {
+          if (!ids.has(row.id)) continue;
+          loaded.set(row.id, { entry: name, id: row.id, ...this.toState(name, entry.normalizeRow(row)) });
+        }
+      } catch (err) {
+        console.error(`Failed to load ${ids.size} ${name} documents as last listed:`, err.message);
+      }
+    }
+    return states.map(state => loaded.get(state.id) ?? state);
+  }
+}
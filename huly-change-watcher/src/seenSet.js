@@ -0,0 +1,43 @@
+/**
+ * Tracks which (_id, modifiedOn) versions have already been emitted so that
+ * re-reading the lookback overlap on every poll does not produce duplicates.
+ *
+ * Entries are pruned once they fall behind the start of the overlap window,
+ * which keeps the set bounded by the number of rows written within it.
+ */
+
+export class SeenSet {
+  constructor(entries = []) {
+    this.entries = new Map();
+    for (const [id, modifiedOn] of entries) {
+      this.add(id, modifiedOn);
+    }
+  }
+
+  static key(id, modifiedOn) {
+    return `${id}@${modifiedOn}`;
+  }
+
+  has(id, modifiedOn) {
+    return this.entries.has(SeenSet.key(id, Number(modifiedOn)));
+  }
+
+  add(id, modifiedOn) {
+    this.entries.set(SeenSet.key(id, Number(modifiedOn)), [id, Number(modifiedOn)]);
+  }
+
+  // Forget every version modified before the given timestamp
+  prune(before) {
+    for (const [key, [, modifiedOn]] of this.entries) {
+      if (modifiedOn < before) this.entries.delete(key);
+    }
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+
+  toJSON() {
+    return Array.from(this.entries.values());
+  }
+}
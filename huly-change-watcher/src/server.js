@@ -0,0 +1,295 @@
+/**
+ * HTTP API of the change watcher: health, stats and Prometheus metrics, the
+ * SSE event stream and its WebSocket counterpart at /ws (see
+ * webSocketHub.js), the event history at /history (see eventHistory.js),
+ * subscription management for webhooks and the other sinks (by URL, or by
+ * id under /subscriptions, including secret rotation) and the dead-letter replay
+ * endpoints. Routes other than the health checks may require a token (see
+ * auth.js). With leader election, subscriptions and dead letters are
+ * managed on the leader only; standbys answer 503 there.
+ */
+
+import http from 'http';
+import { WebSocketServer } from 'ws';
+import { compileFilter, filterFromQuery } from './eventFilter.js';
+import { Authenticator, accessLevel } from './auth.js';
+import { historyQueryFromParams } from './eventHistory.js';
+
+export function createServer(watcher) {
+  const authenticator = new Authenticator({ config: watcher.config });
+
+  const server = http.createServer((req, res) => {
+    // Parse request body helper
+    const getBody = (req) => {
+      return new Promise((resolve, reject) => {
+        let body = '';
+        req.on('data', chunk => body += chunk.toString());
+        req.on('end', () => {
+          try {
+            resolve(body ? JSON.parse(body) : {});
+          } catch (err) {
+            reject(new Error('Invalid JSON'));
+          }
+        });
+        req.on('error', reject);
+      });
+    };
+
+    const { pathname, searchParams } = new URL(req.url, 'http://localhost');
+    const replayMatch = pathname.match(/^\/deadletters\/([^/]+)\/replay$/);
+    const subscriptionMatch = pathname.match(/^\/subscriptions\/([^/]+)$/);
+
+    const denied = authenticator.check(req, searchParams, accessLevel(pathname));
+    if (denied) {
+      res.writeHead(denied.status, {
+        'Content-Type': 'application/json',
+        ...(denied.status === 401 ? { 'WWW-Authenticate': 'Bearer' } : {})
+      });
+      res.end(JSON.stringify({ error: denied.error }));
+      return;
+    }
+
+    // The leader owns the shared subscriptions and queues; a standby's copy
+    // may be stale and its writes would be overwritten
+    if (accessLevel(pathname) === 'admin' && watcher.role === 'standby') {
+      res.writeHead(503, { 'Content-Type': 'application/json', 'Retry-After': '5' });
+      res.end(JSON.stringify({ error: 'This replica is a standby; manage subscriptions and dead letters on the leader' }));
+      return;
+    }
+
+    if (pathname === '/health') {
+      // Always 200 for existing probes; status reflects readiness
+      const { ready } = watcher.getReadiness();
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ status: ready ? 'ok' : 'degraded', ...watcher.getStats() }));
+    }
+    else if (pathname === '/health/live') {
+      // The process is up and serving requests
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ status: 'ok' }));
+    }
+    else if (pathname === '/health/ready') {
+      const { ready, checks } = watcher.getReadiness();
+      res.writeHead(ready ? 200 : 503, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ status: ready ? 'ready' : 'not_ready', checks }));
+    } 
+    else if (pathname === '/events') {
+      // SSE endpoint; takes the webhook filter spec as query params, and
+      // Last-Event-ID (or ?lastEventId= where the header can't be set) to resume
+      let filter;
+      try {
+        filter = compileFilter(filterFromQuery(searchParams));
+      } catch (err) {
+        res.writeHead(400, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: err.message }));
+        return;
+      }
+      res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive'
+      });
+      watcher.addSubscriber(res, {
+        filter,
+        lastEventId: req.headers['last-event-id'] ?? searchParams.get('lastEventId')
+      });
+    } 
+    else if (pathname === '/history' && req.method === 'GET') {
+      if (!watcher.history.enabled) {
+        res.writeHead(404, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: 'Event history is disabled' }));
+        return;
+      }
+      // A standby's history stops where it last led
+      if (watcher.role === 'standby') {
+        res.writeHead(503, { 'Content-Type': 'application/json', 'Retry-After': '5' });
+        res.end(JSON.stringify({ error: 'This replica is a standby; query event history on the leader' }));
+        return;
+      }
+      let query;
+      try {
+        query = historyQueryFromParams(searchParams);
+      } catch (err) {
+        res.writeHead(400, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: err.message }));
+        return;
+      }
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(watcher.history.query(query)));
+    }
+    else if (pathname === '/metrics') {
+      res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8' });
+      res.end(watcher.metrics.registry.render());
+    }
+    else if (pathname === '/stats') {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(watcher.getStats(), null, 2));
+    }
+    else if (pathname === '/subscribe' && req.method === 'POST') {
+      getBody(req)
+        .then(async body => {
+          if (!body.url) {
+            res.writeHead(400, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ error: 'Missing "url" field in request body' }));
+            return;
+          }
+          await watcher.checkSubscriberUrl(body.url, body.sink);
+          const result = watcher.addWebhookSubscriber(body.url, {
+            secret: body.secret,
+            filter: body.filter,
+            delivery: body.delivery,
+            format: body.format,
+            sink: body.sink,
+            description: body.description
+          });
+          res.writeHead(200, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify(result));
+        })
+        .catch(err => {
+          res.writeHead(400, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({ error: err.message }));
+        });
+    }
+    else if (pathname === '/unsubscribe' && req.method === 'POST') {
+      getBody(req)
+        .then(body => {
+          if (!body.url) {
+            res.writeHead(400, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ error: 'Missing "url" field in request body' }));
+            return;
+          }
+          const result = watcher.removeWebhookSubscriber(body.url);
+          res.writeHead(200, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify(result));
+        })
+        .catch(err => {
+          res.writeHead(400, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({ error: err.message }));
+        });
+    }
+    else if (pathname === '/subscribers' && req.method === 'GET') {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({
+        webhookSubscribers: watcher.listWebhookSubscribers(),
+        count: watcher.webhookSubscribers.size,
+        subscribers: watcher.listSubscriberHealth()
+      }));
+    }
+    else if (pathname === '/subscribers/rotate-secret' && req.method === 'POST') {
+      getBody(req)
+        .then(body => {
+          if (!body.url) {
+            res.writeHead(400, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ error: 'Missing "url" field in request body' }));
+            return;
+          }
+          const result = watcher.rotateWebhookSecret(body.url, {
+            secret: body.secret || undefined,
+            gracePeriodMs: body.gracePeriodMs ?? undefined
+          });
+          res.writeHead(result.success ? 200 : 404, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify(result));
+        })
+        .catch(err => {
+          res.writeHead(400, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({ error: err.message }));
+        });
+    }
+    else if (pathname === '/subscriptions' && req.method === 'GET') {
+      const subscriptions = watcher.listSubscriptions();
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ subscriptions, count: subscriptions.length }));
+    }
+    else if (subscriptionMatch && ['GET', 'PATCH', 'DELETE'].includes(req.method)) {
+      const id = decodeURIComponent(subscriptionMatch[1]);
+      const notFound = () => {
+        res.writeHead(404, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: `Subscription ${id} not found` }));
+      };
+
+      if (req.method === 'GET' || req.method === 'DELETE') {
+        const subscription = req.method === 'GET' ? watcher.getSubscription(id) : watcher.deleteSubscription(id);
+        if (!subscription) return notFound();
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(subscription));
+        return;
+      }
+
+      getBody(req)
+        .then(async body => {
+          const existing = watcher.getSubscription(id);
+          if (existing && body.sink !== undefined) {
+            await watcher.checkSubscriberUrl(existing.url, body.sink);
+          }
+          const subscription = watcher.updateSubscription(id, body);
+          if (!subscription) return notFound();
+          res.writeHead(200, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify(subscription));
+        })
+        .catch(err => {
+          res.writeHead(400, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({ error: err.message }));
+        });
+    }
+    else if (pathname === '/deadletters' && req.method === 'GET') {
+      const deadLetters = watcher.listDeadLetters({ subscriber: searchParams.get('subscriber') });
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ deadLetters, count: deadLetters.length }));
+    }
+    else if (pathname === '/deadletters/replay' && req.method === 'POST') {
+      watcher.replayDeadLetters({ subscriber: searchParams.get('subscriber') })
+        .then(result => {
+          res.writeHead(200, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify(result));
+        })
+        .catch(err => {
+          res.writeHead(500, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({ error: err.message }));
+        });
+    }
+    else if (replayMatch && req.method === 'POST') {
+      const id = decodeURIComponent(replayMatch[1]);
+      const deadLetter = watcher.deadLetters.get(id);
+      if (!deadLetter) {
+        res.writeHead(404, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: `Dead letter ${id} not found` }));
+        return;
+      }
+      if (!watcher.webhookSubscribers.findByUrl(deadLetter.url)) {
+        res.writeHead(409, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: `The subscription of dead letter ${id} no longer exists` }));
+        return;
+      }
+      watcher.replayDeadLetters({ ids: [id] })
+        .then(result => {
+          res.writeHead(200, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify(result));
+        })
+        .catch(err => {
+          res.writeHead(500, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({ error: err.message }));
+        });
+    }
+    else {
+      res.writeHead(404);
+      res.end('Not found');
+    }
+  });
+
+  const webSockets = new WebSocketServer({
+    server,
+    path: '/ws',
+    verifyClient: ({ req }, done) => {
+      const { searchParams } = new URL(req.url, 'http://localhost');
+      const denied = authenticator.check(req, searchParams, 'read');
+      if (denied) {
+        done(false, denied.status, denied.error);
+      } else {
+        done(true);
+      }
+    }
+  });
+  webSockets.on('connection', socket => watcher.webSockets.connect(socket));
+  server.on('close', () => webSockets.close());
+  return server;
+}
@@ -0,0 +1,49 @@
+/**
+ * HMAC signing of webhook deliveries.
+ *
+ * Every delivery carries:
+ *   X-Huly-Delivery-Id  - stable across retries and replays, for deduplication
+ *   X-Huly-Timestamp    - epoch milliseconds of this attempt
+ *   X-Huly-Signature    - `sha256=<hex>` HMAC-SHA256 of `<timestamp>.<body>`
+ *
+ * While a secret is being rotated the signature header lists one entry per
+ * active secret (`sha256=<new>,sha256=<old>`); a receiver accepts the request
+ * if any entry matches the secret it knows.
+ */
+
+import { createHmac, randomBytes, timingSafeEqual } from 'crypto';
+
+export function generateSecret() {
+  return `whsec_${randomBytes(32).toString('hex')}`;
+}
+
+export function sign(secret, timestamp, body) {
+  return createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+export function signatureHeaders({ secrets, deliveryId, timestamp, body }) {
+  const headers = {
+    'X-Huly-Delivery-Id': deliveryId,
+    'X-Huly-Timestamp': String(timestamp)
+  };
+  if (secrets.length > 0) {
+    headers['X-Huly-Signature'] = secrets.map(secret => `sha256=${sign(secret, timestamp, body)}`).join(',');
+  }
+  return headers;
+}
+
+/**
+ * Receiver-side check, also used in tests: true when one of the signatures in
+ * the header matches `secret` and the timestamp is within `toleranceMs`.
+ */
+export function verifySignature({ secret, header, timestamp, body, toleranceMs = 5 * 60 * 1000, now = Date.now() }) {
+  if (!header || Math.abs(now - Number(timestamp)) > toleranceMs) return false;
+
+  const expected = Buffer.from(sign(secret, timestamp, body), 'hex');
+  return header.split(',').some(entry => {
+    const [scheme, value] = entry.trim().split('=');
+    if (scheme !== 'sha256' || !value) return false;
+    const actual = Buffer.from(value, 'hex');
+    return actual.length === expected.length && timingSafeEqual(actual, expected);
+  });
+}
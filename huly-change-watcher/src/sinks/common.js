@@ -0,0 +1,79 @@
+/**
+ * Helpers shared by the sinks.
+ */
+
+// How long (ms) a sink may take to accept a payload or answer a probe
+export const SEND_TIMEOUT_MS = 5000;
+
+// Reject with a timeout error unless the promise settles within `ms`
+export function withTimeout(promise, ms, what) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`${what} timed out after ${ms}ms`)), ms);
+    timer.unref?.();
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+export function rejectUnknownOptions(type, options, known) {
+  const unknown = Object.keys(options).filter(key => !known.includes(key));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown options for ${type} sink: ${unknown.join(', ')}`);
+  }
+}
+
+// The stream, subject or topic a broker URL names in its path
+export function destinationOf(url, what) {
+  const parsed = new URL(url);
+  const destination = decodeURIComponent(parsed.pathname.replace(/^\//, ''));
+  if (!destination) {
+    throw new Error(`${parsed.protocol.slice(0, -1)} sink URL needs a ${what}: ${parsed.protocol}//host/<${what}>`);
+  }
+  return destination;
+}
+
+// Credentials given in a broker URL
+export function credentialsOf(url) {
+  const parsed = new URL(url);
+  return {
+    username: parsed.username ? decodeURIComponent(parsed.username) : null,
+    password: parsed.password ? decodeURIComponent(parsed.password) : null
+  };
+}
+
+/**
+ * Share one connection among a sink's sends; a failed connection attempt is
+ * forgotten so the next send tries again. Given the `addresses` a host was
+ * checked at, `connect` is handed them too, and the connection is replaced
+ * once they change.
+ */
+export class LazyClient {
+  constructor(connect) {
+    this.connect = connect;
+    this.connecting = null;
+    this.addresses = null;
+  }
+
+  get(addresses = null) {
+    if (this.connecting && String(this.addresses) !== String(addresses)) {
+      this.close().catch(() => {});
+    }
+    this.addresses = addresses;
+    if (!this.connecting) {
+      const connecting = this.connect(addresses).catch((err) => {
+        if (this.connecting === connecting) this.connecting = null;
+        throw err;
+      });
+      this.connecting = connecting;
+    }
+    return this.connecting;
+  }
+
+  async close() {
+    const connecting = this.connecting;
+    this.connecting = null;
+    if (!connecting) return;
+    const client = await connecting.catch(() => null);
+    await client?.close();
+  }
+}
@@ -0,0 +1,62 @@
+/**
+ * Newline-delimited JSON file sink: `file:///data/sinks/events.ndjson`. Each
+ * event is appended as one line (the message body; see encodeMessages in
+ * cloudEvents.js), all of a delivery's events in a single write. Rotating
+ * the file is left to the consumer; a new one is created when it is missing.
+ * Subscriptions made through the API may only write under FILE_SINK_DIR.
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { PAYLOAD_FORMATS, encodeMessages } from '../cloudEvents.js';
+import { rejectUnknownOptions } from './common.js';
+
+export class FileSink {
+  static formats = PAYLOAD_FORMATS.filter(format => format !== 'cloudevents-binary');
+
+  static compileOptions(options, url) {
+    rejectUnknownOptions('file', options, []);
+    if (new URL(url).pathname.endsWith('/')) {
+      throw new Error(`File sink URL must name a file: ${url}`);
+    }
+    return {};
+  }
+
+  static async checkTarget(url, options, { config }) {
+    if (!config.fileSinkDir) {
+      throw new Error('Subscriber URL not allowed: file sinks are disabled (FILE_SINK_DIR is not set)');
+    }
+    const relative = path.relative(path.resolve(config.fileSinkDir), fileURLToPath(url));
+    if (!relative || relative.startsWith('..') || path.isAbsolute(relative)) {
+      throw new Error(`Subscriber URL not allowed: files must be under ${config.fileSinkDir}`);
+    }
+  }
+
+  constructor({ url, config }) {
+    this.filePath = fileURLToPath(url);
+    this.config = config;
+  }
+
+  async send(payload, { deliveryId, format = 'native' }) {
+    const messages = encodeMessages(payload, {
+      format,
+      deliveryId,
+      source: this.config.cloudEventsSource,
+      typePrefix: this.config.cloudEventsTypePrefix
+    });
+    if (messages.length === 0) return null;
+    await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+    await fs.appendFile(this.filePath, messages.map(message => `${message.body}\n`).join(''));
+    return null;
+  }
+
+  // Writable: the directory exists or can be made, and the file can be opened for appending
+  async probe() {
+    await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+    const handle = await fs.open(this.filePath, 'a');
+    await handle.close();
+  }
+
+  async close() {}
+}
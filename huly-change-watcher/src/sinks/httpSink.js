@@ -0,0 +1,97 @@
+/**
+ * Webhook sink: POSTs each payload to the subscriber's http(s) URL, signed
+ * with its secrets (see signing.js), in any of the payload formats. Anything
+ * but a 2xx answer fails the delivery. Receivers cannot redirect deliveries,
+ * which could otherwise point past the URL policy, and deliveries to a host
+ * the policy checked connect only to the addresses it was checked at.
+ */
+
+import { Agent } from 'undici';
+import { encodePayload, PAYLOAD_FORMATS } from '../cloudEvents.js';
+import { createEnvelope } from '../eventSchema.js';
+import { signatureHeaders } from '../signing.js';
+import { pinnedLookup } from '../urlPolicy.js';
+import { SEND_TIMEOUT_MS, rejectUnknownOptions } from './common.js';
+
+export class HttpSink {
+  static formats = PAYLOAD_FORMATS;
+
+  static compileOptions(options) {
+    rejectUnknownOptions('http', options, []);
+    return {};
+  }
+
+  // Resolves with the addresses to connect to
+  static checkTarget(url, options, { urlPolicy }) {
+    return urlPolicy.check(url);
+  }
+
+  constructor({ url, config, secrets = () => [], headers = () => ({}) }) {
+    this.url = url;
+    this.config = config;
+    // Read per request: secrets rotate and the fencing token changes
+    this.secrets = secrets;
+    this.headers = headers;
+    this.pinned = null;
+  }
+
+  // One request, or one per event in CloudEvents binary mode; resolves with
+  // the last status code, throws (with the `statusCode` when there was a
+  // response) unless all are 2xx. With `addresses`, connects only to those.
+  async send(payload, { deliveryId, format = 'native', headers = {}, addresses = null }) {
+    const requests = encodePayload(payload, {
+      format,
+      deliveryId,
+      source: this.config.cloudEventsSource,
+      typePrefix: this.config.cloudEventsTypePrefix
+    });
+
+    let status = null;
+    for (const request of requests) {
+      const response = await fetch(this.url, {
+        method: 'POST',
+        headers: {
+          ...request.headers,
+          ...this.headers(),
+          ...signatureHeaders({
+            secrets: this.secrets(),
+            deliveryId,
+            timestamp: Date.now(),
+            body: request.body
+          }),
+          ...headers
+        },
+        body: request.body,
+        redirect: 'manual',
+        signal: AbortSignal.timeout(SEND_TIMEOUT_MS),
+        ...(addresses ? { dispatcher: this.dispatcherFor(addresses) } : {})
+      });
+      if (!response.ok) {
+        throw Object.assign(new Error(`HTTP ${response.status}`), { statusCode: response.status });
+      }
+      status = response.status;
+    }
+    return status;
+  }
+
+  // An empty, signed payload marked with `probe: true` and an `X-Huly-Probe` header
+  probe({ deliveryId, format, addresses = null }) {
+    return this.send(createEnvelope([], { probe: true }), { deliveryId, format, addresses, headers: { 'X-Huly-Probe': 'true' } });
+  }
+
+  // An agent connecting only to these addresses, kept while they stay the same
+  dispatcherFor(addresses) {
+    const key = addresses.join(',');
+    if (this.pinned?.key !== key) {
+      this.pinned?.agent.close().catch(() => {});
+      this.pinned = { key, agent: new Agent({ connect: { lookup: pinnedLookup(addresses) } }) };
+    }
+    return this.pinned.agent;
+  }
+
+  async close() {
+    const pinned = this.pinned;
+    this.pinned = null;
+    await pinned?.agent.close();
+  }
+}
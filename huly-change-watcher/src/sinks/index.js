@@ -0,0 +1,136 @@
+/**
+ * Sinks carry a subscriber's deliveries to where it reads them. The
+ * subscriber URL's scheme picks the sink:
+ *   http(s)://host/path               - webhook (httpSink.js)
+ *   redis(s)://host:6379/<stream>     - Redis Streams (redisSink.js)
+ *   nats://host:4222/<subject>        - NATS (natsSink.js)
+ *   kafka://host:9092/<topic>         - Kafka (kafkaSink.js)
+ *   file:///path/events.ndjson        - newline-delimited JSON file (fileSink.js)
+ *
+ * A sink implements:
+ *   send(payload, { deliveryId, format, addresses }) - hand over one delivery's
+ *                               envelope (see eventSchema.js); resolves with
+ *                               the HTTP status for webhooks and null
+ *                               otherwise, throws unless every event was
+ *                               accepted, so the delivery queue retries it
+ *   probe({ deliveryId, format, addresses }) - resolves if the sink is reachable again,
+ *                               for suspended subscribers
+ *   close()                   - release its connection
+ * and, as static members, the payload `formats` it supports,
+ * `compileOptions(options, url)`, which validates a subscription's sink
+ * options and fills in their defaults, and `checkTarget(url, options, deps)`,
+ * which throws unless a subscription made through the API may use the URL.
+ * It may resolve with the `addresses` the host was checked at, which are then
+ * handed to `send` and `probe` so the sink connects to nothing else.
+ *
+ * Broker sinks connect on their first send and keep the connection until
+ * closed. Their client libraries are only loaded then, and tests hand in
+ * in-process stand-ins through `clients` instead.
+ */
+
+import { HttpSink } from './httpSink.js';
+import { RedisSink } from './redisSink.js';
+import { NatsSink } from './natsSink.js';
+import { KafkaSink } from './kafkaSink.js';
+import { FileSink } from './fileSink.js';
+
+const SINKS = {
+  http: HttpSink,
+  redis: RedisSink,
+  nats: NatsSink,
+  kafka: KafkaSink,
+  file: FileSink
+};
+
+const PROTOCOLS = {
+  'http:': 'http',
+  'https:': 'http',
+  'redis:': 'redis',
+  'rediss:': 'redis',
+  'nats:': 'nats',
+  'kafka:': 'kafka',
+  'file:': 'file'
+};
+
+export const SINK_TYPES = Object.keys(SINKS);
+
+// Which sink a subscriber URL selects; throws for an invalid or unsupported URL
+export function sinkType(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    throw new Error(`Invalid subscriber URL: ${url}`);
+  }
+  const type = PROTOCOLS[parsed.protocol];
+  if (!type) {
+    throw new Error(`Subscriber URL must be http(s), redis(s), nats, kafka or file: ${url}`);
+  }
+  return type;
+}
+
+/**
+ * Validate a subscription's sink options against its URL and return them
+ * with defaults filled in, as `{ type, ...options }`. A missing spec takes
+ * every default.
+ */
+export function compileSink(url, spec = null) {
+  const type = sinkType(url);
+  if (spec !== null && (typeof spec !== 'object' || Array.isArray(spec))) {
+    throw new Error('Sink options must be an object');
+  }
+  const { type: given, ...options } = spec || {};
+  if (given !== undefined && given !== type) {
+    throw new Error(`Sink type "${given}" does not match the ${type} URL`);
+  }
+  return { type, ...SINKS[type].compileOptions(options, url) };
+}
+
+// Throws unless the sink can deliver in this payload format
+export function checkSinkFormat(sink, format) {
+  if (!SINKS[sink.type].formats.includes(format)) {
+    throw new Error(`Payload format ${format} is not supported by ${sink.type} sinks`);
+  }
+}
+
+// Throws unless a subscription made through the API may use this URL;
+// resolves with the addresses to connect to, if the sink pins them
+export function checkSinkTarget(url, sink, { urlPolicy, config }) {
+  const { type, ...options } = sink;
+  return SINKS[type].checkTarget(url, options, { urlPolicy, config });
+}
+
+/**
+ * Build the sink for a subscriber URL and its compiled options. `secrets`
+ * and `headers` are read on every webhook request; `urlPolicy` is given for
+ * subscriptions made through the API, for sinks that find further hosts to
+ * connect to; `clients` replaces the broker connectors (`redis`, `nats`,
+ * `kafka`).
+ */
+export function createSink(url, sink, { config, secrets, headers, urlPolicy = null, clients = {} }) {
+  const { type, ...options } = sink;
+  const Sink = SINKS[type];
+  return new Sink({
+    url,
+    options,
+    config,
+    secrets,
+    headers,
+    urlPolicy,
+    ...(clients[type] ? { connect: clients[type] } : {})
+  });
+}
+
+// A URL fit for logs: without a password
+export function redactUrl(url) {
+  try {
+    const parsed = new URL(url);
+    if (!parsed.password) return url;
+    parsed.password = '***';
+    return parsed.toString();
+  } catch {
+    return url;
+  }
+}
+
+export { HttpSink, RedisSink, NatsSink, KafkaSink, FileSink };
@@ -0,0 +1,141 @@
+/**
+ * Kafka sink: `kafka://[user:password@]host[:9092]/<topic>`. Every event is
+ * produced as its own record, keyed by the document id so a document's
+ * events stay in order on one partition, with the headers
+ * `huly-delivery-id`, `huly-event-type` and `content-type`. Credentials in
+ * the URL are sent with SASL PLAIN. The topic must exist. For subscriptions
+ * made through the API, the URL policy is applied to every broker connected
+ * to, including those the cluster advertises in its metadata.
+ *
+ * Options:
+ *   brokers - further bootstrap brokers, as `host:port`
+ *   ssl     - connect over TLS (default false)
+ */
+
+import net from 'net';
+import tls from 'tls';
+import { PAYLOAD_FORMATS, encodeMessages } from '../cloudEvents.js';
+import { SEND_TIMEOUT_MS, LazyClient, credentialsOf, destinationOf, rejectUnknownOptions, withTimeout } from './common.js';
+
+const BROKER = /^[^\s:/]+:\d+$/;
+
+// kafkajs's default socket factory, connecting only where the URL policy allows
+export function checkedSocketFactory(urlPolicy) {
+  const lookup = urlPolicy.connectLookup();
+  return ({ host, port, ssl, onConnect }) => {
+    if (net.isIP(host)) {
+      // Addresses are never looked up, so they are checked here
+      try {
+        urlPolicy.checkAddresses(host, [host]);
+      } catch (err) {
+        const socket = new net.Socket();
+        process.nextTick(() => socket.destroy(err));
+        return socket;
+      }
+    }
+    const socket = ssl
+      ? tls.connect({ host, port, lookup, ...(net.isIP(host) ? {} : { servername: host }), ...ssl }, onConnect)
+      : net.connect({ host, port, lookup }, onConnect);
+    socket.setKeepAlive(true, 60000);
+    return socket;
+  };
+}
+
+// The client surface the sink uses, on top of kafkajs
+export async function connectKafka({ brokers, username, password, ssl, urlPolicy = null }) {
+  const { Kafka, logLevel } = await import('kafkajs');
+  const kafka = new Kafka({
+    clientId: 'huly-change-watcher',
+    brokers,
+    ssl,
+    sasl: username ? { mechanism: 'plain', username, password: password ?? '' } : undefined,
+    connectionTimeout: SEND_TIMEOUT_MS,
+    // The delivery queue retries failed deliveries
+    retry: { retries: 0 },
+    logLevel: logLevel.NOTHING,
+    ...(urlPolicy ? { socketFactory: checkedSocketFactory(urlPolicy) } : {})
+  });
+  const producer = kafka.producer({ allowAutoTopicCreation: false });
+  await producer.connect();
+  return {
+    send: (topic, messages) => producer.send({ topic, messages }),
+    probe: async (topic) => {
+      const admin = kafka.admin();
+      await admin.connect();
+      try {
+        await admin.fetchTopicMetadata({ topics: [topic] });
+      } finally {
+        await admin.disconnect();
+      }
+    },
+    close: () => producer.disconnect()
+  };
+}
+
+export class KafkaSink {
+  static formats = PAYLOAD_FORMATS.filter(format => format !== 'cloudevents-binary');
+
+  static compileOptions(options, url) {
+    rejectUnknownOptions('kafka', options, ['brokers', 'ssl']);
+    destinationOf(url, 'topic');
+    const { brokers = [], ssl = false } = options;
+    if (!Array.isArray(brokers) || !brokers.every(broker => typeof broker === 'string' && BROKER.test(broker))) {
+      throw new Error('Sink "brokers" must be a list of host:port');
+    }
+    if (typeof ssl !== 'boolean') {
+      throw new Error('Sink "ssl" must be a boolean');
+    }
+    return { brokers, ssl };
+  }
+
+  // Every broker is checked, not only the one in the URL
+  static async checkTarget(url, options, { urlPolicy }) {
+    await urlPolicy.check(url);
+    for (const broker of options.brokers) {
+      await urlPolicy.check(`kafka://${broker}`);
+    }
+  }
+
+  // With a `urlPolicy`, it is applied to every broker connected to
+  constructor({ url, options, config, urlPolicy = null, connect = connectKafka }) {
+    const parsed = new URL(url);
+    this.config = config;
+    this.topic = destinationOf(url, 'topic');
+    this.client = new LazyClient(() => connect({
+      brokers: [`${parsed.hostname}:${Number(parsed.port) || 9092}`, ...options.brokers],
+      ...credentialsOf(url),
+      ssl: options.ssl,
+      urlPolicy
+    }));
+  }
+
+  async send(payload, { deliveryId, format = 'native' }) {
+    const messages = encodeMessages(payload, {
+      format,
+      deliveryId,
+      source: this.config.cloudEventsSource,
+      typePrefix: this.config.cloudEventsTypePrefix
+    });
+    if (messages.length === 0) return null;
+    const client = await withTimeout(this.client.get(), SEND_TIMEOUT_MS, 'Kafka connection');
+    await withTimeout(client.send(this.topic, messages.map(message => ({
+      key: message.key,
+      value: message.body,
+      headers: {
+        'huly-delivery-id': message.id,
+        'huly-event-type': message.type,
+        'content-type': message.contentType
+      }
+    }))), SEND_TIMEOUT_MS, 'Kafka produce');
+    return null;
+  }
+
+  async probe() {
+    const client = await withTimeout(this.client.get(), SEND_TIMEOUT_MS, 'Kafka connection');
+    await withTimeout(client.probe(this.topic), SEND_TIMEOUT_MS, 'Kafka metadata request');
+  }
+
+  close() {
+    return this.client.close();
+  }
+}
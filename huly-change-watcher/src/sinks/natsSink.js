@@ -0,0 +1,107 @@
+/**
+ * NATS sink: `nats://[user:password@ | token@]host[:4222]/<subject>`. Every
+ * event is published as its own message, by default on
+ * `<subject>.<event type>` (`huly.events.issue.status_changed`) so consumers
+ * can subscribe to `huly.events.issue.>`. Messages carry a `Nats-Msg-Id`
+ * header derived from the delivery id, which JetStream uses to drop the
+ * duplicates a retried delivery can publish. A send completes once the
+ * server has acknowledged a flush. Only the server in the URL is connected
+ * to, never others the cluster announces, which the URL policy has not
+ * checked; for subscriptions made through the API, at the address the policy
+ * checked it at.
+ *
+ * Options:
+ *   typeSuffix - append the event type to the subject (default true)
+ */
+
+import net from 'net';
+import { PAYLOAD_FORMATS, encodeMessages } from '../cloudEvents.js';
+import { SEND_TIMEOUT_MS, LazyClient, credentialsOf, destinationOf, rejectUnknownOptions, withTimeout } from './common.js';
+
+const SUBJECT = /^[^\s*>.]+(\.[^\s*>.]+)*$/;
+
+const hostPort = (host, port) => (net.isIPv6(host) ? `[${host}]:${port}` : `${host}:${port}`);
+
+// The client surface the sink uses, on top of nats.js
+export async function connectNats({ servers, user, pass, token }) {
+  const nats = await import('nats');
+  const connection = await nats.connect({
+    servers,
+    user: user ?? undefined,
+    pass: pass ?? undefined,
+    token: token ?? undefined,
+    timeout: SEND_TIMEOUT_MS,
+    ignoreClusterUpdates: true
+  });
+  const encoder = new TextEncoder();
+  return {
+    publish: (subject, body, headers) => {
+      const natsHeaders = nats.headers();
+      for (const [name, value] of Object.entries(headers)) natsHeaders.set(name, value);
+      connection.publish(subject, encoder.encode(body), { headers: natsHeaders });
+    },
+    flush: () => connection.flush(),
+    close: () => connection.close()
+  };
+}
+
+export class NatsSink {
+  static formats = PAYLOAD_FORMATS.filter(format => format !== 'cloudevents-binary');
+
+  static compileOptions(options, url) {
+    rejectUnknownOptions('nats', options, ['typeSuffix']);
+    if (!SUBJECT.test(destinationOf(url, 'subject'))) {
+      throw new Error(`Invalid NATS subject in sink URL: ${url}`);
+    }
+    const { typeSuffix = true } = options;
+    if (typeof typeSuffix !== 'boolean') {
+      throw new Error('Sink "typeSuffix" must be a boolean');
+    }
+    return { typeSuffix };
+  }
+
+  // Resolves with the addresses to connect to
+  static checkTarget(url, options, { urlPolicy }) {
+    return urlPolicy.check(url);
+  }
+
+  constructor({ url, options, config, connect = connectNats }) {
+    const parsed = new URL(url);
+    const { username, password } = credentialsOf(url);
+    this.config = config;
+    this.options = options;
+    this.subject = destinationOf(url, 'subject');
+    this.client = new LazyClient(addresses => connect({
+      servers: hostPort(addresses?.[0] ?? parsed.hostname, Number(parsed.port) || 4222),
+      // A username alone is a token
+      user: password ? username : null,
+      pass: password,
+      token: password ? null : username
+    }));
+  }
+
+  async send(payload, { deliveryId, format = 'native', addresses = null }) {
+    const messages = encodeMessages(payload, {
+      format,
+      deliveryId,
+      source: this.config.cloudEventsSource,
+      typePrefix: this.config.cloudEventsTypePrefix
+    });
+    const client = await withTimeout(this.client.get(addresses), SEND_TIMEOUT_MS, 'NATS connection');
+    for (const message of messages) {
+      const subject = this.options.typeSuffix ? `${this.subject}.${message.type}` : this.subject;
+      client.publish(subject, message.body, { 'Nats-Msg-Id': message.id, 'Content-Type': message.contentType });
+    }
+    await withTimeout(client.flush(), SEND_TIMEOUT_MS, 'NATS flush');
+    return null;
+  }
+
+  async probe({ addresses = null } = {}) {
+    const client = await withTimeout(this.client.get(addresses), SEND_TIMEOUT_MS, 'NATS connection');
+    await withTimeout(client.flush(), SEND_TIMEOUT_MS, 'NATS flush');
+  }
+
+  close() {
+    return this.client.close();
+  }
+}
@@ -0,0 +1,114 @@
+/**
+ * Redis Streams sink: `redis://[user:password@]host[:6379]/<stream>`, or
+ * `rediss://` for TLS. Every event is added to the stream with XADD as the
+ * fields `id`, `type`, `content-type` and `event` (the message body; see
+ * encodeMessages in cloudEvents.js), so consumer groups can read them with
+ * XREADGROUP.
+ *
+ * For subscriptions made through the API, the connection goes to the address
+ * the URL policy checked the host at, with TLS still verifying the host name.
+ *
+ * Options:
+ *   db     - logical database (default 0)
+ *   maxLen - trim the stream to about this many entries (default: no trimming)
+ */
+
+import net from 'net';
+import { PAYLOAD_FORMATS, encodeMessages } from '../cloudEvents.js';
+import { SEND_TIMEOUT_MS, LazyClient, credentialsOf, destinationOf, rejectUnknownOptions, withTimeout } from './common.js';
+
+// The client surface the sink uses, on top of ioredis; with an `address`,
+// connects there rather than to what `host` resolves to
+export async function connectRedis({ host, address = null, port, username, password, db, tls }) {
+  const { Redis } = await import('ioredis');
+  const redis = new Redis({
+    host: address ?? host,
+    port,
+    username: username ?? undefined,
+    password: password ?? undefined,
+    db,
+    tls: tls ? (address && !net.isIP(host) ? { servername: host } : {}) : undefined,
+    lazyConnect: true,
+    connectTimeout: SEND_TIMEOUT_MS,
+    // Fail commands while disconnected; the delivery queue retries them
+    enableOfflineQueue: false,
+    maxRetriesPerRequest: 0
+  });
+  redis.on('error', () => {});
+  await redis.connect();
+  return {
+    xadd: (stream, fields, { maxLen }) => redis.xadd(
+      stream,
+      ...(maxLen ? ['MAXLEN', '~', String(maxLen)] : []),
+      '*',
+      ...Object.entries(fields).flat()
+    ),
+    ping: () => redis.ping(),
+    close: () => redis.quit()
+  };
+}
+
+export class RedisSink {
+  static formats = PAYLOAD_FORMATS.filter(format => format !== 'cloudevents-binary');
+
+  static compileOptions(options, url) {
+    rejectUnknownOptions('redis', options, ['db', 'maxLen']);
+    destinationOf(url, 'stream');
+    const { db = 0, maxLen = null } = options;
+    if (!Number.isInteger(db) || db < 0) {
+      throw new Error('Sink "db" must be a non-negative integer');
+    }
+    if (maxLen !== null && (!Number.isInteger(maxLen) || maxLen <= 0)) {
+      throw new Error('Sink "maxLen" must be a positive integer');
+    }
+    return { db, maxLen };
+  }
+
+  // Resolves with the addresses to connect to
+  static checkTarget(url, options, { urlPolicy }) {
+    return urlPolicy.check(url);
+  }
+
+  constructor({ url, options, config, connect = connectRedis }) {
+    const parsed = new URL(url);
+    this.config = config;
+    this.options = options;
+    this.stream = destinationOf(url, 'stream');
+    this.client = new LazyClient(addresses => connect({
+      host: parsed.hostname,
+      ...(addresses ? { address: addresses[0] } : {}),
+      port: Number(parsed.port) || 6379,
+      ...credentialsOf(url),
+      db: options.db,
+      tls: parsed.protocol === 'rediss:'
+    }));
+  }
+
+  async send(payload, { deliveryId, format = 'native', addresses = null }) {
+    const messages = encodeMessages(payload, {
+      format,
+      deliveryId,
+      source: this.config.cloudEventsSource,
+      typePrefix: this.config.cloudEventsTypePrefix
+    });
+    const client = await withTimeout(this.client.get(addresses), SEND_TIMEOUT_MS, 'Redis connection');
+    for (const message of messages) {
+      await withTimeout(client.xadd(this.stream, {
+        id: message.id,
+        type: message.type,
+        'content-type': message.contentType,
+        event: message.body
+      }, { maxLen: this.options.maxLen }), SEND_TIMEOUT_MS, 'Redis XADD');
+    }
+    return null;
+  }
+
+  async probe({ addresses = null } = {}) {
+    const client = await withTimeout(this.client.get(addresses), SEND_TIMEOUT_MS, 'Redis connection');
+    await withTimeout(client.ping(), SEND_TIMEOUT_MS, 'Redis PING');
+  }
+
+  close() {
+    return this.client.close();
+  }
+}
@@ -0,0 +1,220 @@
+/**
+ * CockroachDB changefeed change source
+ *
+ * Consumes a sinkless `EXPERIMENTAL CHANGEFEED` over the tables of every
+ * watched class via the pg wire protocol instead of polling. Rows are buffered and handed to
+ * onChanges whenever a resolved timestamp arrives (or the buffer fills); the
+ * resolved timestamp is then persisted as the durable cursor, so a restart
+ * or dropped connection resumes the feed with `cursor = '<resolved>'`.
+ */
+
+import pg from 'pg';
+import { NOW_QUERY } from './pollingSource.js';
+
+const RECONNECT_DELAY_MS = 5000;
+
+// Convert between epoch milliseconds and CockroachDB HLC timestamps
+// ("<wall time in nanoseconds>.<logical>")
+export function msToHlc(ms) {
+  return `${BigInt(Math.floor(ms)) * 1000000n}.0000000000`;
+}
+
+export function hlcToMs(hlc) {
+  return Number(BigInt(hlc.split('.')[0]) / 1000000n);
+}
+
+export function buildChangefeedQuery({ tables, cursor, resolvedInterval }) {
+  const options = [`resolved = '${resolvedInterval}'`];
+  if (cursor) {
+    if (!/^\d+(\.\d+)?$/.test(cursor)) {
+      throw new Error(`Invalid changefeed cursor: ${cursor}`);
+    }
+    options.push(`cursor = '${cursor}'`);
+  } else {
+    // Without a cursor CockroachDB would replay every existing row first
+    options.push('no_initial_scan');
+  }
+  return `EXPERIMENTAL CHANGEFEED FOR ${tables.join(', ')} WITH ${options.join(', ')}`;
+}
+
+export class ChangefeedChangeSource {
+  constructor({ pool, cursorStore, registry, config, metrics = null, onChanges = null, onError = null }) {
+    this.pool = pool;
+    this.metrics = metrics;
+    this.registry = registry;
+    this.cursorStore = cursorStore;
+    this.config = config;
+    this.onChanges = onChanges;
+    this.onError = onError;
+    this.resolved = null;
+    this.buffer = [];
+    this.chain = Promise.resolve();
+    this.client = null;
+    this.isRunning = false;
+    // Bumped by every start and stop, so a connection made for an earlier
+    // start is dropped instead of running a second feed
+    this.generation = 0;
+    this.messagesReceived = 0;
+    this.lastResolvedAt = null;
+    this.consecutiveErrors = 0;
+  }
+
+  async start(onChanges, onError) {
+    this.onChanges = onChanges;
+    this.onError = onError;
+    const generation = ++this.generation;
+    await this.restoreCursor();
+    // Stopped (or restarted) while the cursor was restored
+    if (generation !== this.generation) return;
+    this.isRunning = true;
+    this.connect();
+  }
+
+  /**
+   * Load the persisted resolved timestamp, clamping it to the max catch-up
+   * window. With no cursor the feed starts at the current statement time.
+   */
+  async restoreCursor() {
+    let saved = null;
+
+    try {
+      saved = await this.cursorStore.load();
+    } catch (err) {
+      console.error('Failed to load changefeed cursor, starting from now:', err.message);
+    }
+
+    const resolved = saved?.changefeed?.resolved;
+    if (!resolved) {
+      this.resolved = null;
+      return;
+    }
+
+    const result = await this.pool.query(NOW_QUERY);
+    const floor = Number(result.rows[0].now) - this.config.maxCatchupMs;
+    if (hlcToMs(resolved) < floor) {
+      console.warn(`Changefeed cursor is older than the catch-up window, skipping to ${new Date(floor).toISOString()}`);
+      this.resolved = msToHlc(floor);
+    } else {
+      console.log(`Resuming changefeed from ${new Date(hlcToMs(resolved)).toISOString()}`);
+      this.resolved = resolved;
+    }
+  }
+
+  async connect() {
+    if (!this.isRunning) return;
+
+    const generation = this.generation;
+    let client;
+    try {
+      client = await this.pool.connect();
+    } catch (err) {
+      if (generation === this.generation) this.fail(err);
+      return;
+    }
+    if (generation !== this.generation || !this.isRunning) {
+      client.release();
+      return;
+    }
+
+    this.client = client;
+    this.buffer = [];
+    const sql = buildChangefeedQuery({
+      tables: this.registry.tables(),
+      cursor: this.resolved,
+      resolvedInterval: this.config.changefeedResolvedInterval
+    });
+    console.log(`Starting changefeed${this.resolved ? ` from ${this.resolved}` : ''}`);
+
+    const query = client.query(new pg.Query(sql));
+    query.on('row', (row) => {
+      this.messagesReceived++;
+      this.chain = this.chain
+        .then(() => client === this.client && this.handleMessage(row))
+        .catch((err) => this.fail(err, client));
+    });
+    query.on('error', (err) => this.fail(err, client));
+    query.on('end', () => this.fail(new Error('Changefeed ended unexpectedly'), client));
+  }
+
+  async handleMessage(row) {
+    const value = JSON.parse(Buffer.isBuffer(row.value) ? row.value.toString('utf8') : row.value);
+
+    if (!row.table) {
+      if (value.resolved) {
+        await this.flush(value.resolved);
+      }
+      return;
+    }
+
+    this.metrics?.rowsScanned.inc({ table: row.table });
+    if (!value.after) {
+      // Deleted row: the primary key ("workspaceId", _id) ends with the _id.
+      // The _class is gone with the row, so the watcher resolves the entry.
+      const key = JSON.parse(Buffer.isBuffer(row.key) ? row.key.toString('utf8') : row.key);
+      this.buffer.push({ table: row.table, row: { id: key[key.length - 1] }, deleted: true });
+    } else {
+      const entry = this.registry.match(row.table, value.after._class);
+      if (!entry) return;
+      this.buffer.push({ entry: entry.name, row: entry.rowFromDocument(value.after) });
+    }
+
+    if (this.buffer.length >= this.config.pageSize) {
+      await this.flush(null);
+    }
+  }
+
+  /**
+   * Emit buffered rows, then record the resolved timestamp (if any). The
+   * cursor is only persisted once everything before it has been emitted.
+   */
+  async flush(resolved) {
+    const batch = this.buffer.splice(0);
+    if (batch.length > 0) {
+      await this.onChanges(batch);
+    }
+    if (resolved) {
+      this.resolved = resolved;
+      this.lastResolvedAt = Date.now();
+      this.consecutiveErrors = 0;
+      await this.cursorStore.save({ changefeed: { resolved }, savedAt: Date.now() });
+    }
+  }
+
+  // Tear down the feed and reconnect from the last persisted resolved timestamp
+  fail(err, client = this.client) {
+    if (client && client === this.client) {
+      this.client = null;
+      client.release(true);
+    } else if (client) {
+      return;
+    }
+    if (!this.isRunning) return;
+
+    this.consecutiveErrors++;
+    console.error('Changefeed error:', err.message);
+    if (this.onError) this.onError(err);
+    this.chain = Promise.resolve();
+    this.reconnectTimer = setTimeout(() => this.connect(), RECONNECT_DELAY_MS);
+  }
+
+  getStats() {
+    return {
+      type: 'changefeed',
+      messagesReceived: this.messagesReceived,
+      resolved: this.resolved,
+      lastResolvedAt: this.lastResolvedAt,
+      consecutiveErrors: this.consecutiveErrors,
+      cursorLagMs: this.resolved ? Date.now() - hlcToMs(this.resolved) : null
+    };
+  }
+
+  async stop() {
+    this.isRunning = false;
+    this.generation++;
+    clearTimeout(this.reconnectTimer);
+    if (this.client) {
+      this.client.release(true);
+      this.client = null;
+    }
+  }
+}
@@ -0,0 +1,42 @@
+/**
+ * Change sources feed ChangeWatcher with batches of changed rows.
+ *
+ * A source implements:
+ *   start(onChanges, onError) - begin delivering; onChanges(changes) is
+ *                               awaited before the source advances its
+ *                               durable cursor past those changes
+ *   stop()                    - stop delivering
+ *   getStats()                - source-specific counters for /stats, including
+ *                               consecutiveErrors (failures since the last
+ *                               success) and cursorLagMs (how far behind now
+ *                               the changes seen so far reach, null until
+ *                               known), which /health/ready checks
+ *
+ * Sources are given the watcher's `metrics` (see ChangeWatcher.defineMetrics)
+ * and count the rows they read in `rowsScanned`; the polling source also
+ * times each poll in `pollDuration`.
+ *
+ * Each change is `{ entry, row }`, where entry names the watched class (see
+ * watchedClasses.js) and row has the shape its queries project (id, class,
+ * space, modifiedOn, modifiedBy, createdOn and the entry's fields). Sources
+ * that observe deletions directly emit `{ table, row: { id }, deleted: true }`,
+ * since the class of a deleted row is no longer known.
+ */
+
+import { PollingChangeSource } from './pollingSource.js';
+import { ChangefeedChangeSource } from './changefeedSource.js';
+
+const SOURCES = {
+  polling: PollingChangeSource,
+  changefeed: ChangefeedChangeSource
+};
+
+export function createChangeSource(type, options) {
+  const Source = SOURCES[type];
+  if (!Source) {
+    throw new Error(`Unknown change source "${type}" (expected one of: ${Object.keys(SOURCES).join(', ')})`);
+  }
+  return new Source(options);
+}
+
+export { PollingChangeSource, ChangefeedChangeSource };
@@ -0,0 +1,241 @@
+/**
+ * Polling change source
+ *
+ * Pages through every watched class in ("modifiedOn", _id) keyset order
+ * every POLL_INTERVAL. Progress is tracked with a cursor per watched class
+ * that is persisted after every emitted page, so neither a large burst nor a
+ * restart drops changes.
+ *
+ * The cursor only ever reflects "modifiedOn" values read from the database,
+ * never the watcher's own clock. Each poll re-reads a short lookback window
+ * behind it to pick up transactions that committed late with an earlier
+ * "modifiedOn"; rows already emitted are suppressed by a seen-set keyed on
+ * (_id, modifiedOn).
+ */
+
+import { SeenSet } from '../seenSet.js';
+
+export const NOW_QUERY = `SELECT (extract(epoch FROM now()) * 1000)::INT8 AS now`;
+
+// Orders ("modifiedOn", _id) cursors the same way the keyset queries do
+function compareCursors(a, b) {
+  if (a.modifiedOn !== b.modifiedOn) return a.modifiedOn - b.modifiedOn;
+  return a.id < b.id ? -1 : a.id > b.id ? 1 : 0;
+}
+
+export class PollingChangeSource {
+  constructor({ pool, cursorStore, registry, config, metrics = null, onChanges = null, onError = null }) {
+    this.pool = pool;
+    this.metrics = metrics;
+    this.registry = registry;
+    this.cursorStore = cursorStore;
+    this.config = config;
+    this.onChanges = onChanges;
+    this.onError = onError;
+    this.cursors = {};
+    this.seen = {};
+    this.isRunning = false;
+    // Bumped by every start and stop; a poll loop from an earlier start
+    // stops at its next page instead of running beside the new one
+    this.generation = 0;
+    this.checksPerformed = 0;
+    this.lastChecked = null;
+    // Start of the last poll that paged through to the newest rows
+    this.lastCaughtUpAt = null;
+    this.consecutiveErrors = 0;
+  }
+
+  async start(onChanges, onError) {
+    this.onChanges = onChanges;
+    this.onError = onError;
+    const generation = ++this.generation;
+    await this.restoreCursors();
+    // Stopped (or restarted) while the cursors were restored
+    if (generation !== this.generation) return;
+    this.isRunning = true;
+    this.poll(generation);
+  }
+
+  isCurrent(generation) {
+    return this.isRunning && generation === this.generation;
+  }
+
+  /**
+   * Load the persisted cursor. Tables that have never been polled start at
+   * their newest row; cursors older than the max catch-up window (measured
+   * against database time) are clamped to it.
+   */
+  async restoreCursors() {
+    let saved = null;
+
+    try {
+      saved = await this.cursorStore.load();
+    } catch (err) {
+      console.error('Failed to load change cursor, starting from latest rows:', err.message);
+    }
+
+    const floor = (await this.getDatabaseTime()) - this.config.maxCatchupMs;
+
+    for (const { name, table } of this.registry.entries) {
+      // Cursors written before the watched class registry were keyed by table
+      const cursor = saved?.tables?.[name] ?? saved?.tables?.[table];
+      this.seen[name] = new SeenSet(saved?.seen?.[name] ?? saved?.seen?.[table] ?? []);
+
+      if (!cursor) {
+        this.cursors[name] = await this.getLatestCursor(name);
+        await this.primeSeen(name);
+      } else if (cursor.modifiedOn < floor) {
+        console.warn(`Cursor for ${name} is older than the catch-up window, skipping to ${new Date(floor).toISOString()}`);
+        this.cursors[name] = { modifiedOn: floor, id: '' };
+      } else {
+        console.log(`Resuming ${name} from ${new Date(cursor.modifiedOn).toISOString()} (${cursor.id || 'start'})`);
+        this.cursors[name] = { modifiedOn: cursor.modifiedOn, id: cursor.id };
+      }
+    }
+  }
+
+  async getDatabaseTime() {
+    const result = await this.pool.query(NOW_QUERY);
+    return Number(result.rows[0].now);
+  }
+
+  async getLatestCursor(name) {
+    const result = await this.pool.query(this.registry.get(name).latestQuery());
+    const latest = result.rows[0];
+    return latest
+      ? { modifiedOn: Number(latest.modifiedOn), id: latest.id }
+      : { modifiedOn: 0, id: '' };
+  }
+
+  // Mark rows in the lookback window behind a freshly seeded cursor as seen,
+  // so the first poll does not treat history as new changes
+  async primeSeen(name) {
+    const cursor = this.cursors[name];
+    let pageCursor = { modifiedOn: cursor.modifiedOn - this.config.lookbackMs, id: '' };
+    let rows;
+
+    do {
+      rows = await this.fetchPage(name, pageCursor);
+      for (const row of rows) {
+        if (compareCursors({ modifiedOn: Number(row.modifiedOn), id: row.id }, cursor) > 0) return;
+        this.seen[name].add(row.id, row.modifiedOn);
+      }
+      if (rows.length > 0) {
+        const last = rows[rows.length - 1];
+        pageCursor = { modifiedOn: Number(last.modifiedOn), id: last.id };
+      }
+    } while (rows.length === this.config.pageSize);
+  }
+
+  async saveCursors() {
+    const seen = {};
+    for (const name of Object.keys(this.seen)) {
+      seen[name] = this.seen[name].toJSON();
+    }
+    await this.cursorStore.save({ tables: this.cursors, seen, savedAt: Date.now() });
+  }
+
+  async poll(generation = this.generation) {
+    if (!this.isCurrent(generation)) return;
+
+    const started = Date.now();
+    try {
+      const emitted = this.metrics
+        ? await this.metrics.pollDuration.time({}, () => this.checkForChanges(generation))
+        : await this.checkForChanges(generation);
+      if (emitted > 0) {
+        console.log(`Detected ${emitted} changes`);
+      }
+      this.lastCaughtUpAt = started;
+      this.consecutiveErrors = 0;
+    } catch (err) {
+      this.consecutiveErrors++;
+      console.error('Poll error:', err.message);
+      if (this.onError) this.onError(err);
+    }
+
+    if (this.isCurrent(generation)) {
+      this.pollTimer = setTimeout(() => this.poll(generation), this.config.pollInterval);
+    }
+  }
+
+  /**
+   * Page through every row changed since the cursor of each watched class,
+   * starting lookbackMs behind it. Each page is emitted before the cursor
+   * moves past it, so a failure part way through a burst resumes from the
+   * last emitted page rather than dropping the remainder. A stop ends it
+   * before the next page. Returns the number of changes handed to onChanges.
+   */
+  async checkForChanges(generation = this.generation) {
+    this.checksPerformed++;
+    this.lastChecked = Date.now();
+    let emitted = 0;
+
+    for (const { name } of this.registry.entries) {
+      const seen = this.seen[name];
+      const lookbackMs = this.config.lookbackMs;
+      let pageCursor = lookbackMs > 0
+        ? { modifiedOn: this.cursors[name].modifiedOn - lookbackMs, id: '' }
+        : this.cursors[name];
+      let rows;
+
+      do {
+        if (generation !== this.generation) return emitted;
+        rows = await this.fetchPage(name, pageCursor);
+        if (rows.length === 0) break;
+
+        const fresh = rows.filter(row => !seen.has(row.id, row.modifiedOn));
+        if (fresh.length > 0) {
+          await this.onChanges(fresh.map(row => ({ entry: name, row })));
+          for (const row of fresh) seen.add(row.id, row.modifiedOn);
+          emitted += fresh.length;
+        }
+
+        const last = rows[rows.length - 1];
+        pageCursor = { modifiedOn: Number(last.modifiedOn), id: last.id };
+        if (compareCursors(pageCursor, this.cursors[name]) > 0) {
+          this.cursors[name] = pageCursor;
+        }
+        seen.prune(this.cursors[name].modifiedOn - lookbackMs);
+        if (fresh.length > 0) {
+          await this.saveCursors();
+        }
+      } while (rows.length === this.config.pageSize);
+    }
+
+    return emitted;
+  }
+
+  /**
+   * Fetch the next page of rows after the given ("modifiedOn", _id) cursor in
+   * ascending keyset order. modifiedOn is stored as bigint (milliseconds
+   * timestamp); _id breaks ties between rows written in the same millisecond.
+   */
+  async fetchPage(name, cursor) {
+    const entry = this.registry.get(name);
+    const result = await this.pool.query(entry.pageQuery(), [
+      cursor.modifiedOn,
+      cursor.id,
+      this.config.pageSize
+    ]);
+    this.metrics?.rowsScanned.inc({ table: entry.table }, result.rows.length);
+    return result.rows.map(row => entry.normalizeRow(row));
+  }
+
+  getStats() {
+    return {
+      type: 'polling',
+      checksPerformed: this.checksPerformed,
+      lastChecked: this.lastChecked,
+      consecutiveErrors: this.consecutiveErrors,
+      cursorLagMs: this.lastCaughtUpAt === null ? null : Date.now() - this.lastCaughtUpAt,
+      cursors: this.cursors
+    };
+  }
+
+  async stop() {
+    this.isRunning = false;
+    this.generation++;
+    clearTimeout(this.pollTimer);
+  }
+}
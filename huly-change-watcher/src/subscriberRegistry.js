@@ -0,0 +1,345 @@
+/**
+ * Durable registry of webhook subscriptions.
+ *
+ * Each subscription has an id, URL (unique), description, created time,
+ * filter spec, delivery mode, payload format, sink options (the URL's scheme
+ * picks the sink, see sinks/), signing secret(s) for webhooks, enabled flag
+ * and delivery stats, and is
+ * persisted to SUBSCRIBERS_FILE so subscriptions made through the API survive
+ * restarts. The WEBHOOK_URLS subscribers are seeded from the environment on
+ * every start (source 'env'); once persisted, changes made to them through
+ * the API (e.g. pausing) are kept, and they are dropped again when their URL
+ * leaves WEBHOOK_URLS.
+ *
+ * Delivery stats change on every attempt, so they are saved on a short
+ * debounce rather than with every delivery. Alongside the counters they keep
+ * the subscriber's health: consecutive failures, the last status code and a
+ * moving average of the latency. A subscriber failing too often is suspended
+ * (`suspendedAt`) by the watcher until a probe succeeds.
+ */
+
+import { randomUUID } from 'crypto';
+import { compileFilter } from './eventFilter.js';
+import { compileDeliveryMode } from './deliveryModes.js';
+import { validateFormat } from './cloudEvents.js';
+import { compileSink, checkSinkFormat } from './sinks/index.js';
+import { generateSecret } from './signing.js';
+import { JsonDocument } from './jsonStore.js';
+
+const STATS_SAVE_DELAY_MS = 5000;
+// Weight of the newest attempt in the moving average latency
+const LATENCY_SMOOTHING = 0.2;
+const UPDATABLE_FIELDS = ['description', 'enabled', 'filter', 'delivery', 'format', 'sink'];
+
+function initialStats() {
+  return {
+    delivered: 0,
+    failed: 0,
+    deadLettered: 0,
+    consecutiveFailures: 0,
+    lastDeliveryAt: null,
+    lastFailureAt: null,
+    lastError: null,
+    lastStatusCode: null,
+    averageLatencyMs: null,
+    lastProbeAt: null
+  };
+}
+
+export class SubscriberRegistry {
+  constructor({ store, config }) {
+    this.document = new JsonDocument(store, 'subscribers');
+    this.config = config;
+    this.subscribers = new Map();
+    this.filters = new Map();
+    this.saveTimer = null;
+    // Env subscribers seeded since the store was last saved
+    this.seeded = false;
+
+    // A bad entry must not keep the watcher from starting
+    for (const url of config.webhookUrls) {
+      try {
+        this.create({ url, secret: config.webhookSecret, source: 'env' });
+      } catch (err) {
+        console.error(`Skipping WEBHOOK_URLS entry: ${err.message}`);
+      }
+    }
+  }
+
+  /**
+   * Merge in the persisted subscriptions. A persisted subscription replaces
+   * any in-memory one with the same URL, and API subscriptions that are no
+   * longer persisted are dropped (when a replica taking over as leader
+   * reloads them). Newly seeded env subscribers are left for saveSeeded(),
+   * as a standby may not write the store, unless the store could not be read
+   * (it is then left alone rather than overwritten).
+   */
+  async load() {
+    const saved = await this.document.load();
+    if (saved === undefined) {
+      this.seeded = false;
+      return;
+    }
+
+    const savedIds = new Set();
+    const savedUrls = new Set((saved?.subscribers || []).map(subscriber => subscriber.url));
+    for (const subscriber of this.list()) {
+      if (subscriber.source === 'api' && !savedUrls.has(subscriber.url)) this.remove(subscriber.id);
+    }
+    for (const subscriber of saved?.subscribers || []) {
+      if (subscriber.source === 'env' && !this.config.webhookUrls.includes(subscriber.url)) continue;
+
+      const existing = this.findByUrl(subscriber.url);
+      if (existing) this.remove(existing.id);
+      // Saved by versions without delivery modes, formats, sinks or health tracking
+      subscriber.delivery ??= compileDeliveryMode(null);
+      subscriber.format ??= 'native';
+      subscriber.sink ??= compileSink(subscriber.url);
+      subscriber.suspendedAt ??= null;
+      subscriber.suspendedReason ??= null;
+      subscriber.stats = { ...initialStats(), ...subscriber.stats };
+      this.subscribers.set(subscriber.id, subscriber);
+      this.filters.set(subscriber.id, compileFilter(subscriber.filter));
+      savedIds.add(subscriber.id);
+    }
+    this.seeded = this.list().some(subscriber => !savedIds.has(subscriber.id));
+  }
+
+  // Save the env subscribers seeded by load() so they keep their ids across
+  // restarts; called once this replica may write the store
+  saveSeeded() {
+    return this.seeded ? this.persist() : this.document.saving;
+  }
+
+  get(id) {
+    return this.subscribers.get(id) || null;
+  }
+
+  findByUrl(url) {
+    for (const subscriber of this.subscribers.values()) {
+      if (subscriber.url === url) return subscriber;
+    }
+    return null;
+  }
+
+  list() {
+    return Array.from(this.subscribers.values());
+  }
+
+  get size() {
+    return this.subscribers.size;
+  }
+
+  // Throws on an invalid URL, filter, delivery mode, format or sink options;
+  // webhooks get a secret unless given (env subscribers are unsigned without
+  // WEBHOOK_SECRET)
+  create({ url, description = null, secret = null, filter = null, delivery = null, format = 'native', sink = null, enabled = true, source = 'api' }) {
+    const sinkOptions = compileSink(url, sink);
+    validateFormat(format);
+    checkSinkFormat(sinkOptions, format);
+    const compiled = compileFilter(filter);
+    const deliveryMode = compileDeliveryMode(delivery, this.config);
+    const now = Date.now();
+    const subscriber = {
+      id: randomUUID(),
+      url,
+      description,
+      createdAt: now,
+      updatedAt: now,
+      source,
+      enabled,
+      filter: compiled.spec,
+      delivery: deliveryMode,
+      format,
+      sink: sinkOptions,
+      secret: secret || (source === 'env' || sinkOptions.type !== 'http' ? null : generateSecret()),
+      previousSecret: null,
+      previousSecretExpiresAt: null,
+      suspendedAt: null,
+      suspendedReason: null,
+      stats: initialStats()
+    };
+    this.subscribers.set(subscriber.id, subscriber);
+    this.filters.set(subscriber.id, compiled);
+    return subscriber;
+  }
+
+  // Apply a PATCH; only description, enabled, filter, delivery, format and sink can change
+  update(id, changes) {
+    const subscriber = this.get(id);
+    if (!subscriber) return null;
+
+    const unknown = Object.keys(changes).filter(key => !UPDATABLE_FIELDS.includes(key));
+    if (unknown.length > 0) {
+      throw new Error(`Cannot update subscription fields: ${unknown.join(', ')}`);
+    }
+    if (changes.enabled !== undefined && typeof changes.enabled !== 'boolean') {
+      throw new Error('"enabled" must be a boolean');
+    }
+    // Validate everything before changing anything
+    const delivery = changes.delivery !== undefined ? compileDeliveryMode(changes.delivery, this.config) : undefined;
+    if (changes.format !== undefined) validateFormat(changes.format);
+    const sink = changes.sink !== undefined ? compileSink(subscriber.url, changes.sink) : undefined;
+    checkSinkFormat(sink ?? subscriber.sink, changes.format ?? subscriber.format);
+    if (changes.filter !== undefined) {
+      const compiled = compileFilter(changes.filter);
+      this.filters.set(id, compiled);
+      subscriber.filter = compiled.spec;
+    }
+    if (delivery !== undefined) subscriber.delivery = delivery;
+    if (changes.format !== undefined) subscriber.format = changes.format;
+    if (sink !== undefined) subscriber.sink = sink;
+    if (changes.description !== undefined) subscriber.description = changes.description;
+    if (changes.enabled !== undefined) subscriber.enabled = changes.enabled;
+    subscriber.updatedAt = Date.now();
+    return subscriber;
+  }
+
+  remove(id) {
+    const subscriber = this.get(id);
+    this.subscribers.delete(id);
+    this.filters.delete(id);
+    return subscriber;
+  }
+
+  /**
+   * Replace a subscriber's secret. The old secret keeps signing deliveries
+   * alongside the new one for the grace period, so the receiver can switch
+   * over without rejecting anything.
+   */
+  rotateSecret(id, { secret = generateSecret(), gracePeriodMs = this.config.secretRotationGraceMs } = {}) {
+    const subscriber = this.get(id);
+    if (!subscriber) return null;
+
+    subscriber.previousSecret = subscriber.secret;
+    subscriber.previousSecretExpiresAt = subscriber.secret ? Date.now() + gracePeriodMs : null;
+    subscriber.secret = secret;
+    subscriber.updatedAt = Date.now();
+    return subscriber;
+  }
+
+  // Secrets deliveries to this subscriber are currently signed with
+  activeSecrets(subscriber) {
+    const secrets = subscriber.secret ? [subscriber.secret] : [];
+    if (subscriber.previousSecret && Date.now() < subscriber.previousSecretExpiresAt) {
+      secrets.push(subscriber.previousSecret);
+    }
+    return secrets;
+  }
+
+  matches(subscriber, event) {
+    return this.filters.get(subscriber.id).matches(event);
+  }
+
+  // Record a delivery attempt; returns the subscriber, if it still exists
+  recordDelivery(url, { error = null, statusCode = null, latencyMs = null } = {}) {
+    const subscriber = this.findByUrl(url);
+    if (!subscriber) return null;
+
+    const { stats } = subscriber;
+    if (error) {
+      stats.failed++;
+      stats.consecutiveFailures++;
+      stats.lastFailureAt = Date.now();
+      stats.lastError = error.message;
+    } else {
+      stats.delivered++;
+      stats.consecutiveFailures = 0;
+      stats.lastDeliveryAt = Date.now();
+    }
+    stats.lastStatusCode = statusCode;
+    if (latencyMs !== null) {
+      stats.averageLatencyMs = Math.round(stats.averageLatencyMs === null
+        ? latencyMs
+        : stats.averageLatencyMs + LATENCY_SMOOTHING * (latencyMs - stats.averageLatencyMs));
+    }
+    this.scheduleSave();
+    return subscriber;
+  }
+
+  suspend(id, reason) {
+    const subscriber = this.get(id);
+    if (!subscriber) return null;
+    subscriber.suspendedAt = Date.now();
+    subscriber.suspendedReason = reason;
+    return subscriber;
+  }
+
+  // Lift a suspension after a successful probe
+  unsuspend(id) {
+    const subscriber = this.get(id);
+    if (!subscriber) return null;
+    subscriber.suspendedAt = null;
+    subscriber.suspendedReason = null;
+    subscriber.stats.consecutiveFailures = 0;
+    return subscriber;
+  }
+
+  recordProbe(id, error = null) {
+    const subscriber = this.get(id);
+    if (!subscriber) return;
+    subscriber.stats.lastProbeAt = Date.now();
+    if (error) subscriber.stats.lastError = error.message;
+    this.scheduleSave();
+  }
+
+  health(subscriber) {
+    const { stats } = subscriber;
+    let status = 'unknown';
+    if (subscriber.suspendedAt) status = 'suspended';
+    else if (stats.consecutiveFailures > 0) status = 'failing';
+    else if (stats.lastDeliveryAt) status = 'healthy';
+
+    return {
+      status,
+      consecutiveFailures: stats.consecutiveFailures,
+      lastSuccessAt: stats.lastDeliveryAt,
+      lastFailureAt: stats.lastFailureAt,
+      lastStatusCode: stats.lastStatusCode,
+      lastError: stats.lastError,
+      averageLatencyMs: stats.averageLatencyMs,
+      suspendedAt: subscriber.suspendedAt,
+      suspendedReason: subscriber.suspendedReason,
+      lastProbeAt: stats.lastProbeAt
+    };
+  }
+
+  recordDeadLetter(url) {
+    const subscriber = this.findByUrl(url);
+    if (!subscriber) return;
+    subscriber.stats.deadLettered++;
+    this.scheduleSave();
+  }
+
+  // API view of a subscription; secrets are never echoed back
+  describe(subscriber) {
+    const { secret, previousSecret, previousSecretExpiresAt, ...rest } = subscriber;
+    return {
+      ...rest,
+      signed: Boolean(secret),
+      rotatingUntil: previousSecret && Date.now() < previousSecretExpiresAt ? previousSecretExpiresAt : null,
+      health: this.health(subscriber)
+    };
+  }
+
+  scheduleSave() {
+    if (this.saveTimer) return;
+    this.saveTimer = setTimeout(() => {
+      this.saveTimer = null;
+      this.persist().catch(err => console.error('Failed to save subscriber stats:', err.message));
+    }, STATS_SAVE_DELAY_MS);
+    this.saveTimer.unref?.();
+  }
+
+  // Write out stats still waiting on the debounce
+  flush() {
+    return this.saveTimer ? this.persist() : this.document.saving;
+  }
+
+  persist() {
+    clearTimeout(this.saveTimer);
+    this.saveTimer = null;
+    this.seeded = false;
+    return this.document.save({ subscribers: this.list(), savedAt: Date.now() });
+  }
+}
@@ -0,0 +1,170 @@
+/**
+ * Which URLs webhook subscriptions made through the API may point at.
+ *
+ * So that the watcher cannot be used to reach internal services, a URL whose
+ * host resolves to a private, loopback, link-local or otherwise non-public
+ * address is rejected unless SUBSCRIBER_URL_ALLOW permits it, and
+ * SUBSCRIBER_URL_DENY rejects hosts outright, public or not. Entries of both
+ * lists are hostnames (`hooks.example.com`, or `*.example.com` for its
+ * subdomains), addresses, or CIDR ranges (`10.1.0.0/16`, `fd00::/8`); ranges
+ * are matched against every address the host resolves to.
+ *
+ * The check runs when a subscription is made and again before each delivery,
+ * so a hostname re-pointed at an internal address later is caught too. A host
+ * that does not resolve is let through, as nothing can reach it either. The
+ * check resolves with the addresses it vetted, and webhook deliveries connect
+ * only to those (see pinnedLookup), so DNS answering differently between the
+ * check and the request cannot point a delivery elsewhere.
+ */
+
+import dns from 'dns';
+import net from 'net';
+
+const NON_PUBLIC_RANGES = [
+  ['0.0.0.0', 8, 'ipv4'],
+  ['10.0.0.0', 8, 'ipv4'],
+  ['100.64.0.0', 10, 'ipv4'],
+  ['127.0.0.0', 8, 'ipv4'],
+  ['169.254.0.0', 16, 'ipv4'],
+  ['172.16.0.0', 12, 'ipv4'],
+  ['192.0.0.0', 24, 'ipv4'],
+  ['192.168.0.0', 16, 'ipv4'],
+  ['198.18.0.0', 15, 'ipv4'],
+  ['224.0.0.0', 4, 'ipv4'],
+  ['240.0.0.0', 4, 'ipv4'],
+  ['::', 128, 'ipv6'],
+  ['::1', 128, 'ipv6'],
+  ['fc00::', 7, 'ipv6'],
+  ['fe80::', 10, 'ipv6'],
+  ['ff00::', 8, 'ipv6']
+];
+
+const familyOf = (address) => (net.isIPv6(address) ? 'ipv6' : 'ipv4');
+
+// Split list entries into host patterns and address ranges
+function parseRules(entries = []) {
+  const hosts = [];
+  const ranges = new net.BlockList();
+  let hasRanges = false;
+
+  for (const entry of entries) {
+    const [address, prefix] = entry.split('/');
+    if (net.isIP(address)) {
+      const family = familyOf(address);
+      if (prefix === undefined) {
+        ranges.addAddress(address, family);
+      } else {
+        const bits = Number(prefix);
+        if (!Number.isInteger(bits)) throw new Error(`Invalid URL policy range: ${entry}`);
+        ranges.addSubnet(address, bits, family);
+      }
+      hasRanges = true;
+    } else {
+      hosts.push(entry.toLowerCase());
+    }
+  }
+
+  return {
+    matchesHost: (host) => hosts.some(pattern => (pattern.startsWith('*.')
+      ? host.endsWith(pattern.slice(1))
+      : host === pattern)),
+    matchesAddress: (address) => hasRanges && ranges.check(address, familyOf(address))
+  };
+}
+
+const nonPublic = new net.BlockList();
+for (const [address, prefix, family] of NON_PUBLIC_RANGES) {
+  nonPublic.addSubnet(address, prefix, family);
+}
+
+export function isPublicAddress(address) {
+  return !nonPublic.check(address, familyOf(address));
+}
+
+/**
+ * A `lookup` for net.connect and tls.connect that answers only with the given
+ * addresses, whatever the host, and fails like an unknown host without any.
+ */
+export function pinnedLookup(addresses) {
+  return (hostname, options, callback) => {
+    if (typeof options === 'function') {
+      callback = options;
+      options = {};
+    }
+    const family = typeof options === 'number' ? options : options.family;
+    const entries = addresses
+      .map(address => ({ address, family: net.isIPv6(address) ? 6 : 4 }))
+      .filter(entry => !family || entry.family === family);
+    if (entries.length === 0) {
+      callback(Object.assign(new Error(`getaddrinfo ENOTFOUND ${hostname}`), { code: 'ENOTFOUND', hostname }));
+    } else if (options.all) {
+      callback(null, entries);
+    } else {
+      callback(null, entries[0].address, entries[0].family);
+    }
+  };
+}
+
+export class UrlPolicy {
+  constructor({ config, lookup = (host) => dns.promises.lookup(host, { all: true }) }) {
+    this.allow = parseRules(config.subscriberUrlAllow);
+    this.deny = parseRules(config.subscriberUrlDeny);
+    this.lookup = lookup;
+  }
+
+  async resolve(host) {
+    if (net.isIP(host)) return [host];
+    try {
+      return (await this.lookup(host)).map(({ address }) => address);
+    } catch {
+      return [];
+    }
+  }
+
+  // Throws unless the policy lets deliveries go to this URL; resolves with
+  // the addresses its host was checked at
+  async check(url) {
+    const host = new URL(url).hostname.replace(/^\[|\]$/g, '').toLowerCase();
+    const addresses = this.deny.matchesHost(host) ? [] : await this.resolve(host);
+    this.checkAddresses(host, addresses);
+    return addresses;
+  }
+
+  // Throws unless deliveries may go to this host at these addresses
+  checkAddresses(host, addresses) {
+    const rejected = (reason) => new Error(`Subscriber URL not allowed: ${reason}`);
+
+    if (this.deny.matchesHost(host)) throw rejected(`${host} is denied`);
+    const denied = addresses.find(address => this.deny.matchesAddress(address));
+    if (denied) throw rejected(`${host} resolves to denied address ${denied}`);
+
+    if (this.allow.matchesHost(host)) return;
+    const internal = addresses.find(address => !isPublicAddress(address) && !this.allow.matchesAddress(address));
+    if (internal) {
+      throw rejected(internal === host
+        ? `${host} is not a public address`
+        : `${host} resolves to non-public address ${internal}`);
+    }
+  }
+
+  /**
+   * A `lookup` for net.connect and tls.connect that applies the policy to
+   * each host looked up and answers only with the addresses it checked, for
+   * clients that find further hosts to connect to themselves.
+   */
+  connectLookup() {
+    return (hostname, options, callback) => {
+      if (typeof options === 'function') {
+        callback = options;
+        options = {};
+      }
+      const host = hostname.toLowerCase();
+      this.resolve(host)
+        .then((addresses) => {
+          this.checkAddresses(host, addresses);
+          return addresses;
+        })
+        .then(addresses => pinnedLookup(addresses)(hostname, options, callback), callback);
+    };
+  }
+}
@@ -0,0 +1,333 @@
+/**
+ * Registry of the Huly tables and classes the watcher emits events for.
+ *
+ * Each entry describes one kind of document:
+ *   name         - unique key; also the cursor key for the polling source
+ *   table        - CockroachDB table (Huly domain) the documents live in
+ *   classes      - _class values to watch, or null for every row in the table
+ *   eventType    - event type prefix, e.g. 'comment' -> comment.created
+ *   classEventTypes - optional per-class override of eventType
+ *   fields       - projected payload fields: { key: path } or
+ *                  { key: { path, type } }, where path is 'data.a.b' for a
+ *                  JSON attribute or a bare column name, and type is
+ *                  'number' or 'boolean' to coerce the value
+ *   summary      - fields remembered per document and echoed on *.deleted
+ *   diff         - keep a snapshot of the task fields in fieldDiff.js and
+ *                  attach `changes` to updates
+ *   enrich       - resolve status/project/assignee references
+ *   archivable   - emit *.archived when the `archived` field becomes true
+ *
+ * WATCHED_CLASSES selects which entries are enabled; WATCHED_CLASSES_FILE can
+ * add entries or override defaults by name.
+ */
+
+import { readFileSync } from 'fs';
+
+export const DEFAULT_WATCHED_CLASSES = [
+  {
+    name: 'tasks',
+    table: 'task',
+    classes: null,
+    eventType: 'task',
+    classEventTypes: { 'tracker:class:Issue': 'issue' },
+    fields: {
+      identifier: 'data.identifier',
+      title: 'data.title',
+      status: 'data.status',
+      priority: { path: 'data.priority', type: 'number' },
+      assignee: 'data.assignee',
+      component: 'data.component',
+      milestone: 'data.milestone',
+      dueDate: { path: 'data.dueDate', type: 'number' },
+      parent: 'attachedTo'
+    },
+    summary: ['identifier', 'title'],
+    diff: true,
+    enrich: true
+  },
+  {
+    name: 'projects',
+    table: 'space',
+    classes: ['tracker:class:Project'],
+    eventType: 'project',
+    fields: {
+      identifier: 'data.identifier',
+      name: 'data.name',
+      archived: { path: 'data.archived', type: 'boolean' }
+    },
+    summary: ['identifier', 'name'],
+    archivable: true
+  },
+  {
+    name: 'comments',
+    table: 'chunter',
+    classes: ['chunter:class:ChatMessage', 'chunter:class:ThreadMessage'],
+    eventType: 'comment',
+    fields: {
+      message: 'data.message',
+      attachedTo: 'attachedTo',
+      attachedToClass: 'data.attachedToClass',
+      collection: 'data.collection'
+    },
+    summary: ['attachedTo', 'attachedToClass']
+  },
+  {
+    name: 'milestones',
+    table: 'tracker',
+    classes: ['tracker:class:Milestone'],
+    eventType: 'milestone',
+    fields: {
+      label: 'data.label',
+      status: { path: 'data.status', type: 'number' },
+      targetDate: { path: 'data.targetDate', type: 'number' }
+    },
+    summary: ['label']
+  },
+  {
+    name: 'components',
+    table: 'tracker',
+    classes: ['tracker:class:Component'],
+    eventType: 'component',
+    fields: {
+      label: 'data.label',
+      lead: 'data.lead'
+    },
+    summary: ['label']
+  },
+  {
+    name: 'attachments',
+    table: 'attachment',
+    classes: ['attachment:class:Attachment'],
+    eventType: 'attachment',
+    fields: {
+      name: 'data.name',
+      file: 'data.file',
+      size: { path: 'data.size', type: 'number' },
+      type: 'data.type',
+      attachedTo: 'attachedTo',
+      attachedToClass: 'data.attachedToClass'
+    },
+    summary: ['name', 'attachedTo']
+  }
+];
+
+const IDENTIFIER = /^[A-Za-z_][A-Za-z0-9_]*$/;
+const CLASS_NAME = /^[\w:.-]+$/;
+
+function parseField(key, spec) {
+  const { path, type = null } = typeof spec === 'string' ? { path: spec } : spec;
+  const segments = path.split('.');
+  if (!IDENTIFIER.test(key) || !segments.every(segment => IDENTIFIER.test(segment))) {
+    throw new Error(`Invalid watched field "${key}": ${path}`);
+  }
+  if (type !== null && type !== 'number' && type !== 'boolean') {
+    throw new Error(`Invalid type "${type}" for watched field "${key}"`);
+  }
+
+  let sql;
+  if (segments[0] === 'data' && segments.length === 2) {
+    sql = `data->>'${segments[1]}'`;
+  } else if (segments[0] === 'data') {
+    sql = `data#>>'{${segments.slice(1).join(',')}}'`;
+  } else if (segments.length === 1) {
+    sql = `"${segments[0]}"`;
+  } else {
+    throw new Error(`Invalid watched field "${key}": ${path}`);
+  }
+
+  return { key, segments, type, sql };
+}
+
+function coerce(value, type) {
+  if (type === 'boolean') return value === true || value === 'true';
+  if (value === null || value === undefined) return null;
+  if (type === 'number') return Number(value);
+  return value;
+}
+
+export class WatchedClass {
+  constructor(definition) {
+    const { name, table, classes = null, eventType } = definition;
+    if (!name || !IDENTIFIER.test(table || '') || !eventType) {
+      throw new Error(`Invalid watched class definition: ${JSON.stringify(definition)}`);
+    }
+    if (classes && !classes.every(cls => CLASS_NAME.test(cls))) {
+      throw new Error(`Invalid class name in watched class "${name}"`);
+    }
+
+    this.name = name;
+    this.table = table;
+    this.classes = classes;
+    this.eventType = eventType;
+    this.classEventTypes = definition.classEventTypes || {};
+    this.fields = Object.entries(definition.fields || {}).map(([key, spec]) => parseField(key, spec));
+    this.summary = definition.summary || [];
+    this.diff = Boolean(definition.diff);
+    this.enrich = Boolean(definition.enrich);
+    this.archivable = Boolean(definition.archivable);
+  }
+
+  matchesClass(cls) {
+    return !this.classes || this.classes.includes(cls);
+  }
+
+  eventPrefix(cls) {
+    return this.classEventTypes[cls] || this.eventType;
+  }
+
+  classFilter() {
+    return this.classes
+      ? `_class IN (${this.classes.map(cls => `'${cls}'`).join(', ')})`
+      : 'TRUE';
+  }
+
+  selectList() {
+    return [
+      '_id as id',
+      '_class as class',
+      'space',
+      '"modifiedOn"',
+      '"modifiedBy"',
+      '"createdOn"',
+      ...this.fields.map(field => `${field.sql} as "${field.key}"`)
+    ].join(',\n      ');
+  }
+
+  // Keyset page query: $1/$2 are the ("modifiedOn", _id) cursor, $3 the page size
+  pageQuery() {
+    return `
+    SELECT
+      ${this.selectList()}
+    FROM ${this.table}
+    WHERE ("modifiedOn", _id) > ($1, $2)
+      AND ${this.classFilter()}
+    ORDER BY "modifiedOn" ASC, _id ASC
+    LIMIT $3
+  `;
+  }
+
+  // Newest row, used to seed a cursor on first start
+  latestQuery() {
+    return `
+    SELECT _id as id, "modifiedOn"
+    FROM ${this.table}
+    WHERE ${this.classFilter()}
+    ORDER BY "modifiedOn" DESC, _id DESC
+    LIMIT 1
+  `;
+  }
+
+  // Every current row's id, used by the reconciler to detect deletions
+  listingQuery() {
+    return `
+    SELECT _id as id, "modifiedOn"
+    FROM ${this.table}
+    WHERE ${this.classFilter()}
+  `;
+  }
+
+  // The rows with the ids in $1 as they were at `timestamp` (ms), for
+  // documents the tracker only knows from a listing taken then
+  historyQuery(timestamp) {
+    return `
+    SELECT
+      ${this.selectList()}
+    FROM ${this.table} AS OF SYSTEM TIME '${new Date(timestamp).toISOString()}'
+    WHERE _id = ANY($1)
+      AND ${this.classFilter()}
+  `;
+  }
+
+  // Coerce a row returned by one of the queries above
+  normalizeRow(row) {
+    const normalized = {
+      id: row.id,
+      class: row.class,
+      space: row.space,
+      modifiedOn: row.modifiedOn,
+      modifiedBy: row.modifiedBy,
+      createdOn: row.createdOn
+    };
+    for (const field of this.fields) {
+      normalized[field.key] = coerce(row[field.key], field.type);
+    }
+    return normalized;
+  }
+
+  // Build the same row shape from a full document (e.g. a changefeed `after`)
+  rowFromDocument(doc) {
+    const data = typeof doc.data === 'string' ? JSON.parse(doc.data) : (doc.data || {});
+    const source = { ...doc, data };
+    const row = {
+      id: doc._id,
+      class: doc._class,
+      space: doc.space,
+      modifiedOn: doc.modifiedOn,
+      modifiedBy: doc.modifiedBy,
+      createdOn: doc.createdOn
+    };
+    for (const field of this.fields) {
+      const value = field.segments.reduce((current, segment) => current?.[segment], source);
+      row[field.key] = coerce(value, field.type);
+    }
+    return row;
+  }
+}
+
+export class WatchedClassRegistry {
+  constructor(definitions = DEFAULT_WATCHED_CLASSES) {
+    this.entries = definitions.map(definition => new WatchedClass(definition));
+    const names = new Set();
+    for (const entry of this.entries) {
+      if (names.has(entry.name)) {
+        throw new Error(`Duplicate watched class "${entry.name}"`);
+      }
+      names.add(entry.name);
+    }
+  }
+
+  /**
+   * Build the registry from config: defaults, overridden or extended by the
+   * definitions in watchedClassesFile, filtered to the watchedClasses names.
+   */
+  static fromConfig({ watchedClasses = null, watchedClassesFile = null } = {}) {
+    const definitions = new Map(DEFAULT_WATCHED_CLASSES.map(definition => [definition.name, definition]));
+    if (watchedClassesFile) {
+      const custom = JSON.parse(readFileSync(watchedClassesFile, 'utf8'));
+      for (const definition of custom) {
+        definitions.set(definition.name, definition);
+      }
+    }
+
+    let selected = [...definitions.values()];
+    if (watchedClasses && watchedClasses.length > 0) {
+      const unknown = watchedClasses.filter(name => !definitions.has(name));
+      if (unknown.length > 0) {
+        throw new Error(`Unknown watched classes: ${unknown.join(', ')}`);
+      }
+      selected = watchedClasses.map(name => definitions.get(name));
+    }
+    return new WatchedClassRegistry(selected);
+  }
+
+  get(name) {
+    return this.entries.find(entry => entry.name === name);
+  }
+
+  forTable(table) {
+    return this.entries.filter(entry => entry.table === table);
+  }
+
+  // Entry a document from `table` with the given _class belongs to, if any
+  match(table, cls) {
+    return this.entries.find(entry => entry.table === table && entry.matchesClass(cls)) || null;
+  }
+
+  tables() {
+    return [...new Set(this.entries.map(entry => entry.table))];
+  }
+
+  names() {
+    return this.entries.map(entry => entry.name);
+  }
+}
@@ -0,0 +1,149 @@
+/**
+ * WebSocket transport behind `/ws`, for clients where SSE is awkward.
+ *
+ * Clients send JSON control messages:
+ *   { type: 'subscribe', subscription, filter, resumeFrom, ack }
+ *       Start (or replace) a named subscription; `subscription` defaults to
+ *       'default', `filter` is a webhook filter spec (see eventFilter.js).
+ *       With `resumeFrom` (an event id) the buffered events after it are
+ *       replayed first. With `ack: true` every event must be acknowledged.
+ *   { type: 'unsubscribe', subscription }
+ *   { type: 'ack', subscription, eventId }
+ *
+ * and receive, per matching event and subscription,
+ *   { type: 'event', subscription, eventId, payload }
+ * where `payload` is the webhook envelope `{ source, schemaVersion, timestamp, events }`
+ * holding that one event. Event ids and the replay buffer are shared with
+ * the SSE stream. A subscription with more than WS_MAX_UNACKED events
+ * unacknowledged is too far behind: its connection is closed with code 4008
+ * and the client resumes from the last event it acknowledged. Like a lagging
+ * SSE client, a connection with more than WS_MAX_BUFFER_BYTES unsent is
+ * dropped rather than buffering without bound, and resumes from the last
+ * event it received.
+ */
+
+import { compileFilter } from './eventFilter.js';
+import { createEnvelope } from './eventSchema.js';
+
+const OPEN = 1;
+const CLOSE_TOO_SLOW = 4008;
+
+export class WebSocketHub {
+  constructor({ stream, config }) {
+    this.stream = stream;
+    this.config = config;
+    this.connections = new Set();
+    this.stats = {
+      eventsSent: 0,
+      slowConsumersDisconnected: 0
+    };
+    this.unlisten = stream.listen(entry => this.dispatch(entry));
+  }
+
+  connect(socket) {
+    const connection = { socket, subscriptions: new Map() };
+    this.connections.add(connection);
+    socket.on('message', data => this.handleMessage(connection, data));
+    socket.on('close', () => this.connections.delete(connection));
+    socket.on('error', err => console.error('WebSocket client error:', err.message));
+    this.send(connection, { type: 'connected', lastEventId: this.stream.lastId });
+    return connection;
+  }
+
+  handleMessage(connection, data) {
+    let message;
+    try {
+      message = JSON.parse(data.toString());
+    } catch {
+      this.send(connection, { type: 'error', error: 'Invalid JSON' });
+      return;
+    }
+
+    try {
+      if (message.type === 'subscribe') {
+        this.subscribe(connection, message);
+      } else if (message.type === 'unsubscribe') {
+        const name = String(message.subscription ?? 'default');
+        connection.subscriptions.delete(name);
+        this.send(connection, { type: 'unsubscribed', subscription: name });
+      } else if (message.type === 'ack') {
+        const subscription = connection.subscriptions.get(String(message.subscription ?? 'default'));
+        subscription?.unacked.delete(Number(message.eventId));
+      } else {
+        throw new Error(`Unknown message type: ${message.type}`);
+      }
+    } catch (err) {
+      this.send(connection, { type: 'error', request: message.type ?? null, error: err.message });
+    }
+  }
+
+  // Throws on an invalid filter, leaving any existing subscription untouched
+  subscribe(connection, { subscription = 'default', filter = null, resumeFrom = null, ack = false }) {
+    const name = String(subscription);
+    const compiled = compileFilter(filter);
+    const entry = { name, filter: compiled, ack: Boolean(ack), unacked: new Set() };
+    connection.subscriptions.set(name, entry);
+    this.send(connection, { type: 'subscribed', subscription: name, filter: compiled.spec, ack: entry.ack });
+
+    for (const buffered of this.stream.eventsAfter(resumeFrom)) {
+      this.deliver(connection, entry, buffered);
+    }
+  }
+
+  dispatch(entry) {
+    for (const connection of this.connections) {
+      for (const subscription of connection.subscriptions.values()) {
+        this.deliver(connection, subscription, entry);
+      }
+    }
+  }
+
+  deliver(connection, subscription, { id, timestamp, event }) {
+    if (!this.connections.has(connection) || !subscription.filter.matches(event)) return;
+
+    if (subscription.ack) {
+      if (subscription.unacked.size >= this.config.wsMaxUnacked) {
+        console.error(`Disconnecting WebSocket client: ${subscription.unacked.size} unacknowledged events on "${subscription.name}"`);
+        this.stats.slowConsumersDisconnected++;
+        this.connections.delete(connection);
+        connection.socket.close(CLOSE_TOO_SLOW, 'Too many unacknowledged events');
+        return;
+      }
+      subscription.unacked.add(id);
+    }
+
+    this.send(connection, {
+      type: 'event',
+      subscription: subscription.name,
+      eventId: id,
+      payload: createEnvelope([event], { timestamp })
+    });
+    this.stats.eventsSent++;
+  }
+
+  send(connection, message) {
+    const { socket } = connection;
+    if (!this.connections.has(connection) || socket.readyState !== OPEN) return;
+    if (socket.bufferedAmount > this.config.wsMaxBufferBytes) {
+      console.error(`Disconnecting slow WebSocket client: ${socket.bufferedAmount} bytes behind`);
+      this.stats.slowConsumersDisconnected++;
+      this.connections.delete(connection);
+      // A close frame would queue behind what is already unsent
+      socket.terminate();
+      return;
+    }
+    socket.send(JSON.stringify(message));
+  }
+
+  get size() {
+    return this.connections.size;
+  }
+
+  stop() {
+    this.unlisten();
+    for (const connection of this.connections) {
+      connection.socket.terminate();
+    }
+    this.connections.clear();
+  }
+}
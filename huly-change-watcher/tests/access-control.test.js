@@ -0,0 +1,235 @@
+import { jest } from '@jest/globals';
+import { describe, it, expect, beforeEach, afterEach } from '@jest/globals';
+import http from 'http';
+import WebSocket from 'ws';
+import { Authenticator, accessLevel } from '../src/auth.js';
+import { UrlPolicy, pinnedLookup } from '../src/urlPolicy.js';
+import { HttpSink } from '../src/sinks/index.js';
+import { createServer } from '../src/server.js';
+import { createTestWatcher, waitFor } from './helpers.js';
+
+const ADMIN_TOKEN = 'admin-token';
+const READ_TOKEN = 'read-token';
+const ENV_URL = 'http://huly-vibe-sync:3000/webhook';
+
+// Resolves hostnames from a fixed table; anything else does not resolve
+const fakeLookup = (table) => async (host) => {
+  if (!table[host]) throw Object.assign(new Error(`getaddrinfo ENOTFOUND ${host}`), { code: 'ENOTFOUND' });
+  return table[host].map(address => ({ address, family: address.includes(':') ? 6 : 4 }));
+};
+
+const issueEvent = (id) => ({ type: 'issue.updated', timestamp: 1704067200000, data: { id, project: 'PROJ' } });
+
+describe('Access Control', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('UrlPolicy', () => {
+    const lookup = fakeLookup({
+      'hooks.example.com': ['93.184.216.34'],
+      'metadata.example.com': ['169.254.169.254'],
+      'rebound.example.com': ['93.184.216.34', '10.0.0.5'],
+      'vibe-sync': ['192.168.50.90']
+    });
+
+    it('should reject URLs that are or resolve to non-public addresses', async () => {
+      const policy = new UrlPolicy({ config: {}, lookup });
+
+      await expect(policy.check('https://hooks.example.com/webhook')).resolves.toEqual(['93.184.216.34']);
+      await expect(policy.check('http://127.0.0.1:8080/admin')).rejects.toThrow('127.0.0.1 is not a public address');
+      await expect(policy.check('http://[::1]/')).rejects.toThrow('not allowed');
+      await expect(policy.check('http://[fd00::1]/')).rejects.toThrow('not allowed');
+      await expect(policy.check('http://metadata.example.com/')).rejects.toThrow('resolves to non-public address 169.254.169.254');
+      await expect(policy.check('http://rebound.example.com/')).rejects.toThrow('10.0.0.5');
+      // Unresolvable hosts cannot be reached either
+      await expect(policy.check('http://nowhere.invalid/')).resolves.toEqual([]);
+    });
+
+    it('should apply the allow and deny lists by host and by range', async () => {
+      const policy = new UrlPolicy({
+        config: {
+          subscriberUrlAllow: ['vibe-sync', '10.0.0.0/8'],
+          subscriberUrlDeny: ['*.example.com', '203.0.113.0/24']
+        },
+        lookup
+      });
+
+      await expect(policy.check('http://vibe-sync:3000/webhook')).resolves.toEqual(['192.168.50.90']);
+      await expect(policy.check('http://10.1.2.3/webhook')).resolves.toEqual(['10.1.2.3']);
+      await expect(policy.check('http://192.168.1.1/webhook')).rejects.toThrow('not a public address');
+      await expect(policy.check('https://hooks.example.com/webhook')).rejects.toThrow('hooks.example.com is denied');
+      await expect(policy.check('http://203.0.113.9/webhook')).rejects.toThrow('denied address 203.0.113.9');
+    });
+
+    it('should connect deliveries only to the addresses the policy checked', async () => {
+      const received = [];
+      const target = http.createServer((req, res) => {
+        received.push(req.headers.host);
+        res.end();
+      });
+      await new Promise(resolve => target.listen(0, '127.0.0.1', resolve));
+      const url = `http://hooks.example.com:${target.address().port}/webhook`;
+      const sink = new HttpSink({ url, config: {} });
+      try {
+        const policy = new UrlPolicy({ config: { subscriberUrlAllow: ['127.0.0.0/8'] }, lookup: fakeLookup({ 'hooks.example.com': ['127.0.0.1'] }) });
+        const addresses = await policy.check(url);
+
+        // Whatever DNS answers by now, the request goes where the check looked
+        await expect(sink.send({ events: [] }, { deliveryId: 'd1', addresses })).resolves.toBe(200);
+        expect(received).toEqual([`hooks.example.com:${target.address().port}`]);
+        await expect(sink.send({ events: [] }, { deliveryId: 'd2', addresses: [] })).rejects.toThrow();
+        expect(received).toHaveLength(1);
+      } finally {
+        await sink.close();
+        await new Promise(resolve => target.close(resolve));
+      }
+
+      const lookupIn = (addresses, options) => new Promise((resolve, reject) => {
+        pinnedLookup(addresses)('anything.example.com', options, (err, ...result) => (err ? reject(err) : resolve(result)));
+      });
+      await expect(lookupIn(['93.184.216.34', '2606:2800::1'], {})).resolves.toEqual(['93.184.216.34', 4]);
+      await expect(lookupIn(['93.184.216.34', '2606:2800::1'], { family: 6 })).resolves.toEqual(['2606:2800::1', 6]);
+      await expect(lookupIn(['93.184.216.34'], { all: true })).resolves.toEqual([[{ address: '93.184.216.34', family: 4 }]]);
+      await expect(lookupIn(['93.184.216.34'], { family: 6 })).rejects.toMatchObject({ code: 'ENOTFOUND' });
+    });
+  });
+
+  describe('Authenticator', () => {
+    const request = (headers = {}) => ({ headers });
+    const query = (params = {}) => new URLSearchParams(params);
+
+    it('should classify routes and stay open until tokens are configured', () => {
+      const open = new Authenticator({ config: { adminTokens: [], readTokens: [] } });
+
+      expect(accessLevel('/health/ready')).toBe('public');
+      expect(accessLevel('/events')).toBe('read');
+      expect(accessLevel('/subscriptions/abc')).toBe('admin');
+      expect(open.check(request(), query(), 'admin')).toBeNull();
+      expect(open.check(request(), query(), 'read')).toBeNull();
+    });
+
+    it('should separate admin and read-only tokens', () => {
+      const auth = new Authenticator({ config: { adminTokens: [ADMIN_TOKEN], readTokens: [READ_TOKEN] } });
+
+      expect(auth.check(request({ authorization: `Bearer ${ADMIN_TOKEN}` }), query(), 'admin')).toBeNull();
+      expect(auth.check(request({ 'x-api-key': ADMIN_TOKEN }), query(), 'read')).toBeNull();
+      expect(auth.check(request({ authorization: `Bearer ${READ_TOKEN}` }), query(), 'read')).toBeNull();
+      expect(auth.check(request({ authorization: `Bearer ${READ_TOKEN}` }), query(), 'admin')).toEqual({ status: 403, error: 'Read-only token' });
+      expect(auth.check(request(), query(), 'read')).toEqual({ status: 401, error: 'Missing access token' });
+      expect(auth.check(request({ authorization: 'Bearer wrong' }), query(), 'read')).toEqual({ status: 401, error: 'Invalid access token' });
+      expect(auth.check(request(), query({ access_token: READ_TOKEN }), 'read')).toBeNull();
+      // Admin tokens are never taken from the URL
+      expect(auth.check(request(), query({ access_token: ADMIN_TOKEN }), 'admin')).toEqual({ status: 401, error: 'Missing access token' });
+    });
+  });
+
+  describe('HTTP API', () => {
+    let watcher;
+    let server;
+    let baseUrl;
+
+    beforeEach(async () => {
+      watcher = createTestWatcher({
+        lookup: fakeLookup({ 'hooks.example.com': ['93.184.216.34'], 'huly-vibe-sync': ['172.18.0.4'] }),
+        config: {
+          webhookUrls: [ENV_URL],
+          deliveryMaxAttempts: 1,
+          adminTokens: [ADMIN_TOKEN],
+          readTokens: [READ_TOKEN]
+        }
+      });
+      await watcher.start();
+      server = createServer(watcher);
+      await new Promise(resolve => server.listen(0, resolve));
+      baseUrl = `http://localhost:${server.address().port}`;
+    });
+
+    afterEach(async () => {
+      await watcher.stop();
+      await new Promise(resolve => server.close(resolve));
+    });
+
+    const request = (method, path, { token, body } = {}) => fetch(`${baseUrl}${path}`, {
+      method,
+      headers: {
+        'Content-Type': 'application/json',
+        ...(token ? { Authorization: `Bearer ${token}` } : {})
+      },
+      body: body && JSON.stringify(body)
+    });
+
+    // Status of an SSE request, closed as soon as the headers arrive
+    const eventsStatus = (path) => new Promise((resolve, reject) => {
+      const req = http.get(`${baseUrl}${path}`, (res) => {
+        resolve(res.statusCode);
+        req.destroy();
+      });
+      req.on('error', reject);
+    });
+
+    it('should require an admin token to manage subscriptions and a read token for events', async () => {
+      const anonymous = await request('POST', '/subscribe', { body: { url: 'https://hooks.example.com/webhook' } });
+      const readOnly = await request('POST', '/subscribe', { token: READ_TOKEN, body: { url: 'https://hooks.example.com/webhook' } });
+      const admin = await request('POST', '/subscribe', { token: ADMIN_TOKEN, body: { url: 'https://hooks.example.com/webhook' } });
+
+      expect(anonymous.status).toBe(401);
+      expect(anonymous.headers.get('www-authenticate')).toBe('Bearer');
+      expect(readOnly.status).toBe(403);
+      expect(admin.status).toBe(200);
+      expect((await request('GET', '/health/live')).status).toBe(200);
+      expect((await request('GET', '/stats')).status).toBe(401);
+      expect((await request('GET', '/stats', { token: READ_TOKEN })).status).toBe(200);
+      expect(await eventsStatus('/events')).toBe(401);
+      expect(await eventsStatus(`/events?access_token=${READ_TOKEN}`)).toBe(200);
+    });
+
+    it('should reject subscriptions to internal addresses but not WEBHOOK_URLS ones', async () => {
+      const internal = await request('POST', '/subscribe', { token: ADMIN_TOKEN, body: { url: 'http://127.0.0.1:26257/' } });
+      const env = await request('POST', '/subscribe', { token: ADMIN_TOKEN, body: { url: ENV_URL, description: 'vibe sync' } });
+
+      expect(internal.status).toBe(400);
+      expect((await internal.json()).error).toBe('Subscriber URL not allowed: 127.0.0.1 is not a public address');
+      expect(watcher.webhookSubscribers.findByUrl('http://127.0.0.1:26257/')).toBeNull();
+      expect(env.status).toBe(200);
+      expect(watcher.webhookSubscribers.findByUrl(ENV_URL).description).toBe('vibe sync');
+    });
+
+    it('should re-check the URL policy and refuse redirects when delivering', async () => {
+      const fetchMock = jest.spyOn(global, 'fetch').mockResolvedValue({ ok: true, status: 200 });
+      watcher.addWebhookSubscriber('https://hooks.example.com/webhook');
+      watcher.urlPolicy.lookup = fakeLookup({ 'hooks.example.com': ['10.0.0.5'] });
+
+      await watcher.emitWebhooks([issueEvent('a')]);
+      await waitFor(() => watcher.deadLetters.size === 1);
+
+      expect(fetchMock.mock.calls.map(([url]) => url)).toEqual([ENV_URL]);
+      expect(fetchMock.mock.calls[0][1].redirect).toBe('manual');
+      expect(watcher.deadLetters.list()[0].lastError).toContain('resolves to non-public address 10.0.0.5');
+    });
+
+    it('should require a read token to open a WebSocket', async () => {
+      const status = await new Promise((resolve) => {
+        const socket = new WebSocket(`ws://localhost:${server.address().port}/ws`);
+        socket.on('unexpected-response', (req, res) => {
+          resolve(res.statusCode);
+          req.destroy();
+        });
+        socket.on('error', () => {});
+      });
+      const socket = new WebSocket(`ws://localhost:${server.address().port}/ws?access_token=${READ_TOKEN}`);
+      await new Promise((resolve, reject) => {
+        socket.on('open', resolve);
+        socket.on('error', reject);
+      });
+      socket.terminate();
+
+      expect(status).toBe(401);
+    });
+  });
+});
@@ -0,0 +1,172 @@
+import { jest } from '@jest/globals';
+import { describe, it, expect, beforeEach, afterEach } from '@jest/globals';
+import { DocumentTracker } from '../src/documentTracker.js';
+import { createTestWatcher, FakeChangeSource } from './helpers.js';
+
+const BASE = 1704067200000;
+
+// Pool serving the reconciler's listings from mutable in-memory tables, and
+// reads AS OF SYSTEM TIME from what was listed at that time
+const createPool = (tables, dbNow = () => BASE) => {
+  const listed = {};
+  return {
+    connect: jest.fn(async () => ({ release: jest.fn() })),
+    query: jest.fn(async (sql) => {
+      if (sql.includes('now()')) return { rows: [{ now: String(dbNow()) }] };
+      const table = sql.includes('FROM task') ? 'task' : 'space';
+      const asOf = sql.match(/AS OF SYSTEM TIME '([^']+)'/);
+      if (asOf) return { rows: listed[`${table}@${Date.parse(asOf[1])}`] ?? [] };
+      if (sql.includes('"modifiedOn"')) listed[`${table}@${dbNow()}`] ??= tables[table];
+      return { rows: tables[table] };
+    }),
+    end: jest.fn()
+  };
+};
+
+const issue = (id, fields = {}) => ({
+  id,
+  class: 'tracker:class:Issue',
+  space: 'project-1',
+  identifier: `PROJ-${id}`,
+  title: `Issue ${id}`,
+  createdOn: BASE - 60000,
+  modifiedOn: BASE - 60000,
+  ...fields
+});
+
+const project = (id, fields = {}) => ({
+  id,
+  class: 'tracker:class:Project',
+  space: id,
+  identifier: 'PROJ',
+  name: 'Project',
+  archived: false,
+  createdOn: BASE - 60000,
+  modifiedOn: BASE - 60000,
+  ...fields
+});
+
+const createWatcher = async (tables, { reconcileInterval = 60000 } = {}) => {
+  const source = new FakeChangeSource();
+  const watcher = createTestWatcher({
+    pool: createPool(tables),
+    source,
+    config: { reconcileInterval, lookbackMs: 10000, watchedClasses: ['tasks', 'projects'] }
+  });
+  const events = [];
+  watcher.emitWebhooks = jest.fn(async (batch) => events.push(...batch));
+  await watcher.start();
+  return { watcher, source, events };
+};
+
+describe('Change Classification', () => {
+  const watchers = [];
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(async () => {
+    await Promise.all(watchers.splice(0).map(watcher => watcher.stop()));
+    jest.restoreAllMocks();
+  });
+
+  const start = async (...args) => {
+    const created = await createWatcher(...args);
+    watchers.push(created.watcher);
+    return created;
+  };
+
+  it('should classify a row whose createdOn equals modifiedOn as created', async () => {
+    const { source, events } = await start({ task: [], space: [] }, { reconcileInterval: 0 });
+
+    await source.onChanges([
+      { entry: 'tasks', row: issue('1', { createdOn: BASE, modifiedOn: BASE }) },
+      { entry: 'tasks', row: issue('2', { createdOn: BASE - 5000, modifiedOn: BASE }) }
+    ]);
+
+    expect(events.map(event => event.type)).toEqual(['issue.created', 'issue.updated']);
+  });
+
+  it('should classify documents first seen after priming as created', async () => {
+    const { source, events } = await start({ task: [issue('1')], space: [] });
+
+    await source.onChanges([
+      { entry: 'tasks', row: issue('1', { modifiedOn: BASE }) },
+      { entry: 'tasks', row: issue('2', { modifiedOn: BASE }) },
+      { entry: 'tasks', row: issue('3', { class: 'task:class:Task', modifiedOn: BASE }) }
+    ]);
+
+    expect(events.map(event => event.type)).toEqual(['issue.updated', 'issue.created', 'task.created']);
+  });
+
+  it('should emit project.created and project.archived on the archive transition only', async () => {
+    const { source, events } = await start({ task: [], space: [project('p-1')] });
+
+    await source.onChanges([{ entry: 'projects', row: project('p-2', { createdOn: BASE, modifiedOn: BASE }) }]);
+    await source.onChanges([{ entry: 'projects', row: project('p-1', { archived: true, modifiedOn: BASE }) }]);
+    await source.onChanges([{ entry: 'projects', row: project('p-1', { archived: true, modifiedOn: BASE + 1 }) }]);
+
+    expect(events.map(event => event.type)).toEqual(['project.created', 'project.archived', 'project.updated']);
+    expect(events[1].data.archived).toBe(true);
+  });
+
+  it('should emit a deleted event for deletions reported by the source', async () => {
+    const { source, events } = await start({ task: [issue('1')], space: [project('p-1')] });
+
+    await source.onChanges([
+      { entry: 'tasks', row: { id: '1' }, deleted: true },
+      // Changefeed deletions carry only the table
+      { table: 'space', row: { id: 'p-1' }, deleted: true },
+      { table: 'task', row: { id: 'unknown' }, deleted: true }
+    ]);
+
+    expect(events).toEqual([
+      expect.objectContaining({ type: 'issue.deleted', data: expect.objectContaining({ id: '1', identifier: 'PROJ-1' }) }),
+      expect.objectContaining({ type: 'project.deleted', data: expect.objectContaining({ id: 'p-1', name: 'Project' }) })
+    ]);
+  });
+
+  it('should prime on the first reconciliation and report rows missing on the next', async () => {
+    const tables = { task: [issue('1'), issue('2'), issue('3', { modifiedOn: BASE - 1000 })], space: [] };
+    const { watcher, events } = await start(tables);
+    expect(events).toEqual([]);
+
+    tables.task = [issue('1')];
+    await watcher.reconcile();
+
+    // issue-3 was modified inside the lookback, so it is not reported yet
+    expect(events).toEqual([
+      expect.objectContaining({ type: 'issue.deleted', data: expect.objectContaining({ id: '2' }) })
+    ]);
+    expect(watcher.getStats()).toMatchObject({ trackedDocuments: 2, reconciliations: 2 });
+  });
+
+  it('should list ids only and load a listed document as it was then when it first changes', async () => {
+    const { watcher, source, events } = await start({ task: [issue('1', { title: 'Old' })], space: [] });
+    const queries = watcher.pool.query.mock.calls.map(([sql]) => sql);
+    expect(queries.find(sql => sql.includes('FROM task'))).not.toContain('data');
+    expect(watcher.tracker.get('tasks', '1')).toEqual({ entry: 'tasks', id: '1', stub: true, modifiedOn: BASE - 60000, listedAt: BASE });
+
+    await source.onChanges([{ entry: 'tasks', row: issue('1', { title: 'New', modifiedOn: BASE }) }]);
+
+    const [sql, params] = watcher.pool.query.mock.calls.find(([sql]) => sql.includes('AS OF SYSTEM TIME'));
+    expect(sql).toContain(`FROM task AS OF SYSTEM TIME '${new Date(BASE).toISOString()}'`);
+    expect(params).toEqual([['1']]);
+    expect(events.map(event => event.type)).toEqual(['issue.updated', 'issue.title_changed']);
+    expect(events[0].changes).toEqual({ title: { from: 'Old', to: 'New' } });
+    expect(watcher.tracker.get('tasks', '1')).toMatchObject({ title: 'New', snapshot: expect.objectContaining({ title: 'New' }) });
+  });
+
+  describe('DocumentTracker', () => {
+    it('should track documents per watched class', () => {
+      const tracker = new DocumentTracker();
+      tracker.set('tasks', 'a', { title: 'Task' });
+      tracker.set('projects', 'a', { title: 'Space' });
+
+      expect(tracker.get('tasks', 'a').title).toBe('Task');
+      expect(tracker.delete('projects', 'a').title).toBe('Space');
+      expect(tracker.size).toBe(1);
+    });
+  });
+});
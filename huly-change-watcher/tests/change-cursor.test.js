@@ -0,0 +1,162 @@
+import { jest } from '@jest/globals';
+import { describe, it, expect, beforeEach, afterEach } from '@jest/globals';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import { FileCursorStore } from '../src/cursorStore.js';
+import { MemoryJsonStore } from '../src/jsonStore.js';
+import { config } from '../src/config.js';
+import { PollingChangeSource } from '../src/sources/pollingSource.js';
+import { WatchedClassRegistry } from '../src/watchedClasses.js';
+
+const HOUR = 60 * 60 * 1000;
+
+const createSource = (cursorStore, queryResults = {}) => {
+  const pool = {
+    query: jest.fn(async (sql) => {
+      if (sql.includes('now()')) return { rows: [{ now: String(Date.now()) }] };
+      const table = sql.includes('FROM task') ? 'task' : 'space';
+      const key = sql.includes('DESC') ? `${table}Latest` : table;
+      return { rows: queryResults[key] || [] };
+    }),
+    end: jest.fn()
+  };
+  const source = new PollingChangeSource({
+    pool,
+    cursorStore,
+    registry: WatchedClassRegistry.fromConfig({ watchedClasses: ['tasks', 'projects'] }),
+    config: { ...config, maxCatchupMs: 24 * HOUR, lookbackMs: 0 }
+  });
+  return { source, pool };
+};
+
+describe('Durable Change Cursor', () => {
+  let tmpDir;
+
+  beforeEach(async () => {
+    tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'change-cursor-'));
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await fs.rm(tmpDir, { recursive: true, force: true });
+  });
+
+  describe('FileCursorStore', () => {
+    it('should return null when no cursor has been saved', async () => {
+      const store = new FileCursorStore(path.join(tmpDir, 'cursor.json'));
+
+      await expect(store.load()).resolves.toBeNull();
+    });
+
+    it('should round-trip a saved cursor', async () => {
+      const store = new FileCursorStore(path.join(tmpDir, 'nested', 'cursor.json'));
+      const cursor = { tables: { task: { modifiedOn: 1704067200000, id: 'issue-1' } } };
+
+      await store.save(cursor);
+
+      await expect(store.load()).resolves.toEqual(cursor);
+      const files = await fs.readdir(path.join(tmpDir, 'nested'));
+      expect(files).toEqual(['cursor.json']);
+    });
+  });
+
+  describe('Cursor restore on startup', () => {
+    it('should start from the newest row when no cursor exists', async () => {
+      const { source } = createSource(new MemoryJsonStore(), {
+        taskLatest: [{ id: 'issue-42', modifiedOn: '1704067200000' }]
+      });
+
+      await source.restoreCursors();
+
+      expect(source.cursors.tasks).toEqual({ modifiedOn: 1704067200000, id: 'issue-42' });
+      expect(source.cursors.projects).toEqual({ modifiedOn: 0, id: '' });
+    });
+
+    it('should resume from a persisted cursor within the catch-up window', async () => {
+      const modifiedOn = Date.now() - HOUR;
+      const { source } = createSource(new MemoryJsonStore({
+        tables: { tasks: { modifiedOn, id: 'issue-9' }, projects: { modifiedOn, id: 'project-1' } }
+      }));
+
+      await source.restoreCursors();
+
+      expect(source.cursors.tasks).toEqual({ modifiedOn, id: 'issue-9' });
+      expect(source.cursors.projects).toEqual({ modifiedOn, id: 'project-1' });
+    });
+
+    it('should resume from cursors keyed by table name', async () => {
+      const modifiedOn = Date.now() - HOUR;
+      const { source } = createSource(new MemoryJsonStore({
+        tables: { task: { modifiedOn, id: 'issue-9' }, space: { modifiedOn, id: 'project-1' } },
+        seen: { task: [['issue-9', modifiedOn]] }
+      }));
+
+      await source.restoreCursors();
+
+      expect(source.cursors.tasks).toEqual({ modifiedOn, id: 'issue-9' });
+      expect(source.cursors.projects).toEqual({ modifiedOn, id: 'project-1' });
+      expect(source.seen.tasks.has('issue-9', modifiedOn)).toBe(true);
+    });
+
+    it('should clamp cursors older than the max catch-up window', async () => {
+      const { source } = createSource(new MemoryJsonStore({
+        tables: { tasks: { modifiedOn: Date.now() - 48 * HOUR, id: 'issue-1' } }
+      }));
+      const floor = Date.now() - 24 * HOUR;
+
+      await source.restoreCursors();
+
+      expect(source.cursors.tasks.modifiedOn).toBeGreaterThanOrEqual(floor);
+      expect(source.cursors.tasks.modifiedOn).toBeLessThan(Date.now() - 23 * HOUR);
+      expect(source.cursors.tasks.id).toBe('');
+    });
+  });
+
+  describe('Cursor advancement', () => {
+    it('should query past the stored cursor and advance to the last row', async () => {
+      const store = new MemoryJsonStore({
+        tables: {
+          tasks: { modifiedOn: Date.now() - HOUR, id: 'issue-1' },
+          projects: { modifiedOn: Date.now() - HOUR, id: '' }
+        }
+      });
+      const missed = Date.now() - 30 * 60 * 1000;
+      const { source, pool } = createSource(store, {
+        task: [
+          { id: 'issue-2', class: 'tracker:class:Issue', modifiedOn: String(missed) },
+          { id: 'issue-3', class: 'tracker:class:Issue', modifiedOn: String(missed) }
+        ]
+      });
+      source.onChanges = jest.fn(async () => {});
+      await source.restoreCursors();
+      const taskCursor = source.cursors.tasks;
+
+      const emitted = await source.checkForChanges();
+
+      expect(pool.query.mock.calls[1][1]).toEqual([taskCursor.modifiedOn, 'issue-1', 100]);
+      expect(emitted).toBe(2);
+      expect(source.cursors.tasks).toEqual({ modifiedOn: missed, id: 'issue-3' });
+    });
+
+    it('should persist the cursor only after changes are emitted', async () => {
+      const store = new MemoryJsonStore();
+      const modifiedOn = Date.now();
+      const { source } = createSource(store, {
+        task: [{ id: 'issue-5', class: 'tracker:class:Issue', modifiedOn }]
+      });
+      await source.restoreCursors();
+      const saved = [];
+      source.onChanges = jest.fn(async () => saved.push(store.value));
+      source.isRunning = true;
+
+      await source.poll();
+      source.stop();
+
+      expect(saved).toEqual([null]);
+      expect(store.value.tables.tasks).toEqual({ modifiedOn, id: 'issue-5' });
+    });
+  });
+});
@@ -0,0 +1,271 @@
+import { jest } from '@jest/globals';
+import { describe, it, expect, beforeEach, afterEach } from '@jest/globals';
+import { EventEmitter } from 'events';
+import { config } from '../src/config.js';
+import { MemoryJsonStore } from '../src/jsonStore.js';
+import {
+  createChangeSource,
+  PollingChangeSource,
+  ChangefeedChangeSource
+} from '../src/sources/index.js';
+import { buildChangefeedQuery, hlcToMs, msToHlc } from '../src/sources/changefeedSource.js';
+import { NOW_QUERY } from '../src/sources/pollingSource.js';
+import { WatchedClassRegistry } from '../src/watchedClasses.js';
+import { createTestWatcher, FakeChangeSource } from './helpers.js';
+
+const BASE = 1704067200000;
+
+const createPool = () => ({
+  connect: jest.fn(async () => ({ release: jest.fn() })),
+  query: jest.fn(async () => ({ rows: [{ now: String(BASE) }] })),
+  end: jest.fn()
+});
+
+const feedMessage = (table, after) => ({
+  table,
+  key: Buffer.from(JSON.stringify([after?._id])),
+  value: Buffer.from(JSON.stringify({ after }))
+});
+
+const resolvedMessage = (resolved) => ({
+  table: null,
+  key: null,
+  value: Buffer.from(JSON.stringify({ resolved }))
+});
+
+// Fake pool whose clients run the changefeed as an event-emitting query
+const createChangefeedPool = () => {
+  const feeds = [];
+  const pool = {
+    connect: jest.fn(async () => {
+      const client = {
+        release: jest.fn(),
+        query: jest.fn((query) => {
+          const feed = new EventEmitter();
+          feed.sql = query.text;
+          feeds.push(feed);
+          return feed;
+        })
+      };
+      return client;
+    }),
+    query: jest.fn(async () => ({ rows: [{ now: String(BASE) }] })),
+    end: jest.fn()
+  };
+  return { pool, feeds };
+};
+
+describe('Change Sources', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('createChangeSource', () => {
+    const options = {
+      pool: createPool(),
+      cursorStore: new MemoryJsonStore(),
+      registry: new WatchedClassRegistry(),
+      config
+    };
+
+    it('should create the source named by CHANGE_SOURCE', () => {
+      expect(createChangeSource('polling', options)).toBeInstanceOf(PollingChangeSource);
+      expect(createChangeSource('changefeed', options)).toBeInstanceOf(ChangefeedChangeSource);
+    });
+
+    it('should reject unknown source types', () => {
+      expect(() => createChangeSource('kafka', options)).toThrow('Unknown change source "kafka"');
+    });
+  });
+
+  describe('ChangeWatcher with a fake source', () => {
+    it('should map batches from the source to events and emit them', async () => {
+      const source = new FakeChangeSource();
+      const watcher = createTestWatcher({ pool: createPool(), source });
+      watcher.emitWebhooks = jest.fn(async () => {});
+
+      await watcher.start();
+      await source.push([
+        { entry: 'tasks', row: { id: 'issue-1', class: 'tracker:class:Issue', identifier: 'PROJ-1' } },
+        { entry: 'projects', row: { id: 'project-1', class: 'tracker:class:Project', name: 'Proj', archived: false } }
+      ]);
+
+      const events = watcher.emitWebhooks.mock.calls[0][0];
+      expect(events.map(event => event.type)).toEqual(['issue.updated', 'project.updated']);
+      expect(events[1].data.name).toBe('Proj');
+      expect(watcher.getStats()).toMatchObject({ type: 'fake', changesDetected: 2 });
+    });
+
+    it('should count source errors and stop the source on shutdown', async () => {
+      const source = new FakeChangeSource();
+      const watcher = createTestWatcher({ pool: createPool(), source });
+
+      await watcher.start();
+      source.onError(new Error('feed dropped'));
+      await watcher.stop();
+
+      expect(watcher.getStats().errors).toBe(1);
+      expect(source.stop).toHaveBeenCalled();
+    });
+  });
+
+  describe('PollingChangeSource', () => {
+    it('should run a single poll loop when restarted during an in-flight page', async () => {
+      jest.useFakeTimers({ doNotFake: ['setImmediate'] });
+      let releasePage;
+      const pages = [];
+      const pool = {
+        query: jest.fn(async (sql) => {
+          if (sql === NOW_QUERY) return { rows: [{ now: String(BASE) }] };
+          pages.push(sql);
+          if (pages.length === 1) await new Promise(resolve => { releasePage = resolve; });
+          return { rows: [] };
+        })
+      };
+      const source = new PollingChangeSource({
+        pool,
+        cursorStore: new MemoryJsonStore({ tables: { tasks: { modifiedOn: BASE, id: '' } } }),
+        registry: WatchedClassRegistry.fromConfig({ watchedClasses: ['tasks'] }),
+        config: { pageSize: 100, lookbackMs: 0, pollInterval: 1000, maxCatchupMs: 60000 }
+      });
+
+      await source.start(jest.fn(), jest.fn());
+      await new Promise(resolve => setImmediate(resolve));
+      await source.stop();
+      await source.start(jest.fn(), jest.fn());
+      await new Promise(resolve => setImmediate(resolve));
+      releasePage();
+      await new Promise(resolve => setImmediate(resolve));
+
+      expect(jest.getTimerCount()).toBe(1);
+      jest.advanceTimersByTime(1000);
+      await new Promise(resolve => setImmediate(resolve));
+      expect(pages).toHaveLength(3);
+      await source.stop();
+      jest.useRealTimers();
+    });
+
+    it('should not start polling when stopped while restoring its cursors', async () => {
+      const source = new PollingChangeSource({
+        pool: createPool(),
+        cursorStore: new MemoryJsonStore({ tables: { tasks: { modifiedOn: BASE, id: '' } } }),
+        registry: WatchedClassRegistry.fromConfig({ watchedClasses: ['tasks'] }),
+        config: { pageSize: 100, lookbackMs: 0, pollInterval: 1000, maxCatchupMs: 60000 }
+      });
+
+      const starting = source.start(jest.fn(), jest.fn());
+      await source.stop();
+      await starting;
+
+      expect(source.isRunning).toBe(false);
+      expect(source.pollTimer).toBeUndefined();
+    });
+  });
+
+  describe('Changefeed helpers', () => {
+    it('should convert between milliseconds and HLC timestamps', () => {
+      expect(msToHlc(BASE)).toBe('1704067200000000000.0000000000');
+      expect(hlcToMs('1704067200123456789.0000000001')).toBe(BASE + 123);
+    });
+
+    it('should build a sinkless changefeed without an initial scan on first start', () => {
+      expect(buildChangefeedQuery({ tables: ['task', 'space'], cursor: null, resolvedInterval: '5s' }))
+        .toBe("EXPERIMENTAL CHANGEFEED FOR task, space WITH resolved = '5s', no_initial_scan");
+    });
+
+    it('should resume from a resolved cursor and reject malformed cursors', () => {
+      const tables = ['task'];
+      expect(buildChangefeedQuery({ tables, cursor: '1704067200000000000.0000000000', resolvedInterval: '5s' }))
+        .toContain("cursor = '1704067200000000000.0000000000'");
+      expect(() => buildChangefeedQuery({ tables, cursor: "1'; DROP TABLE task; --", resolvedInterval: '5s' }))
+        .toThrow('Invalid changefeed cursor');
+    });
+  });
+
+  describe('ChangefeedChangeSource', () => {
+    const createSource = (pool, store = new MemoryJsonStore()) => new ChangefeedChangeSource({
+      pool,
+      cursorStore: store,
+      registry: new WatchedClassRegistry(),
+      config: { ...config, pageSize: 100, changefeedResolvedInterval: '5s', maxCatchupMs: 24 * 60 * 60 * 1000 }
+    });
+
+    it('should emit buffered rows on a resolved timestamp and persist it as the cursor', async () => {
+      const { pool, feeds } = createChangefeedPool();
+      const store = new MemoryJsonStore();
+      const source = createSource(pool, store);
+      const batches = [];
+
+      await source.start(async (changes) => batches.push(changes), jest.fn());
+      await new Promise(resolve => setImmediate(resolve));
+      feeds[0].emit('row', feedMessage('task', { _id: 'issue-1', _class: 'tracker:class:Issue', modifiedOn: BASE, data: {} }));
+      feeds[0].emit('row', feedMessage('space', { _id: 'chan-1', _class: 'chunter:class:Channel', modifiedOn: BASE, data: {} }));
+      feeds[0].emit('row', resolvedMessage('1704067205000000000.0000000000'));
+      await source.chain;
+      await source.stop();
+
+      expect(batches).toHaveLength(1);
+      expect(batches[0]).toEqual([expect.objectContaining({ entry: 'tasks', row: expect.objectContaining({ id: 'issue-1' }) })]);
+      expect(store.value.changefeed.resolved).toBe('1704067205000000000.0000000000');
+    });
+
+    it('should report deleted rows by the _id at the end of the primary key', async () => {
+      const { pool, feeds } = createChangefeedPool();
+      const source = createSource(pool);
+      const batches = [];
+
+      await source.start(async (changes) => batches.push(changes), jest.fn());
+      await new Promise(resolve => setImmediate(resolve));
+      feeds[0].emit('row', {
+        table: 'task',
+        key: Buffer.from(JSON.stringify(['workspace-1', 'issue-1'])),
+        value: Buffer.from(JSON.stringify({ after: null }))
+      });
+      feeds[0].emit('row', resolvedMessage('1704067205000000000.0000000000'));
+      await source.chain;
+      await source.stop();
+
+      expect(batches[0]).toEqual([{ table: 'task', row: { id: 'issue-1' }, deleted: true }]);
+    });
+
+    it('should resume the feed from the persisted resolved timestamp', async () => {
+      const { pool, feeds } = createChangefeedPool();
+      const store = new MemoryJsonStore({ changefeed: { resolved: msToHlc(BASE - 1000) } });
+      const source = createSource(pool, store);
+
+      await source.start(jest.fn(), jest.fn());
+      await new Promise(resolve => setImmediate(resolve));
+      await source.stop();
+
+      expect(feeds[0].sql).toContain(`cursor = '${msToHlc(BASE - 1000)}'`);
+    });
+
+    it('should not persist the cursor when emitting a batch fails, and reconnect', async () => {
+      jest.useFakeTimers({ doNotFake: ['setImmediate'] });
+      const { pool, feeds } = createChangefeedPool();
+      const store = new MemoryJsonStore();
+      const source = createSource(pool, store);
+      const onError = jest.fn();
+
+      await source.start(jest.fn().mockRejectedValueOnce(new Error('delivery failed')), onError);
+      await new Promise(resolve => setImmediate(resolve));
+      feeds[0].emit('row', feedMessage('task', { _id: 'issue-1', _class: 'tracker:class:Issue', modifiedOn: BASE, data: {} }));
+      feeds[0].emit('row', resolvedMessage('1704067205000000000.0000000000'));
+      await source.chain;
+      jest.advanceTimersByTime(5000);
+      await new Promise(resolve => setImmediate(resolve));
+      await source.stop();
+      jest.useRealTimers();
+
+      expect(onError).toHaveBeenCalledWith(expect.objectContaining({ message: 'delivery failed' }));
+      expect(store.value).toBeNull();
+      expect(pool.connect).toHaveBeenCalledTimes(2);
+    });
+  });
+});
@@ -0,0 +1,146 @@
+import { jest } from '@jest/globals';
+import { describe, it, expect, beforeEach, afterEach } from '@jest/globals';
+import { MemoryJsonStore } from '../src/jsonStore.js';
+import { SeenSet } from '../src/seenSet.js';
+import { config } from '../src/config.js';
+import { PollingChangeSource } from '../src/sources/pollingSource.js';
+import { WatchedClassRegistry } from '../src/watchedClasses.js';
+
+const BASE = 1704067200000;
+
+// Fake pool over mutable in-memory tables that honours the keyset contract
+const createPool = (tables, dbNow = BASE) => ({
+  query: jest.fn(async (sql, params) => {
+    if (sql.includes('now()')) return { rows: [{ now: String(dbNow) }] };
+    const table = sql.includes('FROM task') ? 'task' : 'space';
+    const rows = [...(tables[table] || [])];
+    if (sql.includes('DESC')) {
+      rows.sort((a, b) => b.modifiedOn - a.modifiedOn || b.id.localeCompare(a.id));
+      return { rows: rows.slice(0, 1) };
+    }
+    const [modifiedOn, id, limit] = params;
+    return {
+      rows: rows
+        .filter(row => row.modifiedOn > modifiedOn || (row.modifiedOn === modifiedOn && row.id > id))
+        .sort((a, b) => a.modifiedOn - b.modifiedOn || a.id.localeCompare(b.id))
+        .slice(0, limit)
+    };
+  }),
+  end: jest.fn()
+});
+
+const issue = (id, modifiedOn) => ({ id, class: 'tracker:class:Issue', modifiedOn });
+
+const createSource = (tables, { store = new MemoryJsonStore(), lookbackMs = 1000 } = {}) => {
+  const source = new PollingChangeSource({
+    pool: createPool(tables),
+    cursorStore: store,
+    registry: WatchedClassRegistry.fromConfig({ watchedClasses: ['tasks', 'projects'] }),
+    config: { ...config, lookbackMs, maxCatchupMs: Infinity }
+  });
+  const emitted = [];
+  source.onChanges = jest.fn(async (changes) => {
+    emitted.push(...changes.map(change => change.row.id));
+  });
+  return { source, emitted, store };
+};
+
+describe('Database-Time Change Window', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should seed a fresh cursor from the newest row rather than the source clock', async () => {
+    const tables = { task: [issue('issue-1', BASE - 5000)] };
+    const { source } = createSource(tables);
+    // Watcher clock is an hour ahead of the database
+    jest.spyOn(Date, 'now').mockReturnValue(BASE + 60 * 60 * 1000);
+
+    await source.restoreCursors();
+    tables.task.push(issue('issue-2', BASE - 4000));
+    await source.checkForChanges();
+
+    expect(source.cursors.tasks).toEqual({ modifiedOn: BASE - 4000, id: 'issue-2' });
+  });
+
+  it('should pick up a late commit with an earlier modifiedOn inside the lookback', async () => {
+    const tables = { task: [issue('issue-1', BASE)] };
+    const { source, emitted } = createSource(tables);
+    await source.restoreCursors();
+
+    tables.task.push(issue('issue-2', BASE + 200));
+    await source.checkForChanges();
+    // Committed after the previous poll, but stamped before the cursor
+    tables.task.push(issue('issue-3', BASE + 100));
+    await source.checkForChanges();
+
+    expect(emitted).toEqual(['issue-2', 'issue-3']);
+    expect(source.cursors.tasks).toEqual({ modifiedOn: BASE + 200, id: 'issue-2' });
+  });
+
+  it('should not re-emit rows already seen within the overlap', async () => {
+    const tables = { task: [issue('issue-1', BASE)] };
+    const { source, emitted } = createSource(tables);
+    await source.restoreCursors();
+
+    tables.task.push(issue('issue-2', BASE + 10));
+    await source.checkForChanges();
+    await source.checkForChanges();
+    await source.checkForChanges();
+
+    expect(emitted).toEqual(['issue-2']);
+  });
+
+  it('should emit a new version of an already seen document', async () => {
+    const tables = { task: [issue('issue-1', BASE)] };
+    const { source, emitted } = createSource(tables);
+    await source.restoreCursors();
+
+    tables.task[0] = issue('issue-1', BASE + 10);
+    await source.checkForChanges();
+    tables.task[0] = issue('issue-1', BASE + 20);
+    await source.checkForChanges();
+
+    expect(emitted).toEqual(['issue-1', 'issue-1']);
+  });
+
+  it('should persist the seen-set so a restart does not replay the overlap', async () => {
+    const tables = { task: [issue('issue-1', BASE)] };
+    const store = new MemoryJsonStore();
+    const first = createSource(tables, { store });
+    await first.source.restoreCursors();
+    tables.task.push(issue('issue-2', BASE + 10));
+    await first.source.checkForChanges();
+
+    const second = createSource(tables, { store });
+    await second.source.restoreCursors();
+    await second.source.checkForChanges();
+
+    expect(first.emitted).toEqual(['issue-2']);
+    expect(second.emitted).toEqual([]);
+  });
+
+  describe('SeenSet', () => {
+    it('should key entries on id and modifiedOn', () => {
+      const seen = new SeenSet();
+      seen.add('issue-1', '1000');
+
+      expect(seen.has('issue-1', 1000)).toBe(true);
+      expect(seen.has('issue-1', 1001)).toBe(false);
+      expect(seen.has('issue-2', 1000)).toBe(false);
+    });
+
+    it('should prune entries behind the window and round-trip through JSON', () => {
+      const seen = new SeenSet([['issue-1', 1000], ['issue-2', 2000]]);
+
+      seen.prune(1500);
+
+      expect(seen.size).toBe(1);
+      expect(new SeenSet(JSON.parse(JSON.stringify(seen))).has('issue-2', 2000)).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,155 @@
+import { jest } from '@jest/globals';
+import { describe, it, expect, beforeEach, afterEach } from '@jest/globals';
+import { DeadLetterStore } from '../src/deadLetterStore.js';
+import { DeliveryQueue } from '../src/deliveryQueue.js';
+import { MemoryJsonCollection, MemoryJsonStore } from '../src/jsonStore.js';
+import { createServer } from '../src/server.js';
+import { createTestWatcher, waitFor } from './helpers.js';
+
+const URL_A = 'http://subscriber-a/webhook';
+const URL_B = 'http://subscriber-b/webhook';
+
+const delivery = (id, url, fields = {}) => ({
+  id,
+  url,
+  payload: { events: [{ type: 'issue.updated', data: { id } }] },
+  attempts: 3,
+  createdAt: 1704067200000,
+  lastError: 'HTTP 503',
+  ...fields
+});
+
+describe('Dead Letters', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('DeadLetterStore', () => {
+    it('should persist dead letters and reload them', async () => {
+      const store = new MemoryJsonStore();
+      const deadLetters = new DeadLetterStore({ store, config: { deadLetterMax: 10 } });
+
+      await deadLetters.add(delivery('d-1', URL_A));
+      const reloaded = new DeadLetterStore({ store, config: { deadLetterMax: 10 } });
+      await reloaded.load();
+
+      expect(reloaded.get('d-1')).toMatchObject({ url: URL_A, attempts: 3, lastError: 'HTTP 503' });
+      expect(reloaded.get('d-1').failedAt).toEqual(expect.any(Number));
+    });
+
+    it('should filter by subscriber and discard the oldest beyond the cap', async () => {
+      const deadLetters = new DeadLetterStore({ store: new MemoryJsonStore(), config: { deadLetterMax: 2 } });
+
+      await deadLetters.add(delivery('d-1', URL_A));
+      await deadLetters.add(delivery('d-2', URL_B));
+      await deadLetters.add(delivery('d-3', URL_A));
+
+      expect(deadLetters.list().map(entry => entry.id)).toEqual(['d-2', 'd-3']);
+      expect(deadLetters.list({ subscriber: URL_A }).map(entry => entry.id)).toEqual(['d-3']);
+      expect(deadLetters.discarded).toBe(1);
+    });
+  });
+
+  it('should dead-letter a delivery once its retries are exhausted', async () => {
+    const deadLetters = new DeadLetterStore({ store: new MemoryJsonStore(), config: { deadLetterMax: 10 } });
+    const queue = new DeliveryQueue({
+      collection: new MemoryJsonCollection(),
+      send: async () => { throw new Error('HTTP 500'); },
+      onDeadLetter: (failed) => deadLetters.add(failed),
+      config: { deliveryMaxAttempts: 2, deliveryBackoffMs: 1, deliveryMaxBackoffMs: 5 }
+    });
+    await queue.start();
+
+    const queued = await queue.enqueue(URL_A, { events: [] });
+    await waitFor(() => deadLetters.size === 1);
+    queue.stop();
+
+    expect(deadLetters.get(queued.id)).toMatchObject({ url: URL_A, attempts: 2, lastError: 'HTTP 500' });
+    expect(queue.pending(URL_A)).toBe(0);
+  });
+
+  describe('HTTP API', () => {
+    let watcher;
+    let server;
+    let baseUrl;
+
+    beforeEach(async () => {
+      watcher = createTestWatcher({
+        deadLetterStore: new MemoryJsonStore({
+          deadLetters: [delivery('d-1', URL_A), delivery('d-2', URL_B), delivery('d-3', URL_A)]
+        }),
+        config: { webhookUrls: [URL_A, URL_B] }
+      });
+      watcher.sendWebhook = jest.fn(async () => {});
+      await watcher.start();
+
+      server = createServer(watcher);
+      await new Promise(resolve => server.listen(0, resolve));
+      baseUrl = `http://localhost:${server.address().port}`;
+    });
+
+    afterEach(async () => {
+      await watcher.stop();
+      await new Promise(resolve => server.close(resolve));
+    });
+
+    it('should list dead letters, optionally for one subscriber by URL or subscription id', async () => {
+      const all = await (await fetch(`${baseUrl}/deadletters`)).json();
+      const forA = await (await fetch(`${baseUrl}/deadletters?subscriber=${encodeURIComponent(URL_A)}`)).json();
+      const { id } = watcher.webhookSubscribers.findByUrl(URL_B);
+      const forB = await (await fetch(`${baseUrl}/deadletters?subscriber=${id}`)).json();
+
+      expect(all.count).toBe(3);
+      expect(forA.deadLetters.map(entry => entry.id)).toEqual(['d-1', 'd-3']);
+      expect(forA.deadLetters[0].payload.events[0].data.id).toBe('d-1');
+      expect(forB.deadLetters.map(entry => entry.id)).toEqual(['d-2']);
+    });
+
+    it('should replay a single dead letter with its original delivery id', async () => {
+      const enqueue = jest.spyOn(watcher.delivery, 'enqueue');
+      const response = await fetch(`${baseUrl}/deadletters/d-2/replay`, { method: 'POST' });
+
+      expect(response.status).toBe(200);
+      expect(await response.json()).toEqual({ success: true, replayed: 1, skipped: 0 });
+      await waitFor(() => watcher.sendWebhook.mock.calls.length === 1);
+      expect(enqueue).toHaveBeenCalledWith(URL_B, delivery('d-2', URL_B).payload, { id: 'd-2' });
+      expect(watcher.sendWebhook).toHaveBeenCalledWith(URL_B, delivery('d-2', URL_B).payload, expect.objectContaining({ id: 'd-2' }));
+      expect(watcher.deadLetters.list().map(entry => entry.id)).toEqual(['d-1', 'd-3']);
+    });
+
+    it('should return 404 for an unknown dead letter', async () => {
+      const response = await fetch(`${baseUrl}/deadletters/missing/replay`, { method: 'POST' });
+
+      expect(response.status).toBe(404);
+    });
+
+    it('should replay everything a subscriber missed, in order', async () => {
+      const response = await fetch(`${baseUrl}/deadletters/replay?subscriber=${encodeURIComponent(URL_A)}`, { method: 'POST' });
+
+      expect(await response.json()).toEqual({ success: true, replayed: 2, skipped: 0 });
+      await waitFor(() => watcher.sendWebhook.mock.calls.length === 2);
+      expect(watcher.sendWebhook.mock.calls.map(([, payload]) => payload.events[0].data.id)).toEqual(['d-1', 'd-3']);
+      expect(watcher.getStats().deadLetters).toBe(1);
+    });
+
+    it('should keep dead letters of deleted subscriptions instead of replaying them', async () => {
+      const enqueue = jest.spyOn(watcher.delivery, 'enqueue');
+      watcher.deleteSubscription(watcher.webhookSubscribers.findByUrl(URL_A).id);
+
+      const single = await fetch(`${baseUrl}/deadletters/d-1/replay`, { method: 'POST' });
+      const all = await fetch(`${baseUrl}/deadletters/replay`, { method: 'POST' });
+
+      expect(single.status).toBe(409);
+      expect(await all.json()).toEqual({ success: true, replayed: 1, skipped: 2 });
+      expect(enqueue).toHaveBeenCalledTimes(1);
+      expect(enqueue).toHaveBeenCalledWith(URL_B, delivery('d-2', URL_B).payload, { id: 'd-2' });
+      expect(watcher.deadLetters.list().map(entry => entry.id)).toEqual(['d-1', 'd-3']);
+    });
+  });
+});
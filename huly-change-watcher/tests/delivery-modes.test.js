@@ -0,0 +1,192 @@
+import { jest } from '@jest/globals';
+import { describe, it, expect, beforeEach, afterEach } from '@jest/globals';
+import { compileDeliveryMode, coalesceEvents, EventBatcher } from '../src/deliveryModes.js';
+import { MemoryJsonStore } from '../src/jsonStore.js';
+import { createServer } from '../src/server.js';
+import { createTestWatcher, waitFor } from './helpers.js';
+
+const URL_A = 'http://subscriber-a/webhook';
+
+const issue = (type, id, data = {}, changes = undefined) => ({
+  type,
+  timestamp: 1704067200000,
+  data: { id, project: 'PROJ', ...data },
+  ...(changes ? { changes } : {})
+});
+
+describe('Delivery Modes', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should validate delivery specs and fill in defaults from the config', () => {
+    const config = { batchMaxEvents: 100, batchMaxWaitMs: 5000, coalesceWindowMs: 10000 };
+
+    expect(compileDeliveryMode(null, config)).toEqual({ mode: 'immediate' });
+    expect(compileDeliveryMode('batched', config)).toEqual({ mode: 'batched', maxEvents: 100, maxWaitMs: 5000 });
+    expect(compileDeliveryMode({ mode: 'batched', maxEvents: 10 }, config)).toEqual({ mode: 'batched', maxEvents: 10, maxWaitMs: 5000 });
+    expect(compileDeliveryMode({ mode: 'coalesced', windowMs: 2000 }, config)).toEqual({ mode: 'coalesced', windowMs: 2000 });
+    expect(() => compileDeliveryMode('hourly', config)).toThrow('Delivery mode must be one of');
+    expect(() => compileDeliveryMode({ mode: 'coalesced', maxEvents: 5 }, config)).toThrow('Unknown options for coalesced delivery: maxEvents');
+    expect(() => compileDeliveryMode({ mode: 'batched', maxWaitMs: -1 }, config)).toThrow('"maxWaitMs" must be a positive integer');
+  });
+
+  it('should merge updates to a document into one event with the combined diff', () => {
+    const events = coalesceEvents([
+      issue('issue.updated', 'a', { status: 'In Progress', title: 'Old' }, { status: { from: 'Todo', to: 'In Progress' } }),
+      issue('issue.status_changed', 'a', { status: 'In Progress' }, { status: { from: 'Todo', to: 'In Progress' } }),
+      issue('issue.updated', 'b', { title: 'Other' }),
+      issue('issue.updated', 'a', { status: 'Todo', title: 'New' }, { status: { from: 'In Progress', to: 'Todo' }, title: { from: 'Old', to: 'New' } }),
+      issue('issue.status_changed', 'a', { status: 'Todo' }, { status: { from: 'In Progress', to: 'Todo' } }),
+      issue('issue.title_changed', 'a', { title: 'New' }, { title: { from: 'Old', to: 'New' } })
+    ]);
+
+    expect(events).toEqual([
+      expect.objectContaining({
+        type: 'issue.updated',
+        data: expect.objectContaining({ id: 'a', status: 'Todo', title: 'New' }),
+        changes: { title: { from: 'Old', to: 'New' } },
+        coalesced: 2
+      }),
+      expect.objectContaining({ type: 'issue.updated', data: expect.objectContaining({ id: 'b' }) }),
+      expect.objectContaining({ type: 'issue.title_changed', changes: { title: { from: 'Old', to: 'New' } } })
+    ]);
+    expect(events[1]).not.toHaveProperty('coalesced');
+  });
+
+  it('should fold updates into a creation and drop updates before a deletion', () => {
+    const events = coalesceEvents([
+      issue('issue.created', 'new', { title: 'Draft' }),
+      issue('issue.updated', 'new', { title: 'Final' }, { title: { from: 'Draft', to: 'Final' } }),
+      issue('issue.title_changed', 'new', { title: 'Final' }, { title: { from: 'Draft', to: 'Final' } }),
+      issue('issue.updated', 'gone', { title: 'Edited' }),
+      issue('issue.deleted', 'gone')
+    ]);
+
+    expect(events).toEqual([
+      expect.objectContaining({ type: 'issue.created', data: expect.objectContaining({ id: 'new', title: 'Final' }), coalesced: 3 }),
+      expect.objectContaining({ type: 'issue.deleted', data: expect.objectContaining({ id: 'gone' }) })
+    ]);
+  });
+
+  it('should flush batches when they are full or have waited long enough', async () => {
+    const flushed = [];
+    const batcher = new EventBatcher({ flush: async (url, events) => flushed.push(events.map(event => event.data.id)) });
+    const delivery = { mode: 'batched', maxEvents: 2, maxWaitMs: 30 };
+    batcher.start();
+
+    await batcher.add(URL_A, delivery, [issue('issue.updated', 'a')]);
+    expect(flushed).toEqual([]);
+    await batcher.add(URL_A, delivery, [issue('issue.updated', 'b'), issue('issue.updated', 'c')]);
+    expect(flushed).toEqual([['a', 'b']]);
+    expect(batcher.pending(URL_A)).toBe(1);
+
+    await waitFor(() => flushed.length === 2);
+    expect(flushed[1]).toEqual(['c']);
+    expect(batcher.pending(URL_A)).toBe(0);
+  });
+
+  it('should persist held events before accepting them and restore them with the rest of their wait', async () => {
+    const store = new MemoryJsonStore();
+    const delivery = { mode: 'batched', maxEvents: 10, maxWaitMs: 200 };
+    const first = new EventBatcher({ store, flush: async () => {} });
+    first.start();
+
+    await first.add(URL_A, delivery, [issue('issue.updated', 'a')]);
+    expect((await store.load()).buffers[URL_A].events).toEqual([expect.objectContaining({ data: expect.objectContaining({ id: 'a' }) })]);
+    first.stop();
+
+    // A crash before the batch was queued: the next start picks it up
+    const flushed = [];
+    const second = new EventBatcher({ store, flush: async (url, events) => flushed.push(events.map(event => event.data.id)) });
+    await second.load();
+    second.start();
+    expect(second.pending(URL_A)).toBe(1);
+    await waitFor(() => flushed.length === 1);
+    expect(flushed).toEqual([['a']]);
+    await second.document.saving;
+    expect((await store.load()).buffers).toEqual({});
+
+    // Events that could not be persisted are not held
+    jest.spyOn(store, 'save').mockRejectedValueOnce(new Error('ENOSPC'));
+    await expect(second.add(URL_A, delivery, [issue('issue.updated', 'b')])).rejects.toThrow('ENOSPC');
+    expect(second.pending(URL_A)).toBe(0);
+    second.stop();
+  });
+
+  describe('ChangeWatcher', () => {
+    let watcher;
+
+    beforeEach(async () => {
+      watcher = createTestWatcher({
+        config: { deliveryMaxAttempts: 1 }
+      });
+      await watcher.start();
+    });
+
+    afterEach(async () => {
+      await watcher.stop();
+    });
+
+    it('should deliver edits made across polls within the window as one event', async () => {
+      const fetchMock = jest.spyOn(global, 'fetch').mockResolvedValue({ ok: true, status: 200 });
+      watcher.addWebhookSubscriber(URL_A, { delivery: { mode: 'coalesced', windowMs: 50 } });
+
+      await watcher.emitWebhooks([issue('issue.updated', 'a', { priority: 2 }, { priority: { from: 3, to: 2 } })]);
+      await watcher.emitWebhooks([issue('issue.updated', 'a', { priority: 1 }, { priority: { from: 2, to: 1 } })]);
+      expect(watcher.getSubscription(watcher.webhookSubscribers.findByUrl(URL_A).id).heldEvents).toBe(2);
+
+      await waitFor(() => fetchMock.mock.calls.length === 1 && watcher.delivery.pending(URL_A) === 0);
+      const { events } = JSON.parse(fetchMock.mock.calls[0][1].body);
+      expect(events).toEqual([expect.objectContaining({
+        type: 'issue.updated',
+        changes: { priority: { from: 3, to: 1 } },
+        coalesced: 2
+      })]);
+    });
+
+    it('should queue held events when it stops', async () => {
+      watcher.addWebhookSubscriber(URL_A, { delivery: { mode: 'batched', maxEvents: 10, maxWaitMs: 60000 } });
+      await watcher.emitWebhooks([issue('issue.updated', 'a'), issue('issue.updated', 'b')]);
+      const enqueue = jest.spyOn(watcher.delivery, 'enqueue');
+
+      await watcher.stop();
+
+      expect(enqueue).toHaveBeenCalledWith(URL_A, expect.objectContaining({
+        events: [expect.objectContaining({ data: expect.objectContaining({ id: 'a' }) }), expect.objectContaining({ data: expect.objectContaining({ id: 'b' }) })]
+      }));
+    });
+
+    it('should set delivery modes through /subscribe and PATCH /subscriptions/:id', async () => {
+      const server = createServer(watcher);
+      await new Promise(resolve => server.listen(0, resolve));
+      const baseUrl = `http://localhost:${server.address().port}`;
+      const request = (method, path, body) => fetch(`${baseUrl}${path}`, {
+        method,
+        headers: { 'Content-Type': 'application/json' },
+        body: body && JSON.stringify(body)
+      });
+
+      try {
+        const created = await (await request('POST', '/subscribe', { url: URL_A, delivery: 'batched' })).json();
+        const patched = await request('PATCH', `/subscriptions/${created.id}`, { delivery: { mode: 'coalesced', windowMs: 2000 } });
+        const invalid = await request('PATCH', `/subscriptions/${created.id}`, { delivery: { mode: 'coalesced', windowMs: 0 } });
+        const badSubscribe = await request('POST', '/subscribe', { url: 'http://subscriber-b/webhook', delivery: 'sometimes' });
+
+        expect(created.delivery).toEqual({ mode: 'batched', maxEvents: 100, maxWaitMs: 5000 });
+        expect(patched.status).toBe(200);
+        expect((await patched.json()).delivery).toEqual({ mode: 'coalesced', windowMs: 2000 });
+        expect(invalid.status).toBe(400);
+        expect(badSubscribe.status).toBe(400);
+        expect(watcher.webhookSubscribers.findByUrl(URL_A).delivery).toEqual({ mode: 'coalesced', windowMs: 2000 });
+      } finally {
+        await new Promise(resolve => server.close(resolve));
+      }
+    });
+  });
+});
@@ -0,0 +1,215 @@
+import { jest } from '@jest/globals';
+import { describe, it, expect, beforeEach, afterEach } from '@jest/globals';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { DeliveryQueue, backoffDelay } from '../src/deliveryQueue.js';
+import { FileJsonCollection, MemoryJsonCollection } from '../src/jsonStore.js';
+import { createTestWatcher, waitFor } from './helpers.js';
+
+const URL_A = 'http://subscriber-a/webhook';
+const URL_B = 'http://subscriber-b/webhook';
+
+const queueConfig = { deliveryMaxAttempts: 3, deliveryBackoffMs: 5, deliveryMaxBackoffMs: 20 };
+
+// Saved queue document of a subscriber
+const savedQueue = (collection, url) => Array.from(collection.values.values()).find(doc => doc.url === url);
+
+describe('Delivery Queue', () => {
+  const queues = [];
+
+  const createQueue = (send, collection = new MemoryJsonCollection()) => {
+    const queue = new DeliveryQueue({ collection, send, config: queueConfig });
+    queues.push(queue);
+    return queue;
+  };
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    queues.splice(0).forEach(queue => queue.stop());
+    jest.restoreAllMocks();
+  });
+
+  it('should double the backoff per attempt, cap it and jitter within the upper half', () => {
+    const options = { baseMs: 1000, maxMs: 10000 };
+
+    expect(backoffDelay(1, options, () => 1)).toBe(1000);
+    expect(backoffDelay(3, options, () => 1)).toBe(4000);
+    expect(backoffDelay(3, options, () => 0)).toBe(2000);
+    expect(backoffDelay(10, options, () => 1)).toBe(10000);
+  });
+
+  it('should retry a failed delivery until the subscriber acknowledges it', async () => {
+    const send = jest.fn()
+      .mockRejectedValueOnce(new Error('HTTP 503'))
+      .mockResolvedValueOnce();
+    const queue = createQueue(send);
+    await queue.start();
+
+    await queue.enqueue(URL_A, { n: 1 });
+    await waitFor(() => queue.stats.delivered === 1);
+
+    expect(send).toHaveBeenCalledTimes(2);
+    expect(queue.getStats()).toMatchObject({ delivered: 1, failedAttempts: 1, dropped: 0, pending: 0 });
+  });
+
+  it('should deliver strictly in order per subscriber while a retry is pending', async () => {
+    const delivered = [];
+    let failures = 2;
+    const send = jest.fn(async (url, payload) => {
+      if (url === URL_A && failures-- > 0) throw new Error('HTTP 500');
+      delivered.push(`${url === URL_A ? 'a' : 'b'}${payload.n}`);
+    });
+    const queue = createQueue(send);
+    await queue.start();
+
+    await queue.enqueue(URL_A, { n: 1 });
+    await queue.enqueue(URL_A, { n: 2 });
+    await queue.enqueue(URL_B, { n: 1 });
+    await waitFor(() => delivered.length === 3);
+
+    // Subscriber B is not held up by A's retries, and A keeps its order
+    expect(delivered).toEqual(['b1', 'a1', 'a2']);
+  });
+
+  it('should give up after the max attempts and move on to the next delivery', async () => {
+    const send = jest.fn(async (url, payload) => {
+      if (payload.n === 1) throw new Error('HTTP 400');
+    });
+    const queue = createQueue(send);
+    await queue.start();
+
+    await queue.enqueue(URL_A, { n: 1 });
+    await queue.enqueue(URL_A, { n: 2 });
+    await waitFor(() => queue.stats.delivered === 1);
+
+    expect(send.mock.calls.map(([, payload]) => payload.n)).toEqual([1, 1, 1, 2]);
+    expect(queue.getStats()).toMatchObject({ failedAttempts: 3, dropped: 1, pending: 0 });
+  });
+
+  it('should persist pending deliveries and resume them on the next start', async () => {
+    const collection = new MemoryJsonCollection();
+    // Never started, so nothing is sent before the "restart"
+    const stopped = createQueue(jest.fn(), collection);
+
+    const delivery = await stopped.enqueue(URL_A, { n: 1 });
+    await stopped.enqueue(URL_B, { n: 1 });
+    expect(collection.values.size).toBe(2);
+    expect(savedQueue(collection, URL_A).deliveries).toEqual([expect.objectContaining({ id: delivery.id, attempts: 0 })]);
+
+    const send = jest.fn(async () => {});
+    const restarted = createQueue(send, collection);
+    await restarted.start();
+    await waitFor(() => send.mock.calls.length === 2);
+
+    expect(send).toHaveBeenCalledWith(URL_A, { n: 1 }, expect.objectContaining({ id: delivery.id }));
+    await waitFor(() => collection.values.size === 0);
+  });
+
+  it('should keep each queue in its own file', async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'delivery-queue-'));
+    try {
+      const stopped = createQueue(jest.fn(), new FileJsonCollection(dir));
+      await stopped.enqueue(URL_A, { n: 1 });
+      await stopped.enqueue(URL_B, { n: 2 });
+      expect(await fs.readdir(dir)).toHaveLength(2);
+
+      const restarted = createQueue(jest.fn(), new FileJsonCollection(dir));
+      restarted.pause(URL_A);
+      restarted.pause(URL_B);
+      await restarted.start();
+      expect([restarted.pending(URL_A), restarted.pending(URL_B)]).toEqual([1, 1]);
+
+      await restarted.remove(URL_A);
+      expect(await fs.readdir(dir)).toHaveLength(1);
+    } finally {
+      await fs.rm(dir, { recursive: true, force: true });
+    }
+  });
+
+  it('should take a delivery back out when persisting it fails', async () => {
+    const collection = new MemoryJsonCollection();
+    const save = jest.spyOn(collection, 'save').mockRejectedValue(new Error('ENOSPC: no space left on device'));
+    const send = jest.fn().mockResolvedValue();
+    const queue = createQueue(send, collection);
+    await queue.start();
+
+    for (let i = 0; i < 3; i++) {
+      await expect(queue.enqueue(URL_A, { n: 1 })).rejects.toThrow('ENOSPC');
+    }
+    expect(queue.pending(URL_A)).toBe(0);
+
+    save.mockRestore();
+    await queue.enqueue(URL_A, { n: 1 });
+    await waitFor(() => queue.stats.delivered === 1);
+    expect(send).toHaveBeenCalledTimes(1);
+  });
+
+  it('should drop the queue of a removed subscriber', async () => {
+    const queue = createQueue(jest.fn(async () => { throw new Error('HTTP 502'); }));
+    await queue.start();
+
+    await queue.enqueue(URL_A, { n: 1 });
+    await queue.remove(URL_A);
+
+    expect(queue.pending(URL_A)).toBe(0);
+    expect(queue.documents.collection.values.size).toBe(0);
+  });
+
+  it('should dead-letter the oldest deliveries of a queue over its cap', async () => {
+    const onDeadLetter = jest.fn(async () => {});
+    const collection = new MemoryJsonCollection();
+    const queue = new DeliveryQueue({
+      collection,
+      send: jest.fn(),
+      onDeadLetter,
+      config: { ...queueConfig, deliveryQueueMaxPending: 2 }
+    });
+    queues.push(queue);
+    await queue.start();
+    // A suspended subscriber keeps accepting deliveries
+    queue.pause(URL_A);
+
+    for (let n = 1; n <= 4; n++) {
+      await queue.enqueue(URL_A, { n });
+    }
+
+    expect(onDeadLetter.mock.calls.map(([delivery]) => delivery.payload.n)).toEqual([1, 2]);
+    expect(onDeadLetter).toHaveBeenCalledWith(expect.objectContaining({ lastError: 'More than 2 deliveries pending' }));
+    expect(savedQueue(collection, URL_A).deliveries.map(delivery => delivery.payload.n)).toEqual([3, 4]);
+    expect(queue.getStats()).toMatchObject({ overflowed: 2, pending: 2 });
+  });
+
+  describe('ChangeWatcher webhooks', () => {
+    let watcher;
+
+    beforeEach(async () => {
+      watcher = createTestWatcher({
+        config: { webhookUrls: [URL_A, URL_B], ...queueConfig }
+      });
+    });
+
+    afterEach(async () => {
+      await watcher.stop();
+    });
+
+    it('should queue each batch for every subscriber and count only 2xx responses as sent', async () => {
+      const fetchMock = jest.spyOn(global, 'fetch')
+        .mockResolvedValueOnce({ ok: false, status: 503 })
+        .mockResolvedValue({ ok: true, status: 204 });
+      await watcher.start();
+
+      await watcher.emitWebhooks([{ type: 'issue.updated', data: { id: 'issue-1' } }]);
+      expect(watcher.getStats().pendingDeliveries).toBeGreaterThan(0);
+      await waitFor(() => watcher.getStats().pendingDeliveries === 0);
+
+      expect(fetchMock).toHaveBeenCalledTimes(3);
+      expect(watcher.getStats()).toMatchObject({ webhooksSent: 2, deliveryFailures: 1, deliveriesDropped: 0 });
+    });
+  });
+});
@@ -0,0 +1,121 @@
+import { jest } from '@jest/globals';
+import { describe, it, expect, beforeEach, afterEach } from '@jest/globals';
+import { Enricher, PRIORITY_LABELS } from '../src/enricher.js';
+
+const LOOKUPS = {
+  status: { 'tracker:status:Backlog': 'Backlog', 'tracker:status:Done': 'Done' },
+  space: { 'project-1': 'PROJ' },
+  contact: { 'person-1': 'dev@example.com' }
+};
+
+const createPool = () => ({
+  query: jest.fn(async (sql, [ids]) => {
+    const table = Object.keys(LOOKUPS).find(name => sql.includes(`FROM ${name}`));
+    const rows = ids
+      .filter(id => LOOKUPS[table][id])
+      .map(id => ({ id, value: LOOKUPS[table][id] }));
+    return { rows };
+  })
+});
+
+const taskEvent = (data = {}, changes) => ({
+  type: 'issue.updated',
+  data: {
+    id: 'issue-1',
+    space: 'project-1',
+    status: 'tracker:status:Backlog',
+    priority: 2,
+    assignee: 'person-1',
+    ...data
+  },
+  ...(changes ? { changes } : {})
+});
+
+describe('Event Enrichment', () => {
+  let pool;
+  let enricher;
+
+  beforeEach(() => {
+    pool = createPool();
+    enricher = new Enricher({ pool, config: { enrichmentCacheTtl: 60000 } });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should resolve status, project, assignee and priority', async () => {
+    const [event] = await enricher.enrich([taskEvent()]);
+
+    expect(event.data).toMatchObject({
+      status: 'tracker:status:Backlog',
+      statusName: 'Backlog',
+      project: 'PROJ',
+      assigneeEmail: 'dev@example.com',
+      priorityLabel: 'High'
+    });
+  });
+
+  it('should label status, assignee and priority diffs', async () => {
+    const [event] = await enricher.enrich([taskEvent({}, {
+      status: { from: 'tracker:status:Backlog', to: 'tracker:status:Done' },
+      assignee: { from: null, to: 'person-1' },
+      priority: { from: 0, to: 1 }
+    })]);
+
+    expect(event.changes).toEqual({
+      status: { from: 'tracker:status:Backlog', to: 'tracker:status:Done', fromLabel: 'Backlog', toLabel: 'Done' },
+      assignee: { from: null, to: 'person-1', fromLabel: null, toLabel: 'dev@example.com' },
+      priority: { from: 0, to: 1, fromLabel: 'NoPriority', toLabel: 'Urgent' }
+    });
+  });
+
+  it('should batch lookups and serve repeats from the cache', async () => {
+    await enricher.enrich([taskEvent(), taskEvent({ id: 'issue-2' })]);
+    await enricher.enrich([taskEvent({ id: 'issue-3' })]);
+
+    expect(pool.query).toHaveBeenCalledTimes(3);
+    expect(pool.query.mock.calls.find(([sql]) => sql.includes('FROM status'))[1]).toEqual([['tracker:status:Backlog']]);
+  });
+
+  it('should cache unknown references as null', async () => {
+    const [event] = await enricher.enrich([taskEvent({ status: 'tracker:status:Gone', assignee: null })]);
+    await enricher.enrich([taskEvent({ status: 'tracker:status:Gone', assignee: null })]);
+
+    expect(event.data.statusName).toBeNull();
+    expect(event.data.assigneeEmail).toBeNull();
+    expect(pool.query.mock.calls.filter(([sql]) => sql.includes('FROM status'))).toHaveLength(1);
+  });
+
+  it('should refresh entries once the TTL has passed', async () => {
+    const now = Date.now();
+    jest.spyOn(Date, 'now').mockReturnValue(now);
+    await enricher.enrich([taskEvent()]);
+
+    Date.now.mockReturnValue(now + 60001);
+    await enricher.enrich([taskEvent()]);
+
+    expect(pool.query).toHaveBeenCalledTimes(6);
+  });
+
+  it('should leave values unresolved when a lookup fails', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    pool.query.mockRejectedValue(new Error('relation "global_account.social_id" does not exist'));
+
+    const [event] = await enricher.enrich([taskEvent()]);
+
+    expect(event.data.assigneeEmail).toBeNull();
+    expect(event.data.priorityLabel).toBe('High');
+    expect(enricher.stats.lookupErrors).toBe(3);
+  });
+
+  it('should leave project events untouched', async () => {
+    const event = { type: 'project.updated', data: { id: 'project-1', identifier: 'PROJ', name: 'Project' } };
+
+    await enricher.enrich([event]);
+
+    expect(event.data).toEqual({ id: 'project-1', identifier: 'PROJ', name: 'Project' });
+    expect(pool.query).not.toHaveBeenCalled();
+    expect(PRIORITY_LABELS[0]).toBe('NoPriority');
+  });
+});
@@ -0,0 +1,138 @@
+import { jest } from '@jest/globals';
+import { describe, it, expect, beforeEach, afterEach } from '@jest/globals';
+import { compileFilter, parsePredicate } from '../src/eventFilter.js';
+import { createServer } from '../src/server.js';
+import { createTestWatcher } from './helpers.js';
+
+const issueEvent = (data = {}, type = 'issue.updated') => ({
+  type,
+  timestamp: 1704067200000,
+  data: {
+    id: 'issue-1',
+    class: 'tracker:class:Issue',
+    space: 'project-1',
+    project: 'PROJ',
+    status: 'tracker:status:Todo',
+    statusName: 'Todo',
+    priority: 3,
+    priorityLabel: 'Medium',
+    assignee: null,
+    assigneeEmail: null,
+    ...data
+  }
+});
+
+describe('Event Filters', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('compileFilter', () => {
+    it('should parse string predicates', () => {
+      expect(parsePredicate('status in [Done, "In Progress"]')).toEqual({ field: 'status', op: 'in', value: ['Done', 'In Progress'] });
+      expect(parsePredicate('priority = Urgent')).toEqual({ field: 'priority', op: '=', value: 'Urgent' });
+      expect(parsePredicate('assignee != null')).toEqual({ field: 'assignee', op: '!=', value: null });
+      expect(parsePredicate('status NOT IN [Done]')).toEqual({ field: 'status', op: 'not in', value: ['Done'] });
+      expect(() => parsePredicate('priority > 2')).toThrow('Invalid filter predicate');
+    });
+
+    it('should match everything without a spec', () => {
+      expect(compileFilter(null).matches(issueEvent())).toBe(true);
+      expect(compileFilter({}).matches(issueEvent())).toBe(true);
+    });
+
+    it('should match event types with wildcards', () => {
+      const filter = compileFilter({ types: ['issue.*', '*.deleted'] });
+
+      expect(filter.matches(issueEvent())).toBe(true);
+      expect(filter.matches(issueEvent({}, 'project.deleted'))).toBe(true);
+      expect(filter.matches(issueEvent({}, 'comment.created'))).toBe(false);
+    });
+
+    it('should match projects by identifier or space, and project events by the project itself', () => {
+      const filter = compileFilter({ projects: ['PROJ', 'ops-space'] });
+
+      expect(filter.matches(issueEvent())).toBe(true);
+      expect(filter.matches(issueEvent({ project: null, space: 'ops-space' }))).toBe(true);
+      expect(filter.matches(issueEvent({ project: 'OTHER', space: 'other-space' }))).toBe(false);
+      expect(filter.matches({ type: 'project.updated', data: { id: 'p-9', identifier: 'PROJ' } })).toBe(true);
+    });
+
+    it('should match classes and predicates on raw or enriched values', () => {
+      const urgent = compileFilter({ classes: ['tracker:class:Issue'], where: ['priority = Urgent'] });
+      const open = compileFilter({ where: ['status not in [Done, Canceled]', { field: 'assignee', op: '=', value: null }] });
+
+      expect(urgent.matches(issueEvent({ priority: 1, priorityLabel: 'Urgent' }))).toBe(true);
+      expect(urgent.matches(issueEvent())).toBe(false);
+      expect(urgent.matches(issueEvent({ class: 'task:class:Task', priority: 1, priorityLabel: 'Urgent' }))).toBe(false);
+      expect(compileFilter({ where: ['priority = 1'] }).matches(issueEvent({ priority: 1 }))).toBe(true);
+      expect(open.matches(issueEvent())).toBe(true);
+      expect(open.matches(issueEvent({ statusName: 'Done' }))).toBe(false);
+      expect(open.matches(issueEvent({ assignee: 'person-1' }))).toBe(false);
+    });
+
+    it('should reject malformed specs', () => {
+      expect(() => compileFilter({ types: 'issue.*' })).toThrow('Filter "types" must be a list');
+      expect(() => compileFilter({ labels: ['bug'] })).toThrow('Unknown filter keys: labels');
+      expect(() => compileFilter({ where: ['priority = [1, 2]'] })).toThrow('needs a single value');
+    });
+  });
+
+  describe('ChangeWatcher delivery', () => {
+    let watcher;
+
+    beforeEach(async () => {
+      watcher = createTestWatcher();
+    });
+
+    afterEach(async () => {
+      await watcher.stop();
+    });
+
+    it('should deliver each subscriber only the events its filter selects', async () => {
+      watcher.addWebhookSubscriber('http://vibe-sync/webhook', { filter: { projects: ['PROJ', 'OPS'] } });
+      watcher.addWebhookSubscriber('http://alerts/webhook', { filter: { types: ['issue.*'], where: ['priority = Urgent'] } });
+      watcher.addWebhookSubscriber('http://everything/webhook');
+      const enqueue = jest.spyOn(watcher.delivery, 'enqueue').mockResolvedValue({});
+
+      await watcher.emitWebhooks([
+        issueEvent({ id: 'a' }),
+        issueEvent({ id: 'b', project: 'OTHER', priority: 1, priorityLabel: 'Urgent' }),
+        issueEvent({ id: 'c', project: 'OTHER' })
+      ]);
+
+      const delivered = Object.fromEntries(enqueue.mock.calls.map(([url, payload]) => [url, payload.events.map(event => event.data.id)]));
+      expect(delivered).toEqual({
+        'http://vibe-sync/webhook': ['a'],
+        'http://alerts/webhook': ['b'],
+        'http://everything/webhook': ['a', 'b', 'c']
+      });
+    });
+
+    it('should reject an invalid filter on POST /subscribe', async () => {
+      const server = createServer(watcher);
+      await new Promise(resolve => server.listen(0, resolve));
+      const post = (body) => fetch(`http://localhost:${server.address().port}/subscribe`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+      });
+
+      try {
+        const invalid = await post({ url: 'http://alerts/webhook', filter: { where: ['priority ~ Urgent'] } });
+        const valid = await post({ url: 'http://alerts/webhook', filter: { where: ['priority = Urgent'] } });
+
+        expect(invalid.status).toBe(400);
+        expect((await invalid.json()).error).toContain('Invalid filter predicate');
+        expect((await valid.json()).filter).toEqual({ where: ['priority = Urgent'] });
+        expect(watcher.webhookSubscribers.size).toBe(1);
+      } finally {
+        await new Promise(resolve => server.close(resolve));
+      }
+    });
+  });
+});
@@ -0,0 +1,215 @@
+import { jest } from '@jest/globals';
+import { describe, it, expect, beforeEach, afterEach } from '@jest/globals';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import { EventHistory, historyQueryFromParams } from '../src/eventHistory.js';
+import { FileEventLog, MemoryEventLog } from '../src/eventLog.js';
+import { createServer } from '../src/server.js';
+import { createTestWatcher } from './helpers.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const issueEvent = (id, { type = 'issue.updated', project = 'PROJ', identifier = `${project}-${id}` } = {}) => ({
+  type,
+  timestamp: 1704067200000,
+  data: { id, class: 'tracker:class:Issue', space: 'space-1', identifier, project }
+});
+
+const commentEvent = (id, attachedTo) => ({
+  type: 'comment.created',
+  timestamp: 1704067200000,
+  data: { id, class: 'chunter:class:ChatMessage', space: 'space-1', attachedTo }
+});
+
+describe('Event History', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('EventHistory', () => {
+    const config = { historyRetentionMs: DAY, historyMaxEvents: 0 };
+    const now = Date.now();
+
+    // Entries as the EventStream publishes them, a minute apart
+    const record = (history, events, { firstId = 1, start = now - events.length * 60000 } = {}) => {
+      events.forEach((event, index) => history.record({ id: firstId + index, timestamp: start + index * 60000, event }));
+    };
+
+    it('should query by time, project, type and issue', () => {
+      const history = new EventHistory({ log: new MemoryEventLog(), config });
+      record(history, [
+        issueEvent('1', { type: 'issue.created' }),
+        issueEvent('2', { project: 'OPS' }),
+        commentEvent('c-1', '1'),
+        issueEvent('1', { type: 'issue.status_changed' }),
+        issueEvent('3')
+      ]);
+      const ids = (query) => history.query(query).events.map(entry => entry.id);
+
+      expect(ids({})).toEqual([1, 2, 3, 4, 5]);
+      expect(ids({ since: history.entries[2].timestamp })).toEqual([3, 4, 5]);
+      expect(ids({ projects: ['OPS'] })).toEqual([2]);
+      expect(ids({ types: ['issue.*'], projects: ['PROJ'] })).toEqual([1, 4, 5]);
+      expect(ids({ issues: ['1'] })).toEqual([1, 3, 4]);
+      expect(ids({ issues: ['PROJ-3', 'OPS-2'] })).toEqual([2, 5]);
+      expect(history.query({}).events[0]).toEqual({ id: 1, timestamp: expect.any(Number), event: issueEvent('1', { type: 'issue.created' }) });
+    });
+
+    it('should page with a cursor', () => {
+      const history = new EventHistory({ log: new MemoryEventLog(), config });
+      record(history, ['a', 'b', 'c', 'd', 'e'].map(id => issueEvent(id)));
+
+      const first = history.query({ limit: 2 });
+      const second = history.query({ after: first.cursor, limit: 2 });
+      const last = history.query({ after: second.cursor, limit: 2 });
+      const none = history.query({ after: last.cursor, projects: ['OPS'] });
+
+      expect(first).toMatchObject({ count: 2, hasMore: true, cursor: 2, retainedSince: history.entries[0].timestamp });
+      expect(second.events.map(entry => entry.id)).toEqual([3, 4]);
+      expect(last).toMatchObject({ count: 1, hasMore: false, cursor: 5 });
+      expect(none).toMatchObject({ events: [], hasMore: false, cursor: 5 });
+    });
+
+    it('should drop entries past retention or the size cap and compact the log', async () => {
+      const log = new MemoryEventLog();
+      const history = new EventHistory({ log, config: { historyRetentionMs: DAY, historyMaxEvents: 3 } });
+      history.record({ id: 0, timestamp: now - 2 * DAY, event: issueEvent('old') });
+      await history.flush();
+      expect(history.size).toBe(0);
+
+      record(history, ['a', 'b', 'c', 'd'].map(id => issueEvent(id)));
+      await history.flush();
+      expect(history.query({}).events.map(entry => entry.event.data.id)).toEqual(['b', 'c', 'd']);
+
+      record(history, ['e', 'f', 'g', 'h'].map(id => issueEvent(id)), { firstId: 5, start: now });
+      await history.flush();
+      // More entries dropped than kept, so the log was rewritten
+      expect(log.records.map(entry => entry.event.data.id)).toEqual(['f', 'g', 'h']);
+    });
+
+    it('should reload the log, dropping what expired while stopped', async () => {
+      const log = new MemoryEventLog([
+        { id: 1, timestamp: now - 2 * DAY, event: issueEvent('expired') },
+        { id: 2, timestamp: now - 1000, event: issueEvent('kept') },
+        { id: 3, timestamp: now }
+      ]);
+      const history = new EventHistory({ log, config });
+      await history.load();
+      await history.flush();
+
+      expect(history.query({}).events.map(entry => entry.id)).toEqual([2]);
+      expect(history.lastId).toBe(2);
+      expect(log.records.map(entry => entry.id)).toEqual([2]);
+    });
+
+    it('should parse and validate query params', () => {
+      const params = (query) => historyQueryFromParams(new URLSearchParams(query));
+
+      expect(params('since=2024-01-01T00:00:00Z&project=PROJ,OPS&type=issue.*&type=comment.created&issue=PROJ-1&limit=10')).toEqual({
+        since: 1704067200000,
+        after: null,
+        projects: ['PROJ', 'OPS'],
+        types: ['issue.*', 'comment.created'],
+        issues: ['PROJ-1'],
+        limit: 10
+      });
+      expect(params('since=1704067200000&after=42')).toMatchObject({ since: 1704067200000, after: 42, limit: 100 });
+      expect(() => params('since=yesterday')).toThrow('"since" must be epoch milliseconds or an ISO 8601 date');
+      expect(() => params('after=abc')).toThrow('"after" must be an event id');
+      expect(() => params('limit=5000')).toThrow('"limit" must be an integer between 1 and 1000');
+    });
+  });
+
+  describe('FileEventLog', () => {
+    let tmpDir;
+
+    beforeEach(async () => {
+      tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'event-log-'));
+    });
+
+    afterEach(async () => {
+      await fs.rm(tmpDir, { recursive: true, force: true });
+    });
+
+    it('should append lines, skip a truncated one and rewrite atomically', async () => {
+      const file = path.join(tmpDir, 'history', 'history.ndjson');
+      const log = new FileEventLog(file);
+
+      await log.append([{ id: 1, event: issueEvent('a') }, { id: 2, event: issueEvent('b') }]);
+      await fs.appendFile(file, '{"id": 3, "ev');
+      expect((await log.load()).map(record => record.id)).toEqual([1, 2]);
+
+      await log.rewrite([{ id: 2, event: issueEvent('b') }]);
+      expect(await fs.readFile(file, 'utf8')).toBe(`${JSON.stringify({ id: 2, event: issueEvent('b') })}\n`);
+      expect(await new FileEventLog(path.join(tmpDir, 'missing.ndjson')).load()).toEqual([]);
+    });
+  });
+
+  describe('GET /history', () => {
+    let watcher;
+    let server;
+    let baseUrl;
+
+    const startWatcher = async ({ historyLog = new MemoryEventLog(), config = {} } = {}) => {
+      watcher = createTestWatcher({
+        historyLog,
+        config: { historyRetentionMs: DAY, historyMaxEvents: 1000, ...config }
+      });
+      await watcher.start();
+      server = createServer(watcher);
+      await new Promise(resolve => server.listen(0, resolve));
+      baseUrl = `http://localhost:${server.address().port}`;
+    };
+
+    afterEach(async () => {
+      await watcher.stop();
+      await new Promise(resolve => server.close(resolve));
+    });
+
+    it('should return emitted events matching the query', async () => {
+      await startWatcher();
+      await watcher.emitWebhooks([issueEvent('1'), issueEvent('2', { project: 'OPS' }), commentEvent('c-1', '1')]);
+
+      const all = await (await fetch(`${baseUrl}/history`)).json();
+      const page = await (await fetch(`${baseUrl}/history?issue=1&limit=1`)).json();
+      const next = await (await fetch(`${baseUrl}/history?issue=1&after=${page.cursor}`)).json();
+      const invalid = await fetch(`${baseUrl}/history?limit=0`);
+
+      expect(all.events.map(entry => entry.event)).toEqual([issueEvent('1'), issueEvent('2', { project: 'OPS' }), commentEvent('c-1', '1')]);
+      // History ids are the SSE ids, so /events can resume from them
+      expect(all.events.map(entry => entry.id)).toEqual(watcher.subscribers.buffer.map(entry => entry.id));
+      expect(page).toMatchObject({ count: 1, hasMore: true, events: [{ event: issueEvent('1') }] });
+      expect(next).toMatchObject({ count: 1, hasMore: false, events: [{ event: commentEvent('c-1', '1') }] });
+      expect(invalid.status).toBe(400);
+      expect(watcher.getStats().historyEvents).toBe(3);
+    });
+
+    it('should keep history across restarts and issue later ids', async () => {
+      const historyLog = new MemoryEventLog([{ id: Date.now() * 2000, timestamp: Date.now(), event: issueEvent('before') }]);
+      await startWatcher({ historyLog });
+      await watcher.emitWebhooks([issueEvent('after')]);
+
+      const body = await (await fetch(`${baseUrl}/history`)).json();
+
+      expect(body.events.map(entry => entry.event.data.id)).toEqual(['before', 'after']);
+      expect(body.events[1].id).toBeGreaterThan(body.events[0].id);
+    });
+
+    it('should answer 404 when history is disabled', async () => {
+      await startWatcher({ config: { historyRetentionMs: 0 } });
+      await watcher.emitWebhooks([issueEvent('1')]);
+
+      const response = await fetch(`${baseUrl}/history`);
+
+      expect(response.status).toBe(404);
+      expect(await response.json()).toEqual({ error: 'Event history is disabled' });
+      expect(watcher.history.size).toBe(0);
+    });
+  });
+});
@@ -0,0 +1,226 @@
+import { jest } from '@jest/globals';
+import { describe, it, expect, beforeAll, beforeEach, afterEach } from '@jest/globals';
+import { readFileSync } from 'fs';
+import Ajv from 'ajv';
+import { createServer } from '../src/server.js';
+import { createEnvelope, ENVELOPE_SCHEMA_ID } from '../src/eventSchema.js';
+import { encodePayload } from '../src/cloudEvents.js';
+import { createTestWatcher, FakeChangeSource, waitFor } from './helpers.js';
+
+const BASE = 1704067200000;
+const URL_A = 'http://subscriber-a/webhook';
+
+const readSchema = (name) => JSON.parse(readFileSync(new URL(`../schemas/v1/${name}.schema.json`, import.meta.url)));
+
+const issueRow = (fields = {}) => ({
+  id: 'issue-1',
+  class: 'tracker:class:Issue',
+  space: 'project-1',
+  identifier: 'PROJ-1',
+  title: 'Fix bug',
+  status: 'tracker:status:Backlog',
+  priority: 0,
+  assignee: null,
+  component: null,
+  milestone: null,
+  dueDate: null,
+  parent: 'tracker:ids:NoParent',
+  createdOn: BASE,
+  modifiedOn: BASE,
+  ...fields
+});
+
+const issueEvent = (id, type = 'issue.updated') => ({
+  type,
+  timestamp: BASE,
+  data: { id, class: 'tracker:class:Issue', space: 'project-1', project: 'PROJ' }
+});
+
+describe('Event Schema', () => {
+  let validate;
+
+  beforeAll(() => {
+    const ajv = new Ajv({ allErrors: true, allowUnionTypes: true });
+    ajv.addSchema(readSchema('event'));
+    ajv.addSchema(readSchema('envelope'));
+    validate = ajv.getSchema(ENVELOPE_SCHEMA_ID);
+  });
+
+  const expectValid = (payload) => {
+    const valid = validate(payload);
+    expect(validate.errors).toBeNull();
+    expect(valid).toBe(true);
+  };
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('Emitted events', () => {
+    let watcher;
+    let source;
+    let events;
+
+    beforeEach(async () => {
+      source = new FakeChangeSource();
+      watcher = createTestWatcher({ source });
+      watcher.enricher.enrich = jest.fn(async (batch) => batch);
+      events = [];
+      watcher.emitWebhooks = jest.fn(async (batch) => events.push(...batch));
+      await watcher.start();
+    });
+
+    afterEach(async () => {
+      await watcher.stop();
+    });
+
+    // Rows as sources hand them over, already coerced by WatchedClass.normalizeRow
+    // except for the INT8 timestamps, which pg returns as strings
+    it('should match the schema for every default watched class', async () => {
+      await source.onChanges([
+        { entry: 'tasks', row: issueRow() },
+        { entry: 'projects', row: { id: 'project-1', class: 'tracker:class:Project', identifier: 'PROJ', space: 'core:space:Space', name: 'Project', archived: false, createdOn: BASE, modifiedOn: BASE } },
+        { entry: 'comments', row: { id: 'msg-1', class: 'chunter:class:ChatMessage', space: 'project-1', message: '<p>Hi</p>', attachedTo: 'issue-1', attachedToClass: 'tracker:class:Issue', collection: 'comments', createdOn: BASE, modifiedOn: BASE } },
+        { entry: 'milestones', row: { id: 'm-1', class: 'tracker:class:Milestone', space: 'project-1', label: 'v1', status: 0, targetDate: null, createdOn: String(BASE), modifiedOn: String(BASE) } },
+        { entry: 'components', row: { id: 'c-1', class: 'tracker:class:Component', space: 'project-1', label: 'API', lead: null, createdOn: BASE, modifiedOn: BASE } },
+        { entry: 'attachments', row: { id: 'a-1', class: 'attachment:class:Attachment', space: 'project-1', name: 'log.txt', file: 'blob-1', size: 42, type: 'text/plain', attachedTo: 'issue-1', attachedToClass: 'tracker:class:Issue', createdOn: BASE, modifiedOn: BASE } }
+      ]);
+      await source.onChanges([{
+        entry: 'tasks',
+        row: issueRow({ status: 'tracker:status:Done', assignee: 'person-1', modifiedOn: BASE + 1 })
+      }]);
+      await source.onChanges([{ table: 'chunter', row: { id: 'msg-1' }, deleted: true }]);
+
+      expect(events.map(event => event.type)).toEqual([
+        'issue.created',
+        'project.created',
+        'comment.created',
+        'milestone.created',
+        'component.created',
+        'attachment.created',
+        'issue.updated',
+        'issue.status_changed',
+        'issue.assigned',
+        'comment.deleted'
+      ]);
+      expect(events.map(event => event.data.modifiedOn)).toEqual([BASE, BASE, BASE, BASE, BASE, BASE, BASE + 1, BASE + 1, BASE + 1, BASE]);
+      expectValid(createEnvelope(events));
+    });
+  });
+
+  describe('Validation', () => {
+    it('should reject payloads that break the schema', () => {
+      expect(validate(createEnvelope([{ type: 'issue.updated', timestamp: BASE, data: { id: 'issue-1', class: 'tracker:class:Issue' } }]))).toBe(false);
+      expect(validate(createEnvelope([{ ...issueEvent('issue-1'), data: { ...issueEvent('issue-1').data, priority: 'high' } }]))).toBe(false);
+      expect(validate(createEnvelope([{ ...issueEvent('issue-1'), type: 'Issue Updated' }]))).toBe(false);
+      expect(validate({ ...createEnvelope([]), schemaVersion: '2.0' })).toBe(false);
+      expect(validate(createEnvelope([{ ...issueEvent('issue-1'), data: { ...issueEvent('issue-1').data, modifiedOn: String(BASE) } }]))).toBe(false);
+      expectValid(createEnvelope([], { probe: true }));
+    });
+  });
+
+  describe('CloudEvents', () => {
+    const options = { deliveryId: 'delivery-1', source: '/huly-change-watcher', typePrefix: 'io.huly.' };
+
+    it('should encode structured mode as one event or a batch', () => {
+      const [single] = encodePayload(createEnvelope([issueEvent('a')]), { ...options, format: 'cloudevents-structured' });
+      const [batch] = encodePayload(createEnvelope([issueEvent('a'), issueEvent('b')]), { ...options, format: 'cloudevents-structured' });
+
+      expect(single.headers['Content-Type']).toBe('application/cloudevents+json');
+      expect(JSON.parse(single.body)).toEqual({
+        specversion: '1.0',
+        id: 'delivery-1:0',
+        source: '/huly-change-watcher',
+        type: 'io.huly.issue.updated',
+        subject: 'a',
+        time: new Date(BASE).toISOString(),
+        datacontenttype: 'application/json',
+        dataschema: 'urn:huly-change-watcher:schema:v1:event',
+        data: issueEvent('a')
+      });
+      expect(batch.headers['Content-Type']).toBe('application/cloudevents-batch+json');
+      expect(JSON.parse(batch.body).map(event => event.id)).toEqual(['delivery-1:0', 'delivery-1:1']);
+    });
+
+    it('should encode binary mode as one request per event with ce- headers', () => {
+      const requests = encodePayload(createEnvelope([issueEvent('a'), issueEvent('b', 'issue.deleted')]), { ...options, format: 'cloudevents-binary' });
+      const [probe] = encodePayload(createEnvelope([], { probe: true }), { ...options, format: 'cloudevents-binary' });
+
+      expect(requests).toHaveLength(2);
+      expect(requests[1].headers).toMatchObject({
+        'Content-Type': 'application/json',
+        'ce-specversion': '1.0',
+        'ce-id': 'delivery-1:1',
+        'ce-source': '/huly-change-watcher',
+        'ce-type': 'io.huly.issue.deleted',
+        'ce-subject': 'b'
+      });
+      expect(JSON.parse(requests[1].body)).toEqual(issueEvent('b', 'issue.deleted'));
+      expect(probe.headers['ce-type']).toBe('io.huly.probe');
+    });
+  });
+
+  describe('Subscriber formats', () => {
+    let watcher;
+
+    beforeEach(async () => {
+      watcher = createTestWatcher({
+        config: {
+          cloudEventsSource: '/huly/prod',
+          cloudEventsTypePrefix: 'io.huly.'
+        }
+      });
+      await watcher.start();
+    });
+
+    afterEach(async () => {
+      await watcher.stop();
+    });
+
+    it('should deliver in the subscriber\'s format with every request signed', async () => {
+      const fetchMock = jest.spyOn(global, 'fetch').mockResolvedValue({ ok: true, status: 200 });
+      watcher.addWebhookSubscriber(URL_A, { format: 'cloudevents-binary' });
+
+      await watcher.emitWebhooks([issueEvent('a'), issueEvent('b')]);
+      await waitFor(() => watcher.delivery.pending(URL_A) === 0);
+
+      expect(fetchMock).toHaveBeenCalledTimes(2);
+      const [first, second] = fetchMock.mock.calls.map(([, init]) => init.headers);
+      expect(first).toMatchObject({ 'ce-source': '/huly/prod', 'ce-type': 'io.huly.issue.updated', 'ce-subject': 'a' });
+      expect(second['ce-id']).toBe(`${first['X-Huly-Delivery-Id']}:1`);
+      expect(first['X-Huly-Signature']).not.toBe(second['X-Huly-Signature']);
+    });
+
+    it('should validate formats on subscribe and PATCH', async () => {
+      const server = createServer(watcher);
+      await new Promise(resolve => server.listen(0, resolve));
+      const baseUrl = `http://localhost:${server.address().port}`;
+      const request = (method, path, body) => fetch(`${baseUrl}${path}`, {
+        method,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+      });
+
+      try {
+        const invalid = await request('POST', '/subscribe', { url: URL_A, format: 'xml' });
+        const subscribed = await request('POST', '/subscribe', { url: URL_A, format: 'cloudevents-structured' });
+        const { id, format } = await subscribed.json();
+        const patched = await request('PATCH', `/subscriptions/${id}`, { format: 'native' });
+        const badPatch = await request('PATCH', `/subscriptions/${id}`, { format: 'cloudevents' });
+
+        expect(invalid.status).toBe(400);
+        expect((await invalid.json()).error).toBe('Payload format must be one of: native, cloudevents-structured, cloudevents-binary');
+        expect(format).toBe('cloudevents-structured');
+        expect((await patched.json()).format).toBe('native');
+        expect(badPatch.status).toBe(400);
+      } finally {
+        await new Promise(resolve => server.close(resolve));
+      }
+    });
+  });
+});
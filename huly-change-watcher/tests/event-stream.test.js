@@ -0,0 +1,208 @@
+import { jest } from '@jest/globals';
+import { describe, it, expect, beforeEach, afterEach } from '@jest/globals';
+import http from 'http';
+import { EventEmitter } from 'events';
+import { EventStream } from '../src/eventStream.js';
+import { compileFilter, filterFromQuery } from '../src/eventFilter.js';
+import { createServer } from '../src/server.js';
+import { createTestWatcher } from './helpers.js';
+
+const issueEvent = (id, data = {}) => ({ type: 'issue.updated', timestamp: 1704067200000, data: { id, project: 'PROJ', ...data } });
+
+const createResponse = () => {
+  const res = new EventEmitter();
+  res.frames = [];
+  res.write = jest.fn((chunk) => res.frames.push(chunk));
+  return res;
+};
+
+// Event frames as { id, ids } pairs, skipping the connected greeting
+const framesOf = (text) => text.split('\n\n')
+  .filter(frame => frame.startsWith('id: '))
+  .map(frame => {
+    const [idLine, dataLine] = frame.split('\n');
+    return { id: Number(idLine.slice(4)), ids: JSON.parse(dataLine.slice(6)).events.map(event => event.data.id) };
+  });
+
+describe('Event Stream', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('EventStream', () => {
+    it('should give every event its own frame with an increasing id', () => {
+      const stream = new EventStream({ config: { sseReplayBufferSize: 10 } });
+      const res = createResponse();
+      stream.connect(res);
+
+      stream.publish([issueEvent('a'), issueEvent('b')]);
+      stream.publish([issueEvent('c')]);
+
+      const frames = framesOf(res.frames.join(''));
+      expect(res.frames[0]).toBe('data: {"connected": true}\n\n');
+      expect(frames.map(frame => frame.ids)).toEqual([['a'], ['b'], ['c']]);
+      expect(frames[1].id).toBe(frames[0].id + 1);
+      expect(frames[2].id).toBe(frames[1].id + 1);
+    });
+
+    it('should replay buffered events after Last-Event-ID before live ones', () => {
+      const stream = new EventStream({ config: { sseReplayBufferSize: 10 } });
+      const first = createResponse();
+      stream.connect(first);
+      stream.publish([issueEvent('a'), issueEvent('b'), issueEvent('c')]);
+      const [seen] = framesOf(first.frames.join(''));
+
+      const resumed = createResponse();
+      stream.connect(resumed, { lastEventId: String(seen.id) });
+      stream.publish([issueEvent('d')]);
+
+      expect(framesOf(resumed.frames.join('')).map(frame => frame.ids[0])).toEqual(['b', 'c', 'd']);
+    });
+
+    it('should keep only the newest events in the replay buffer', () => {
+      const stream = new EventStream({ config: { sseReplayBufferSize: 2 } });
+      stream.publish([issueEvent('a'), issueEvent('b'), issueEvent('c')]);
+
+      const res = createResponse();
+      stream.connect(res, { lastEventId: '0' });
+
+      expect(stream.buffer).toHaveLength(2);
+      expect(framesOf(res.frames.join('')).map(frame => frame.ids[0])).toEqual(['b', 'c']);
+    });
+
+    it('should apply a client filter to live and replayed events', () => {
+      const stream = new EventStream({ config: { sseReplayBufferSize: 10 } });
+      stream.publish([issueEvent('a'), issueEvent('b', { project: 'OTHER' })]);
+
+      const res = createResponse();
+      stream.connect(res, { lastEventId: '0', filter: compileFilter({ projects: ['PROJ'] }) });
+      stream.publish([issueEvent('c', { project: 'OTHER' }), issueEvent('d')]);
+      res.emit('close');
+      stream.publish([issueEvent('e')]);
+
+      expect(framesOf(res.frames.join('')).map(frame => frame.ids[0])).toEqual(['a', 'd']);
+      expect(stream.size).toBe(0);
+    });
+
+    it('should send keep-alive comments while clients are connected', () => {
+      jest.useFakeTimers();
+      try {
+        const stream = new EventStream({ config: { sseReplayBufferSize: 10, sseHeartbeatMs: 1000 } });
+        const res = createResponse();
+        stream.connect(res);
+
+        jest.advanceTimersByTime(2500);
+        res.emit('close');
+        jest.advanceTimersByTime(2000);
+
+        expect(res.frames.filter(frame => frame === ': keep-alive\n\n')).toHaveLength(2);
+        expect(stream.stats.heartbeats).toBe(2);
+        expect(stream.heartbeatTimer).toBeNull();
+      } finally {
+        jest.useRealTimers();
+      }
+    });
+
+    it('should disconnect a client that falls too far behind', () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      const stream = new EventStream({ config: { sseReplayBufferSize: 10, sseMaxBufferBytes: 300 } });
+      const slow = createResponse();
+      slow.write.mockReturnValue(false);
+      slow.destroy = jest.fn();
+      const fast = createResponse();
+      stream.connect(slow);
+      stream.connect(fast);
+
+      for (let i = 0; i < 5; i++) {
+        stream.publish([issueEvent(`issue-${i}`)]);
+      }
+
+      expect(slow.destroy).toHaveBeenCalled();
+      expect(stream.size).toBe(1);
+      expect(stream.stats.slowConsumersDisconnected).toBe(1);
+      expect(framesOf(fast.frames.join(''))).toHaveLength(5);
+    });
+
+    it('should keep a lagging client once its socket drains', () => {
+      const stream = new EventStream({ config: { sseReplayBufferSize: 10, sseMaxBufferBytes: 300 } });
+      const res = createResponse();
+      res.write.mockReturnValueOnce(false);
+      res.destroy = jest.fn();
+      stream.connect(res);
+
+      stream.publish([issueEvent('a'), issueEvent('b')]);
+      res.emit('drain');
+      stream.publish([issueEvent('c'), issueEvent('d')]);
+
+      expect(res.destroy).not.toHaveBeenCalled();
+      expect(framesOf(res.frames.join('')).map(frame => frame.ids[0])).toEqual(['a', 'b', 'c', 'd']);
+    });
+
+    it('should build a filter spec from query params', () => {
+      const params = new URLSearchParams('types=issue.*,*.deleted&projects=PROJ&projects=OPS&where=status in [Done, Canceled]&where=priority = Urgent');
+
+      expect(filterFromQuery(params)).toEqual({
+        types: ['issue.*', '*.deleted'],
+        projects: ['PROJ', 'OPS'],
+        where: ['status in [Done, Canceled]', 'priority = Urgent']
+      });
+      expect(filterFromQuery(new URLSearchParams(''))).toBeNull();
+    });
+  });
+
+  describe('GET /events', () => {
+    let watcher;
+    let server;
+    let port;
+
+    beforeEach(async () => {
+      watcher = createTestWatcher();
+      server = createServer(watcher);
+      await new Promise(resolve => server.listen(0, resolve));
+      port = server.address().port;
+    });
+
+    afterEach(async () => {
+      await watcher.stop();
+      await new Promise(resolve => server.close(resolve));
+    });
+
+    // Open the stream and collect what arrives until `count` event frames are in
+    const read = (path, headers, count) => new Promise((resolve, reject) => {
+      const req = http.get({ port, path, headers }, (res) => {
+        let text = '';
+        res.setEncoding('utf8');
+        res.on('data', (chunk) => {
+          text += chunk;
+          if (framesOf(text).length >= count) {
+            req.destroy();
+            resolve({ status: res.statusCode, frames: framesOf(text) });
+          }
+        });
+        res.on('end', () => resolve({ status: res.statusCode, text }));
+      });
+      req.on('error', reject);
+    });
+
+    it('should resume from Last-Event-ID with the filter from the query', async () => {
+      await watcher.emitWebhooks([issueEvent('a'), issueEvent('b', { project: 'OTHER' }), issueEvent('c')]);
+      const [firstId] = watcher.subscribers.buffer.map(entry => entry.id);
+
+      const { status, frames } = await read('/events?projects=PROJ', { 'Last-Event-ID': String(firstId) }, 1);
+
+      expect(status).toBe(200);
+      expect(frames).toEqual([{ id: firstId + 2, ids: ['c'] }]);
+    });
+
+    it('should reject an invalid filter with 400', async () => {
+      const { status, text } = await read(`/events?where=${encodeURIComponent('priority ~ Urgent')}`, {}, 1);
+
+      expect(status).toBe(400);
+      expect(JSON.parse(text).error).toContain('Invalid filter predicate');
+    });
+  });
+});
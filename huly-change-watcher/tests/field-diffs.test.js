@@ -0,0 +1,125 @@
+import { jest } from '@jest/globals';
+import { describe, it, expect, beforeEach, afterEach } from '@jest/globals';
+import { snapshotOf, diffSnapshots, derivedEventTypes } from '../src/fieldDiff.js';
+import { createTestWatcher, FakeChangeSource } from './helpers.js';
+
+const BASE = 1704067200000;
+
+const issueRow = (fields = {}) => ({
+  id: 'issue-1',
+  class: 'tracker:class:Issue',
+  space: 'project-1',
+  identifier: 'PROJ-1',
+  title: 'Fix bug',
+  status: 'tracker:status:Backlog',
+  priority: '0',
+  assignee: null,
+  component: null,
+  milestone: null,
+  dueDate: null,
+  parent: 'tracker:ids:NoParent',
+  createdOn: BASE - 60000,
+  modifiedOn: BASE,
+  ...fields
+});
+
+describe('Field-Level Diffs', () => {
+  let watcher;
+  let source;
+  let events;
+
+  beforeEach(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    source = new FakeChangeSource();
+    watcher = createTestWatcher({ source });
+    // Reference resolution is covered by enrichment.test.js
+    watcher.enricher.enrich = async (batch) => batch;
+    events = [];
+    watcher.emitWebhooks = jest.fn(async (batch) => events.push(...batch));
+    await watcher.start();
+  });
+
+  afterEach(async () => {
+    await watcher.stop();
+    jest.restoreAllMocks();
+  });
+
+  it('should not attach a diff to the first version seen', async () => {
+    await source.onChanges([{ entry: 'tasks', row: issueRow() }]);
+
+    expect(events).toHaveLength(1);
+    expect(events[0].changes).toBeUndefined();
+  });
+
+  it('should attach changed fields as from/to pairs', async () => {
+    await source.onChanges([{ entry: 'tasks', row: issueRow() }]);
+    await source.onChanges([{
+      entry: 'tasks',
+      row: issueRow({ title: 'Fix the bug', priority: '1', dueDate: String(BASE + 86400000), modifiedOn: BASE + 1 })
+    }]);
+
+    const updated = events.filter(event => event.type === 'issue.updated')[1];
+    expect(updated.changes).toEqual({
+      title: { from: 'Fix bug', to: 'Fix the bug' },
+      priority: { from: 0, to: 1 },
+      dueDate: { from: null, to: BASE + 86400000 }
+    });
+  });
+
+  it('should derive granular events from the diff', async () => {
+    await source.onChanges([{ entry: 'tasks', row: issueRow() }]);
+    await source.onChanges([{
+      entry: 'tasks',
+      row: issueRow({ status: 'tracker:status:Done', assignee: 'person-1', modifiedOn: BASE + 1 })
+    }]);
+    await source.onChanges([{
+      entry: 'tasks',
+      row: issueRow({ status: 'tracker:status:Done', assignee: null, parent: 'issue-0', modifiedOn: BASE + 2 })
+    }]);
+
+    expect(events.slice(1).map(event => event.type)).toEqual([
+      'issue.updated',
+      'issue.status_changed',
+      'issue.assigned',
+      'issue.updated',
+      'issue.unassigned',
+      'issue.parent_changed'
+    ]);
+    expect(events[2].changes).toEqual({ status: { from: 'tracker:status:Backlog', to: 'tracker:status:Done' } });
+  });
+
+  it('should emit only issue.updated with an empty diff when no tracked field changed', async () => {
+    await source.onChanges([{ entry: 'tasks', row: issueRow() }]);
+    await source.onChanges([{ entry: 'tasks', row: issueRow({ modifiedOn: BASE + 1 }) }]);
+
+    expect(events.map(event => event.type)).toEqual(['issue.updated', 'issue.updated']);
+    expect(events[1].changes).toEqual({});
+  });
+
+  describe('fieldDiff helpers', () => {
+    it('should normalise numeric fields and missing values in snapshots', () => {
+      expect(snapshotOf({ priority: '3', dueDate: undefined, title: 'T' })).toEqual({
+        status: null,
+        title: 'T',
+        priority: 3,
+        assignee: null,
+        component: null,
+        milestone: null,
+        dueDate: null,
+        parent: null
+      });
+    });
+
+    it('should name granular events after the changed field', () => {
+      const changes = diffSnapshots(
+        snapshotOf({ component: 'c-1', milestone: null }),
+        snapshotOf({ component: 'c-2', milestone: 'm-1' })
+      );
+
+      expect(derivedEventTypes('task', changes).map(({ type }) => type)).toEqual([
+        'task.component_changed',
+        'task.milestone_changed'
+      ]);
+    });
+  });
+});
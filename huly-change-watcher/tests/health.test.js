@@ -0,0 +1,140 @@
+import { jest } from '@jest/globals';
+import { describe, it, expect, beforeEach, afterEach } from '@jest/globals';
+import { PollingChangeSource } from '../src/sources/pollingSource.js';
+import { WatchedClassRegistry } from '../src/watchedClasses.js';
+import { createServer } from '../src/server.js';
+import { createTestWatcher } from './helpers.js';
+
+const createWatcher = ({ pool = {}, sourceStats = {}, config = {} } = {}) => createTestWatcher({
+  pool: { connect: async () => ({ release() {} }), end: jest.fn(), ...pool },
+  source: { start: jest.fn(async () => {}), stop: async () => {}, getStats: () => ({ type: 'fake', ...sourceStats }) },
+  config: {
+    startupRetryBase: 5,
+    startupRetryMaxMs: 20,
+    readyMaxConsecutiveErrors: 3,
+    readyMaxCursorLagMs: 60000,
+    ...config
+  }
+});
+
+describe('Health and Readiness', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should retry the startup connection with backoff instead of exiting', async () => {
+    const exit = jest.spyOn(process, 'exit').mockImplementation(() => {});
+    const connect = jest.fn()
+      .mockRejectedValueOnce(new Error('ECONNREFUSED'))
+      .mockRejectedValueOnce(new Error('ECONNREFUSED'))
+      .mockResolvedValue({ release() {} });
+    const watcher = createWatcher({ pool: { connect } });
+
+    await watcher.start();
+    await watcher.stop();
+
+    expect(connect).toHaveBeenCalledTimes(3);
+    expect(watcher.source.start).toHaveBeenCalled();
+    expect(exit).not.toHaveBeenCalled();
+  });
+
+  it('should retry the whole startup when starting to lead fails', async () => {
+    const watcher = createWatcher();
+    watcher.source.start.mockRejectedValueOnce(new Error('connection reset'));
+
+    await watcher.start();
+    await watcher.stop();
+
+    expect(watcher.source.start).toHaveBeenCalledTimes(2);
+    expect(console.error).toHaveBeenCalledWith(expect.stringContaining('Failed to start (attempt 1): connection reset'));
+  });
+
+  it('should give up retrying when stopped', async () => {
+    const watcher = createWatcher({ pool: { connect: jest.fn().mockRejectedValue(new Error('ECONNREFUSED')) } });
+
+    const starting = watcher.start();
+    await new Promise(resolve => setTimeout(resolve, 20));
+    await watcher.stop();
+    await starting;
+
+    expect(watcher.source.start).not.toHaveBeenCalled();
+    expect(watcher.getReadiness().ready).toBe(false);
+  });
+
+  it('should not be ready past the consecutive error or cursor lag limits', async () => {
+    const healthy = createWatcher({ sourceStats: { consecutiveErrors: 3, cursorLagMs: 60000 } });
+    const failing = createWatcher({ sourceStats: { consecutiveErrors: 4, cursorLagMs: 1000 } });
+    const lagging = createWatcher({ sourceStats: { consecutiveErrors: 0, cursorLagMs: 60001 } });
+    for (const watcher of [healthy, failing, lagging]) await watcher.start();
+
+    expect(healthy.getReadiness().ready).toBe(true);
+    expect(failing.getReadiness()).toMatchObject({ ready: false, checks: { consecutiveErrors: { ok: false, value: 4 } } });
+    expect(lagging.getReadiness()).toMatchObject({ ready: false, checks: { cursorLag: { ok: false, valueMs: 60001 } } });
+    for (const watcher of [healthy, failing, lagging]) await watcher.stop();
+  });
+
+  it('should not be ready while the pool is exhausted', async () => {
+    const pool = { options: { max: 2 }, totalCount: 2, idleCount: 0, waitingCount: 5 };
+    const watcher = createWatcher({ pool });
+    await watcher.start();
+
+    expect(watcher.getReadiness().checks.pool).toEqual({ ok: false, total: 2, idle: 0, waiting: 5, max: 2 });
+    watcher.pool.waitingCount = 0;
+    expect(watcher.getReadiness().ready).toBe(true);
+    await watcher.stop();
+  });
+
+  it('should track consecutive poll errors and cursor lag in the polling source', async () => {
+    const query = jest.fn().mockRejectedValueOnce(new Error('connection reset')).mockResolvedValue({ rows: [] });
+    const source = new PollingChangeSource({
+      pool: { query },
+      cursorStore: null,
+      registry: WatchedClassRegistry.fromConfig({ watchedClasses: ['tasks'] }),
+      config: { pageSize: 100, lookbackMs: 0, pollInterval: 60000 },
+      onError: () => {}
+    });
+    source.cursors.tasks = { modifiedOn: 1000, id: '' };
+    source.seen.tasks = { has: () => false, add() {}, prune() {} };
+    source.isRunning = true;
+
+    await source.poll();
+    const failed = source.getStats();
+    await source.poll();
+    const recovered = source.getStats();
+    await source.stop();
+
+    expect(failed).toMatchObject({ consecutiveErrors: 1, cursorLagMs: null });
+    expect(recovered.consecutiveErrors).toBe(0);
+    expect(recovered.cursorLagMs).toBeGreaterThanOrEqual(0);
+  });
+
+  it('should serve liveness and readiness over HTTP', async () => {
+    const watcher = createWatcher({ sourceStats: { consecutiveErrors: 0, cursorLagMs: 500 } });
+    const server = createServer(watcher);
+    await new Promise(resolve => server.listen(0, resolve));
+    const get = (path) => fetch(`http://localhost:${server.address().port}${path}`);
+
+    try {
+      const live = await get('/health/live');
+      const before = await get('/health/ready');
+      const health = await (await get('/health')).json();
+      await watcher.start();
+      const after = await get('/health/ready');
+
+      expect(live.status).toBe(200);
+      expect(before.status).toBe(503);
+      expect((await before.json())).toMatchObject({ status: 'not_ready', checks: { running: { ok: false } } });
+      expect(health.status).toBe('degraded');
+      expect(after.status).toBe(200);
+      expect(await after.json()).toMatchObject({ status: 'ready', checks: { cursorLag: { ok: true, valueMs: 500 } } });
+    } finally {
+      await watcher.stop();
+      await new Promise(resolve => server.close(resolve));
+    }
+  });
+});
@@ -0,0 +1,57 @@
+/**
+ * Helpers shared by the test suites.
+ */
+
+import { jest } from '@jest/globals';
+import { ChangeWatcher } from '../src/changeWatcher.js';
+
+// Fake source that lets a test push batches the way a real source would
+export class FakeChangeSource {
+  constructor() {
+    this.start = jest.fn(async (onChanges, onError) => {
+      this.onChanges = onChanges;
+      this.onError = onError;
+    });
+    this.stop = jest.fn(async () => {});
+  }
+
+  push(changes) {
+    return this.onChanges(changes);
+  }
+
+  getStats() {
+    return { type: 'fake' };
+  }
+}
+
+// Keeps a test watcher's state in memory rather than in the default files
+const NO_STATE_FILES = {
+  cursorFile: null,
+  deliveryQueueDir: null,
+  deadLetterFile: null,
+  subscribersFile: null,
+  heldEventsFile: null,
+  historyFile: null
+};
+
+/**
+ * ChangeWatcher over a pool that only answers the startup connect and a
+ * FakeChangeSource, with no WEBHOOK_URLS, no reconciling and its state in
+ * memory. `overrides` replace constructor options; their `config` is merged
+ * over these defaults.
+ */
+export const createTestWatcher = ({ config = {}, ...overrides } = {}) => new ChangeWatcher({
+  pool: { connect: async () => ({ release() {} }), end: jest.fn() },
+  source: new FakeChangeSource(),
+  ...overrides,
+  config: { webhookUrls: [], reconcileInterval: 0, ...NO_STATE_FILES, ...config }
+});
+
+// Poll until the predicate holds, failing the test after `timeout` ms
+export const waitFor = async (predicate, timeout = 2000) => {
+  const started = Date.now();
+  while (!predicate()) {
+    if (Date.now() - started > timeout) throw new Error('Timed out waiting for condition');
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+};
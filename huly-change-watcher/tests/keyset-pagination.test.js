@@ -0,0 +1,137 @@
+import { jest } from '@jest/globals';
+import { describe, it, expect, beforeEach, afterEach } from '@jest/globals';
+import { MemoryJsonStore } from '../src/jsonStore.js';
+import { config } from '../src/config.js';
+import { PollingChangeSource } from '../src/sources/pollingSource.js';
+import { WatchedClassRegistry } from '../src/watchedClasses.js';
+
+const BASE = 1704067200000;
+
+// Fake pool that honours the ("modifiedOn", _id) > ($1, $2) LIMIT $3 contract
+const createKeysetPool = (tables) => ({
+  query: jest.fn(async (sql, params) => {
+    if (sql.includes('now()')) return { rows: [{ now: String(BASE) }] };
+    const [modifiedOn, id, limit] = params;
+    const table = sql.includes('FROM task') ? 'task' : 'space';
+    const rows = (tables[table] || [])
+      .filter(row => row.modifiedOn > modifiedOn || (row.modifiedOn === modifiedOn && row.id > id))
+      .sort((a, b) => a.modifiedOn - b.modifiedOn || a.id.localeCompare(b.id))
+      .slice(0, limit);
+    return { rows };
+  }),
+  end: jest.fn()
+});
+
+const makeIssues = (count) => Array.from({ length: count }, (_, i) => ({
+  id: `issue-${String(i).padStart(4, '0')}`,
+  class: 'tracker:class:Issue',
+  // Several rows share a millisecond to exercise the _id tie-breaker
+  modifiedOn: BASE + Math.floor(i / 3),
+  identifier: `PROJ-${i}`
+}));
+
+const createSource = (tables, pageSize = 100) => {
+  const store = new MemoryJsonStore({
+    tables: { tasks: { modifiedOn: BASE - 1, id: '' }, projects: { modifiedOn: BASE - 1, id: '' } }
+  });
+  const source = new PollingChangeSource({
+    pool: createKeysetPool(tables),
+    cursorStore: store,
+    registry: WatchedClassRegistry.fromConfig({ watchedClasses: ['tasks', 'projects'] }),
+    config: { ...config, pageSize, maxCatchupMs: Infinity, lookbackMs: 0 }
+  });
+  return { source, store };
+};
+
+describe('Keyset Pagination', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should emit every row of a burst larger than one page', async () => {
+    const issues = makeIssues(250);
+    const { source } = createSource({ task: issues });
+    const emittedIds = [];
+    source.onChanges = jest.fn(async (changes) => {
+      emittedIds.push(...changes.map(change => change.row.id));
+    });
+    await source.restoreCursors();
+
+    const emitted = await source.checkForChanges();
+
+    expect(emitted).toBe(250);
+    expect(source.onChanges).toHaveBeenCalledTimes(3);
+    expect(emittedIds).toEqual(issues.map(issue => issue.id));
+  });
+
+  it('should fetch pages in ascending keyset order with the page size as limit', async () => {
+    const { source } = createSource({ task: makeIssues(5) }, 2);
+    source.onChanges = jest.fn(async () => {});
+    await source.restoreCursors();
+
+    await source.checkForChanges();
+
+    const taskCalls = source.pool.query.mock.calls.filter(([sql]) => sql.includes('FROM task'));
+    expect(taskCalls[0][0]).toContain('ORDER BY "modifiedOn" ASC, _id ASC');
+    expect(taskCalls.map(([, params]) => params)).toEqual([
+      [BASE - 1, '', 2],
+      [BASE, 'issue-0001', 2],
+      [BASE + 1, 'issue-0003', 2]
+    ]);
+  });
+
+  it('should save the cursor after each emitted page', async () => {
+    const { source, store } = createSource({ task: makeIssues(4) }, 2);
+    const savedCursors = [];
+    source.onChanges = jest.fn(async () => {});
+    source.saveCursors = jest.fn(async () => {
+      savedCursors.push({ ...source.cursors.tasks });
+      await store.save({ tables: source.cursors });
+    });
+    await source.restoreCursors();
+
+    await source.checkForChanges();
+
+    expect(savedCursors).toEqual([
+      { modifiedOn: BASE, id: 'issue-0001' },
+      { modifiedOn: BASE + 1, id: 'issue-0003' }
+    ]);
+  });
+
+  it('should not advance past a page that failed to emit', async () => {
+    const { source, store } = createSource({ task: makeIssues(6) }, 2);
+    source.onChanges = jest.fn()
+      .mockResolvedValueOnce()
+      .mockRejectedValueOnce(new Error('delivery failed'));
+    await source.restoreCursors();
+
+    await expect(source.checkForChanges()).rejects.toThrow('delivery failed');
+
+    expect(source.cursors.tasks).toEqual({ modifiedOn: BASE, id: 'issue-0001' });
+    expect(store.value.tables.tasks).toEqual({ modifiedOn: BASE, id: 'issue-0001' });
+  });
+
+  it('should page projects independently of tasks', async () => {
+    const projects = Array.from({ length: 3 }, (_, i) => ({
+      id: `project-${i}`,
+      class: 'tracker:class:Project',
+      modifiedOn: BASE + i,
+      name: `Project ${i}`,
+      archived: 'false'
+    }));
+    const { source } = createSource({ task: makeIssues(1), space: projects }, 2);
+    const entries = [];
+    source.onChanges = jest.fn(async (changes) => entries.push(...changes.map(c => c.entry)));
+    await source.restoreCursors();
+
+    const emitted = await source.checkForChanges();
+
+    expect(emitted).toBe(4);
+    expect(entries).toEqual(['tasks', 'projects', 'projects', 'projects']);
+    expect(source.cursors.projects).toEqual({ modifiedOn: BASE + 2, id: 'project-2' });
+  });
+});
@@ -0,0 +1,309 @@
+import { jest } from '@jest/globals';
+import { describe, it, expect, beforeEach, afterEach } from '@jest/globals';
+import { LeaderElection, ACQUIRE_LEASE_QUERY, RELEASE_LEASE_QUERY } from '../src/leaderElection.js';
+import { DatabaseJsonStore, LOAD_STATE_QUERY, SAVE_FENCED_STATE_QUERY } from '../src/databaseStore.js';
+import { createServer } from '../src/server.js';
+import { createTestWatcher, FakeChangeSource, waitFor } from './helpers.js';
+
+const TTL = 15000;
+const leaseConfig = (instanceId) => ({
+  instanceId,
+  leaderLeaseName: 'huly-change-watcher',
+  leaderLeaseTtlMs: TTL,
+  leaderLeaseRenewMs: 60000
+});
+
+// In-memory stand-in for the lease and state tables, with its own database clock
+const createLeaseDatabase = () => {
+  const db = { now: 1000000, row: null, state: {}, failing: false };
+  db.pool = () => ({
+    connect: async () => ({ release() {} }),
+    end: jest.fn(),
+    query: jest.fn(async (sql, params) => {
+      if (db.failing) throw new Error('connection reset');
+      if (sql === ACQUIRE_LEASE_QUERY) {
+        const [, holder, ttl] = params;
+        const { row } = db;
+        if (row && row.holder !== holder && row.expiresAt >= db.now) return { rows: [] };
+        const token = !row ? 1 : row.holder === holder ? row.token : row.token + 1;
+        db.row = { holder, token, expiresAt: db.now + ttl };
+        return { rows: [{ holder, token: String(token) }] };
+      }
+      if (sql === RELEASE_LEASE_QUERY) {
+        const [, holder, token] = params;
+        if (db.row?.holder === holder && db.row.token === token) db.row.expiresAt = 0;
+      }
+      if (sql === LOAD_STATE_QUERY) {
+        const value = db.state[params[0]];
+        return { rows: value ? [{ value: JSON.parse(value) }] : [] };
+      }
+      if (sql === SAVE_FENCED_STATE_QUERY) {
+        const [name, value, , holder, token] = params;
+        const { row } = db;
+        if (!row || row.holder !== holder || row.token !== token || row.expiresAt < db.now) return { rows: [], rowCount: 0 };
+        db.state[name] = value;
+        return { rows: [], rowCount: 1 };
+      }
+      return { rows: [] };
+    })
+  });
+  return db;
+};
+
+describe('Leader Election', () => {
+  let db;
+  let elections;
+
+  const elect = (instanceId) => {
+    const election = new LeaderElection({
+      pool: db.pool(),
+      config: leaseConfig(instanceId),
+      onElected: jest.fn(async () => {}),
+      onDemoted: jest.fn(async () => {})
+    });
+    elections.push(election);
+    return election;
+  };
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    db = createLeaseDatabase();
+    elections = [];
+  });
+
+  afterEach(async () => {
+    for (const election of elections) await election.stop();
+    jest.restoreAllMocks();
+  });
+
+  it('should elect exactly one leader', async () => {
+    const a = elect('replica-a');
+    const b = elect('replica-b');
+
+    await a.start();
+    await b.start();
+
+    expect(a.getStats()).toMatchObject({ role: 'leader', fencingToken: 1 });
+    expect(b.getStats()).toMatchObject({ role: 'standby', fencingToken: null });
+    expect(a.onElected).toHaveBeenCalledWith(1);
+    expect(b.onElected).not.toHaveBeenCalled();
+  });
+
+  it('should let a standby take over an expired lease with a new fencing token', async () => {
+    const a = elect('replica-a');
+    const b = elect('replica-b');
+    await a.start();
+    await b.start();
+
+    db.now += TTL + 1;
+    await b.tick();
+    await a.tick();
+
+    expect(b.getStats()).toMatchObject({ role: 'leader', fencingToken: 2 });
+    expect(a.getStats().role).toBe('standby');
+    expect(a.onDemoted).toHaveBeenCalledWith('the lease is held by another instance');
+  });
+
+  it('should step down once its lease may have lapsed without a renewal', async () => {
+    const now = Date.now();
+    const clock = jest.spyOn(Date, 'now').mockReturnValue(now);
+    const a = elect('replica-a');
+    await a.start();
+
+    db.failing = true;
+    clock.mockReturnValue(now + TTL - 1);
+    await a.tick();
+    expect(a.isLeader()).toBe(true);
+
+    clock.mockReturnValue(now + TTL);
+    expect(a.isLeader()).toBe(false);
+    await a.tick();
+    expect(a.onDemoted).toHaveBeenCalledWith('the lease expired');
+  });
+
+  it('should release the lease on stop so a standby takes over at once', async () => {
+    const a = elect('replica-a');
+    const b = elect('replica-b');
+    await a.start();
+    await b.start();
+
+    await a.stop();
+    await b.tick();
+
+    expect(b.getStats()).toMatchObject({ role: 'leader', fencingToken: 2 });
+  });
+
+  describe('ChangeWatcher', () => {
+    const createWatcher = (instanceId, source = new FakeChangeSource()) => createTestWatcher({
+      pool: db.pool(),
+      source,
+      config: { leaderElection: true, ...leaseConfig(instanceId) }
+    });
+
+    it('should only run the source on the leader and hand over when it stops', async () => {
+      const a = createWatcher('replica-a');
+      const b = createWatcher('replica-b');
+      await a.start();
+      await b.start();
+
+      expect(a.getStats()).toMatchObject({ role: 'leader', instanceId: 'replica-a', fencingToken: 1 });
+      expect(b.getStats()).toMatchObject({ role: 'standby', instanceId: 'replica-b' });
+      expect(a.source.start).toHaveBeenCalled();
+      expect(b.source.start).not.toHaveBeenCalled();
+      expect(b.getReadiness().ready).toBe(true);
+
+      await a.stop();
+      await b.election.tick();
+      // Taking over is not awaited by the election
+      await b.transition;
+      const promoted = b.getStats();
+      await b.stop();
+
+      expect(b.source.start).toHaveBeenCalled();
+      expect(promoted).toMatchObject({ role: 'leader', fencingToken: 2, elections: 1 });
+    });
+
+    it('should give up the lease when it fails to start leading', async () => {
+      const source = new FakeChangeSource();
+      source.start.mockRejectedValueOnce(new Error('NOW query failed'));
+      const a = createWatcher('replica-a', source);
+      await a.start();
+      await waitFor(() => a.election.stats.demotions === 1);
+
+      expect(a.getStats()).toMatchObject({ role: 'standby', fencingToken: null });
+      expect(source.stop).toHaveBeenCalled();
+      expect(db.row.expiresAt).toBe(0);
+
+      const b = createWatcher('replica-b');
+      await b.start();
+      await b.transition;
+      expect(b.getStats()).toMatchObject({ role: 'leader', fencingToken: 2 });
+      expect(b.source.start).toHaveBeenCalled();
+      await a.stop();
+      await b.stop();
+    });
+
+    it('should stop the source only once a start in progress has returned when demoted', async () => {
+      const order = [];
+      let release;
+      const source = {
+        start: jest.fn(async () => {
+          order.push('start');
+          await new Promise(resolve => { release = resolve; });
+          order.push('started');
+        }),
+        stop: jest.fn(async () => order.push('stop')),
+        getStats: () => ({ type: 'fake' })
+      };
+      const a = createWatcher('replica-a', source);
+      await a.start();
+      await waitFor(() => order.length === 1);
+
+      const demoting = a.election.demote('test');
+      await new Promise(resolve => setImmediate(resolve));
+      release();
+      await demoting;
+      await a.stop();
+
+      expect(order.slice(0, 3)).toEqual(['start', 'started', 'stop']);
+    });
+
+    it('should answer event history queries only on the leader', async () => {
+      const a = createWatcher('replica-a');
+      const b = createWatcher('replica-b');
+      await a.start();
+      await b.start();
+      await a.transition;
+
+      const statusOf = async (watcher) => {
+        const server = createServer(watcher);
+        await new Promise(resolve => server.listen(0, resolve));
+        const response = await fetch(`http://localhost:${server.address().port}/history`);
+        await new Promise(resolve => server.close(resolve));
+        return response.status;
+      };
+      expect(await statusOf(a)).toBe(200);
+      expect(await statusOf(b)).toBe(503);
+      await a.stop();
+      await b.stop();
+    });
+
+    it('should hand subscriptions over through the state table and keep standbys from managing them', async () => {
+      const createShared = (instanceId) => createTestWatcher({
+        pool: db.pool(),
+        config: { leaderElection: true, stateStore: 'database', ...leaseConfig(instanceId) }
+      });
+      const a = createShared('replica-a');
+      const b = createShared('replica-b');
+      await a.start();
+      await b.start();
+      a.addWebhookSubscriber('http://subscriber-a/webhook');
+      await a.webhookSubscribers.document.saving;
+
+      const server = createServer(b);
+      await new Promise(resolve => server.listen(0, resolve));
+      const response = await fetch(`http://localhost:${server.address().port}/subscriptions`);
+      await new Promise(resolve => server.close(resolve));
+      expect(response.status).toBe(503);
+
+      await a.stop();
+      await b.election.tick();
+      await b.transition;
+      expect(b.listWebhookSubscribers()).toEqual(['http://subscriber-a/webhook']);
+      await b.stop();
+
+      // A deposed leader's saves do not apply
+      const stale = new DatabaseJsonStore({
+        pool: db.pool(),
+        name: 'subscribers',
+        fence: () => ({ lease: 'huly-change-watcher', holder: 'replica-a', token: 1 })
+      });
+      await expect(stale.save({ subscribers: [] })).rejects.toThrow('Leader lease lost');
+      expect(JSON.parse(db.state.subscribers).subscribers).toHaveLength(1);
+    });
+
+    it('should leave saving WEBHOOK_URLS subscribers to the leader', async () => {
+      const createShared = (instanceId) => createTestWatcher({
+        pool: db.pool(),
+        config: { webhookUrls: ['http://example.com/hook'], leaderElection: true, stateStore: 'database', ...leaseConfig(instanceId) }
+      });
+      const a = createShared('replica-a');
+      const b = createShared('replica-b');
+      await a.start();
+      await b.start();
+      await a.transition;
+
+      expect(a.role).toBe('leader');
+      expect(b.role).toBe('standby');
+      expect(b.source.start).not.toHaveBeenCalled();
+      expect(console.error).not.toHaveBeenCalledWith(expect.stringContaining('Failed to start'));
+      const [saved] = JSON.parse(db.state.subscribers).subscribers;
+      expect(saved).toMatchObject({ url: 'http://example.com/hook', id: a.webhookSubscribers.list()[0].id });
+
+      await a.stop();
+      await b.election.tick();
+      await b.transition;
+      expect(b.role).toBe('leader');
+      expect(b.webhookSubscribers.list()[0].id).toBe(saved.id);
+      await b.stop();
+    });
+
+    it('should fence webhook deliveries with the lease token', async () => {
+      const fetchMock = jest.spyOn(global, 'fetch').mockResolvedValue({ ok: true, status: 200 });
+      const a = createWatcher('replica-a');
+      const b = createWatcher('replica-b');
+      await a.start();
+      await b.start();
+
+      await a.sendWebhook('http://subscriber-a/webhook', { events: [] }, { id: 'd-1' });
+      await expect(b.sendWebhook('http://subscriber-a/webhook', { events: [] }, { id: 'd-2' })).rejects.toThrow('Not the leader');
+      await a.stop();
+      await b.stop();
+
+      expect(fetchMock).toHaveBeenCalledTimes(1);
+      expect(fetchMock.mock.calls[0][1].headers['X-Huly-Fencing-Token']).toBe('1');
+    });
+  });
+});
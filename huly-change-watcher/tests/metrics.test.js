@@ -0,0 +1,135 @@
+import { jest } from '@jest/globals';
+import { describe, it, expect, beforeEach, afterEach } from '@jest/globals';
+import { MetricsRegistry } from '../src/metrics.js';
+import { PollingChangeSource } from '../src/sources/pollingSource.js';
+import { WatchedClassRegistry } from '../src/watchedClasses.js';
+import { createServer } from '../src/server.js';
+import { createTestWatcher, waitFor } from './helpers.js';
+
+const URL_A = 'http://subscriber-a/webhook';
+
+// Sample value of `name{labels}` from a text exposition
+const sample = (text, series) => {
+  const line = text.split('\n').find(candidate => candidate.startsWith(`${series} `));
+  return line === undefined ? undefined : Number(line.slice(series.length + 1));
+};
+
+describe('Metrics', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('MetricsRegistry', () => {
+    it('should render counters and gauges with escaped labels', () => {
+      const registry = new MetricsRegistry({ prefix: 'test_' });
+      const counter = registry.counter({ name: 'requests_total', help: 'Requests', labelNames: ['path'] });
+      registry.gauge({ name: 'clients', help: 'Clients', collect: gauge => gauge.set({}, 3) });
+
+      counter.inc({ path: '/a' });
+      counter.inc({ path: '/a' }, 2);
+      counter.inc({ path: 'say "hi"' });
+
+      expect(registry.render()).toBe([
+        '# HELP test_requests_total Requests',
+        '# TYPE test_requests_total counter',
+        'test_requests_total{path="/a"} 3',
+        'test_requests_total{path="say \\"hi\\""} 1',
+        '# HELP test_clients Clients',
+        '# TYPE test_clients gauge',
+        'test_clients 3',
+        ''
+      ].join('\n'));
+    });
+
+    it('should render cumulative histogram buckets', () => {
+      const registry = new MetricsRegistry();
+      const histogram = registry.histogram({ name: 'duration_seconds', help: 'Duration', buckets: [0.1, 1] });
+
+      histogram.observe({}, 0.05);
+      histogram.observe({}, 0.5);
+      histogram.observe({}, 5);
+      const text = registry.render();
+
+      expect(sample(text, 'duration_seconds_bucket{le="0.1"}')).toBe(1);
+      expect(sample(text, 'duration_seconds_bucket{le="1"}')).toBe(2);
+      expect(sample(text, 'duration_seconds_bucket{le="+Inf"}')).toBe(3);
+      expect(sample(text, 'duration_seconds_sum')).toBeCloseTo(5.55);
+      expect(sample(text, 'duration_seconds_count')).toBe(3);
+    });
+  });
+
+  it('should time polls and count rows scanned per table', async () => {
+    const watcher = createTestWatcher();
+    const rows = [{ id: 'issue-1', _class: 'tracker:class:Issue', modifiedOn: '2000' }];
+    const source = new PollingChangeSource({
+      pool: { query: jest.fn(async () => ({ rows })) },
+      cursorStore: null,
+      registry: WatchedClassRegistry.fromConfig({ watchedClasses: ['tasks'] }),
+      metrics: watcher.metrics,
+      config: { pageSize: 100, lookbackMs: 0, pollInterval: 60000 }
+    });
+    source.cursors.tasks = { modifiedOn: 1000, id: '' };
+    source.seen.tasks = { has: () => true, add() {}, prune() {} };
+    source.isRunning = true;
+
+    await source.poll();
+    await source.stop();
+    const text = watcher.metrics.registry.render();
+
+    expect(sample(text, 'huly_change_watcher_poll_duration_seconds_count')).toBe(1);
+    expect(sample(text, 'huly_change_watcher_rows_scanned_total{table="task"}')).toBe(1);
+  });
+
+  describe('GET /metrics', () => {
+    let watcher;
+    let server;
+
+    beforeEach(async () => {
+      watcher = createTestWatcher({
+        config: { deliveryMaxAttempts: 3, deliveryBackoffMs: 10 }
+      });
+      watcher.enricher.enrich = async (batch) => batch;
+      await watcher.start();
+      server = createServer(watcher);
+      await new Promise(resolve => server.listen(0, resolve));
+    });
+
+    afterEach(async () => {
+      await watcher.stop();
+      await new Promise(resolve => server.close(resolve));
+    });
+
+    it('should expose events, deliveries, queue depth, clients and cursor lag', async () => {
+      const fetchMock = jest.spyOn(global, 'fetch')
+        .mockResolvedValueOnce({ ok: false, status: 503 })
+        .mockResolvedValue({ ok: true, status: 200 });
+      watcher.addWebhookSubscriber(URL_A);
+      const modifiedOn = Date.now() - 30000;
+
+      await watcher.handleChanges([
+        { entry: 'tasks', row: { id: 'issue-1', class: 'tracker:class:Issue', createdOn: modifiedOn, modifiedOn } }
+      ]);
+      await waitFor(() => watcher.delivery.pending(URL_A) === 0);
+
+      fetchMock.mockRestore();
+      const scrape = await fetch(`http://localhost:${server.address().port}/metrics`);
+      const text = await scrape.text();
+      const subscriber = `subscriber="${watcher.webhookSubscribers.findByUrl(URL_A).id}"`;
+
+      expect(scrape.headers.get('content-type')).toContain('text/plain; version=0.0.4');
+      expect(sample(text, 'huly_change_watcher_events_emitted_total{type="issue.created"}')).toBe(1);
+      expect(sample(text, `huly_change_watcher_webhook_deliveries_total{${subscriber},outcome="failure"}`)).toBe(1);
+      expect(sample(text, `huly_change_watcher_webhook_deliveries_total{${subscriber},outcome="success"}`)).toBe(1);
+      expect(sample(text, `huly_change_watcher_webhook_delivery_duration_seconds_count{${subscriber}}`)).toBe(2);
+      expect(sample(text, `huly_change_watcher_webhook_queue_depth{${subscriber}}`)).toBe(0);
+      expect(text).not.toContain(URL_A);
+      expect(sample(text, 'huly_change_watcher_sse_clients')).toBe(0);
+      expect(sample(text, 'huly_change_watcher_cursor_lag_seconds{class="tasks"}')).toBeGreaterThanOrEqual(30);
+    });
+  });
+});
@@ -0,0 +1,196 @@
+import { jest } from '@jest/globals';
+import { describe, it, expect, beforeEach, afterEach } from '@jest/globals';
+import http from 'http';
+import { SubscriberRegistry } from '../src/subscriberRegistry.js';
+import { MemoryJsonStore } from '../src/jsonStore.js';
+import { createServer } from '../src/server.js';
+import { createTestWatcher, waitFor } from './helpers.js';
+
+const URL_A = 'http://subscriber-a/webhook';
+
+const issueEvent = (id) => ({ type: 'issue.updated', timestamp: 1704067200000, data: { id, project: 'PROJ' } });
+
+describe('Subscriber Health', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('SubscriberRegistry', () => {
+    const config = { webhookUrls: [], webhookSecret: null, secretRotationGraceMs: 60000 };
+
+    it('should track consecutive failures, status codes and a moving average latency', () => {
+      const registry = new SubscriberRegistry({ store: new MemoryJsonStore(), config });
+      const subscriber = registry.create({ url: URL_A });
+      expect(registry.health(subscriber).status).toBe('unknown');
+
+      registry.recordDelivery(URL_A, { statusCode: 200, latencyMs: 100 });
+      registry.recordDelivery(URL_A, { error: new Error('HTTP 503'), statusCode: 503, latencyMs: 200 });
+      registry.recordDelivery(URL_A, { error: new Error('timeout'), latencyMs: 5000 });
+
+      expect(registry.health(subscriber)).toMatchObject({
+        status: 'failing',
+        consecutiveFailures: 2,
+        lastSuccessAt: expect.any(Number),
+        lastFailureAt: expect.any(Number),
+        lastStatusCode: null,
+        lastError: 'timeout',
+        averageLatencyMs: 1096
+      });
+
+      registry.recordDelivery(URL_A, { statusCode: 204, latencyMs: 50 });
+      expect(registry.health(subscriber)).toMatchObject({ status: 'healthy', consecutiveFailures: 0, lastStatusCode: 204 });
+      expect(registry.describe(subscriber).health.status).toBe('healthy');
+    });
+
+    it('should fill in health fields for subscriptions saved without them', async () => {
+      const store = new MemoryJsonStore();
+      await store.save({
+        subscribers: [{
+          id: 'old',
+          url: URL_A,
+          source: 'api',
+          enabled: true,
+          filter: null,
+          secret: 'secret',
+          stats: { delivered: 3, failed: 1, deadLettered: 0, lastDeliveryAt: 1, lastFailureAt: null, lastError: null }
+        }]
+      });
+      const registry = new SubscriberRegistry({ store, config });
+      await registry.load();
+
+      expect(registry.health(registry.get('old'))).toMatchObject({
+        status: 'healthy',
+        consecutiveFailures: 0,
+        averageLatencyMs: null,
+        suspendedAt: null
+      });
+    });
+  });
+
+  describe('ChangeWatcher', () => {
+    let watcher;
+
+    beforeEach(async () => {
+      watcher = createTestWatcher({
+        config: {
+          deliveryMaxAttempts: 1,
+          subscriberSuspendAfter: 3,
+          subscriberProbeIntervalMs: 0
+        }
+      });
+      await watcher.start();
+    });
+
+    afterEach(async () => {
+      await watcher.stop();
+    });
+
+    // Fail deliveries until the subscriber is suspended
+    const suspend = async () => {
+      for (const id of ['a', 'b', 'c']) {
+        await watcher.emitWebhooks([issueEvent(id)]);
+        await waitFor(() => watcher.delivery.pending(URL_A) === 0);
+      }
+    };
+
+    it('should suspend a subscriber after too many consecutive failures', async () => {
+      const fetchMock = jest.spyOn(global, 'fetch').mockResolvedValue({ ok: false, status: 503 });
+      const { id } = watcher.addWebhookSubscriber(URL_A);
+
+      await suspend();
+      await watcher.emitWebhooks([issueEvent('d')]);
+
+      expect(fetchMock).toHaveBeenCalledTimes(3);
+      // Held for the subscriber, not attempted
+      expect(watcher.delivery.pending(URL_A)).toBe(1);
+      expect(watcher.getSubscription(id).health).toMatchObject({
+        status: 'suspended',
+        consecutiveFailures: 3,
+        lastStatusCode: 503,
+        suspendedAt: expect.any(Number),
+        suspendedReason: '3 consecutive failed deliveries (last: HTTP 503)'
+      });
+      expect(watcher.metrics.registry.render()).toContain('huly_change_watcher_suspended_subscribers 1');
+    });
+
+    it('should probe suspended subscribers and resume them once they answer', async () => {
+      const fetchMock = jest.spyOn(global, 'fetch').mockResolvedValue({ ok: false, status: 503 });
+      const { id } = watcher.addWebhookSubscriber(URL_A);
+      await suspend();
+      await watcher.delivery.enqueue(URL_A, { events: [issueEvent('queued')] });
+
+      await watcher.probeSuspended();
+      expect(watcher.getSubscription(id).health).toMatchObject({ status: 'suspended', lastProbeAt: expect.any(Number) });
+      expect(watcher.delivery.pending(URL_A)).toBe(1);
+
+      fetchMock.mockResolvedValue({ ok: true, status: 200 });
+      await watcher.probeSuspended();
+      await waitFor(() => watcher.delivery.pending(URL_A) === 0);
+
+      const [, probe] = fetchMock.mock.calls[4];
+      expect(probe.headers['X-Huly-Probe']).toBe('true');
+      expect(JSON.parse(probe.body)).toMatchObject({ probe: true, events: [] });
+      expect(JSON.parse(fetchMock.mock.calls[5][1].body).events[0].data.id).toBe('queued');
+      expect(watcher.getSubscription(id).health).toMatchObject({ status: 'healthy', consecutiveFailures: 0, suspendedAt: null });
+    });
+
+    it('should deliver events emitted while suspended once the subscriber resumes', async () => {
+      const fetchMock = jest.spyOn(global, 'fetch').mockResolvedValue({ ok: false, status: 503 });
+      watcher.addWebhookSubscriber(URL_A);
+      await suspend();
+
+      await watcher.emitWebhooks([issueEvent('during-1')]);
+      await watcher.emitWebhooks([issueEvent('during-2')]);
+      expect(watcher.delivery.pending(URL_A)).toBe(2);
+      expect(fetchMock).toHaveBeenCalledTimes(3);
+
+      fetchMock.mockResolvedValue({ ok: true, status: 200 });
+      await watcher.probeSuspended();
+      await waitFor(() => watcher.delivery.pending(URL_A) === 0);
+
+      const delivered = fetchMock.mock.calls.slice(4).map(([, request]) => JSON.parse(request.body).events[0].data.id);
+      expect(delivered).toEqual(['during-1', 'during-2']);
+      expect(watcher.deadLetters.list({ subscriber: URL_A })).toHaveLength(3);
+    });
+
+    it('should expose subscriber health on GET /subscribers', async () => {
+      jest.spyOn(global, 'fetch').mockResolvedValue({ ok: true, status: 202 });
+      const { id } = watcher.addWebhookSubscriber(URL_A);
+      await watcher.emitWebhooks([issueEvent('a')]);
+      await waitFor(() => watcher.delivery.pending(URL_A) === 0);
+
+      const server = createServer(watcher);
+      await new Promise(resolve => server.listen(0, resolve));
+      try {
+        // fetch is mocked, so the API is called through http
+        const body = await new Promise((resolve, reject) => {
+          http.get(`http://localhost:${server.address().port}/subscribers`, (res) => {
+            let data = '';
+            res.on('data', chunk => data += chunk);
+            res.on('end', () => resolve(JSON.parse(data)));
+          }).on('error', reject);
+        });
+
+        expect(body.webhookSubscribers).toEqual([URL_A]);
+        expect(body.subscribers).toEqual([expect.objectContaining({
+          id,
+          url: URL_A,
+          enabled: true,
+          pendingDeliveries: 0,
+          status: 'healthy',
+          consecutiveFailures: 0,
+          lastStatusCode: 202,
+          averageLatencyMs: expect.any(Number)
+        })]);
+      } finally {
+        await new Promise(resolve => server.close(resolve));
+      }
+    });
+  });
+});
@@ -0,0 +1,177 @@
+import { jest } from '@jest/globals';
+import { describe, it, expect, beforeEach, afterEach } from '@jest/globals';
+import { SubscriberRegistry } from '../src/subscriberRegistry.js';
+import { MemoryJsonStore } from '../src/jsonStore.js';
+import { createServer } from '../src/server.js';
+import { createTestWatcher, waitFor } from './helpers.js';
+
+const URL_A = 'http://subscriber-a/webhook';
+const ENV_URL = 'http://huly-vibe-sync:3000/webhook';
+
+const issueEvent = (id) => ({ type: 'issue.updated', timestamp: 1704067200000, data: { id, project: 'PROJ' } });
+
+describe('Subscriptions', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('SubscriberRegistry', () => {
+    const config = { webhookUrls: [ENV_URL], webhookSecret: null, secretRotationGraceMs: 60000 };
+
+    it('should seed WEBHOOK_URLS subscribers and keep their ids across restarts', async () => {
+      const store = new MemoryJsonStore();
+      const first = new SubscriberRegistry({ store, config });
+      await first.load();
+      await first.saveSeeded();
+      const second = new SubscriberRegistry({ store, config });
+      await second.load();
+
+      expect(first.list()).toEqual([expect.objectContaining({ url: ENV_URL, source: 'env', enabled: true, secret: null })]);
+      expect(second.findByUrl(ENV_URL).id).toBe(first.findByUrl(ENV_URL).id);
+    });
+
+    it('should skip invalid WEBHOOK_URLS entries', () => {
+      const registry = new SubscriberRegistry({ store: new MemoryJsonStore(), config: { ...config, webhookUrls: ['not a url', ENV_URL] } });
+
+      expect(registry.list().map(subscriber => subscriber.url)).toEqual([ENV_URL]);
+      expect(console.error).toHaveBeenCalledWith('Skipping WEBHOOK_URLS entry: Invalid subscriber URL: not a url');
+    });
+
+    it('should drop env subscribers that left WEBHOOK_URLS but keep API ones', async () => {
+      const store = new MemoryJsonStore();
+      const before = new SubscriberRegistry({ store, config });
+      await before.load();
+      before.create({ url: URL_A, description: 'alerts' });
+      await before.persist();
+
+      const after = new SubscriberRegistry({ store, config: { ...config, webhookUrls: [] } });
+      await after.load();
+
+      expect(after.list().map(subscriber => subscriber.url)).toEqual([URL_A]);
+      expect(after.findByUrl(URL_A).description).toBe('alerts');
+    });
+
+    it('should validate URLs and updates, and never describe secrets', () => {
+      const registry = new SubscriberRegistry({ store: new MemoryJsonStore(), config });
+      const subscriber = registry.create({ url: URL_A });
+
+      expect(() => registry.create({ url: 'not a url' })).toThrow('Invalid subscriber URL');
+      expect(() => registry.create({ url: 'ftp://subscriber/webhook' })).toThrow('must be http(s)');
+      expect(() => registry.update(subscriber.id, { url: 'http://other/webhook' })).toThrow('Cannot update subscription fields: url');
+      expect(() => registry.update(subscriber.id, { enabled: 'no' })).toThrow('"enabled" must be a boolean');
+      expect(registry.update('missing', { enabled: false })).toBeNull();
+      expect(registry.describe(subscriber)).not.toHaveProperty('secret');
+      expect(registry.describe(subscriber).signed).toBe(true);
+    });
+  });
+
+  describe('ChangeWatcher', () => {
+    let subscriberStore;
+    let watcher;
+
+    const createWatcher = () => createTestWatcher({
+      subscriberStore,
+      config: { deliveryMaxAttempts: 1 }
+    });
+
+    beforeEach(async () => {
+      subscriberStore = new MemoryJsonStore();
+      watcher = createWatcher();
+      await watcher.start();
+    });
+
+    afterEach(async () => {
+      await watcher.stop();
+    });
+
+    it('should restore subscriptions made through the API after a restart', async () => {
+      const { id, secret } = watcher.addWebhookSubscriber(URL_A, { description: 'alerts', filter: { projects: ['PROJ'] } });
+      await watcher.stop();
+
+      watcher = createWatcher();
+      await watcher.start();
+
+      expect(watcher.getSubscription(id)).toMatchObject({ url: URL_A, description: 'alerts', filter: { projects: ['PROJ'] } });
+      expect(watcher.webhookSubscribers.activeSecrets(watcher.webhookSubscribers.get(id))).toEqual([secret]);
+    });
+
+    it('should hold deliveries while a subscription is disabled', async () => {
+      const fetchMock = jest.spyOn(global, 'fetch').mockResolvedValue({ ok: true, status: 200 });
+      const { id } = watcher.addWebhookSubscriber(URL_A);
+      await watcher.delivery.enqueue(URL_A, { events: [issueEvent('pending')] });
+      watcher.updateSubscription(id, { enabled: false });
+      await watcher.emitWebhooks([issueEvent('skipped')]);
+
+      await new Promise(resolve => setTimeout(resolve, 20));
+      expect(watcher.getSubscription(id)).toMatchObject({ enabled: false, pendingDeliveries: 1 });
+
+      watcher.updateSubscription(id, { enabled: true });
+      await waitFor(() => watcher.delivery.pending(URL_A) === 0);
+
+      const delivered = fetchMock.mock.calls.flatMap(([, request]) => JSON.parse(request.body).events.map(event => event.data.id));
+      expect(delivered).toEqual(['pending']);
+    });
+
+    it('should track delivery stats per subscription', async () => {
+      const { id } = watcher.addWebhookSubscriber(URL_A);
+      const fetchMock = jest.spyOn(global, 'fetch')
+        .mockResolvedValueOnce({ ok: true, status: 200 })
+        .mockResolvedValueOnce({ ok: false, status: 503 });
+
+      await watcher.emitWebhooks([issueEvent('a')]);
+      await waitFor(() => fetchMock.mock.calls.length === 1 && watcher.delivery.pending(URL_A) === 0);
+      await watcher.emitWebhooks([issueEvent('b')]);
+      await waitFor(() => watcher.deadLetters.size === 1);
+
+      expect(watcher.getSubscription(id).stats).toMatchObject({
+        delivered: 1,
+        failed: 1,
+        deadLettered: 1,
+        lastDeliveryAt: expect.any(Number),
+        lastError: 'HTTP 503'
+      });
+      await watcher.stop();
+      expect(subscriberStore.value.subscribers[0].stats.deadLettered).toBe(1);
+    });
+
+    it('should get, patch and delete subscriptions by id over HTTP', async () => {
+      const server = createServer(watcher);
+      await new Promise(resolve => server.listen(0, resolve));
+      const baseUrl = `http://localhost:${server.address().port}`;
+      const request = (method, path, body) => fetch(`${baseUrl}${path}`, {
+        method,
+        headers: { 'Content-Type': 'application/json' },
+        body: body && JSON.stringify(body)
+      });
+
+      try {
+        const { id } = await (await request('POST', '/subscribe', { url: URL_A, description: 'vibe sync' })).json();
+        const listed = await (await request('GET', '/subscriptions')).json();
+        const fetched = await (await request('GET', `/subscriptions/${id}`)).json();
+        const paused = await request('PATCH', `/subscriptions/${id}`, { enabled: false, filter: { types: ['issue.*'] } });
+        const invalid = await request('PATCH', `/subscriptions/${id}`, { url: 'http://other/webhook' });
+        const missing = await request('GET', '/subscriptions/missing');
+        const deleted = await request('DELETE', `/subscriptions/${id}`);
+        const deletedAgain = await request('DELETE', `/subscriptions/${id}`);
+
+        expect(listed.count).toBe(1);
+        expect(fetched).toMatchObject({ id, url: URL_A, description: 'vibe sync', enabled: true, source: 'api', signed: true });
+        expect(fetched).not.toHaveProperty('secret');
+        expect(paused.status).toBe(200);
+        expect(await paused.json()).toMatchObject({ enabled: false, filter: { types: ['issue.*'] } });
+        expect(invalid.status).toBe(400);
+        expect(missing.status).toBe(404);
+        expect(deleted.status).toBe(200);
+        expect(deletedAgain.status).toBe(404);
+        expect(subscriberStore.value.subscribers).toEqual([]);
+      } finally {
+        await new Promise(resolve => server.close(resolve));
+      }
+    });
+  });
+});
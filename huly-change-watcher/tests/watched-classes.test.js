@@ -0,0 +1,175 @@
+import { jest } from '@jest/globals';
+import { describe, it, expect, beforeEach, afterEach } from '@jest/globals';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import { WatchedClass, WatchedClassRegistry } from '../src/watchedClasses.js';
+import { createTestWatcher, FakeChangeSource } from './helpers.js';
+
+const BASE = 1704067200000;
+
+describe('Watched Classes', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('WatchedClass', () => {
+    const comments = new WatchedClassRegistry().get('comments');
+
+    it('should project its fields and filter on its classes', () => {
+      const sql = comments.pageQuery();
+
+      expect(sql).toContain('FROM chunter');
+      expect(sql).toContain("_class IN ('chunter:class:ChatMessage', 'chunter:class:ThreadMessage')");
+      expect(sql).toContain(`data->>'message' as "message"`);
+      expect(sql).toContain(`"attachedTo" as "attachedTo"`);
+      expect(sql).toContain('ORDER BY "modifiedOn" ASC, _id ASC');
+    });
+
+    it('should support nested JSON paths and reject unsafe identifiers', () => {
+      const entry = new WatchedClass({
+        name: 'documents',
+        table: 'document',
+        eventType: 'document',
+        fields: { author: 'data.meta.author' }
+      });
+
+      expect(entry.pageQuery()).toContain(`data#>>'{meta,author}' as "author"`);
+      expect(entry.classFilter()).toBe('TRUE');
+      expect(() => new WatchedClass({ name: 'x', table: 'task; DROP TABLE task', eventType: 'x' }))
+        .toThrow('Invalid watched class definition');
+      expect(() => new WatchedClass({ name: 'x', table: 'task', eventType: 'x', fields: { a: "data.a'--" } }))
+        .toThrow('Invalid watched field "a"');
+    });
+
+    it('should coerce typed fields the same way for query rows and documents', () => {
+      const milestones = new WatchedClassRegistry().get('milestones');
+      const projects = new WatchedClassRegistry().get('projects');
+
+      expect(milestones.normalizeRow({ id: 'm-1', label: 'v1', status: '1', targetDate: null }))
+        .toMatchObject({ label: 'v1', status: 1, targetDate: null });
+      expect(milestones.rowFromDocument({
+        _id: 'm-1',
+        _class: 'tracker:class:Milestone',
+        data: JSON.stringify({ label: 'v1', status: 1, targetDate: BASE })
+      })).toMatchObject({ id: 'm-1', class: 'tracker:class:Milestone', label: 'v1', status: 1, targetDate: BASE });
+      expect(projects.normalizeRow({ archived: 'true' }).archived).toBe(true);
+      expect(projects.normalizeRow({ archived: null }).archived).toBe(false);
+    });
+  });
+
+  describe('WatchedClassRegistry', () => {
+    let tmpDir;
+
+    beforeEach(async () => {
+      tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'watched-classes-'));
+    });
+
+    afterEach(async () => {
+      await fs.rm(tmpDir, { recursive: true, force: true });
+    });
+
+    it('should watch tasks, projects, comments, milestones, components and attachments by default', () => {
+      const registry = WatchedClassRegistry.fromConfig();
+
+      expect(registry.names()).toEqual(['tasks', 'projects', 'comments', 'milestones', 'components', 'attachments']);
+      expect(registry.tables()).toEqual(['task', 'space', 'chunter', 'tracker', 'attachment']);
+    });
+
+    it('should match documents to entries by table and class', () => {
+      const registry = new WatchedClassRegistry();
+
+      expect(registry.match('tracker', 'tracker:class:Component').name).toBe('components');
+      expect(registry.match('tracker', 'tracker:class:Milestone').name).toBe('milestones');
+      expect(registry.match('task', 'task:class:Task').name).toBe('tasks');
+      expect(registry.match('space', 'chunter:class:Channel')).toBeNull();
+    });
+
+    it('should select, override and extend entries from config', async () => {
+      const file = path.join(tmpDir, 'watched-classes.json');
+      await fs.writeFile(file, JSON.stringify([
+        { name: 'comments', table: 'chunter', classes: ['chunter:class:ChatMessage'], eventType: 'message' },
+        { name: 'documents', table: 'document', classes: ['document:class:Document'], eventType: 'document' }
+      ]));
+
+      const registry = WatchedClassRegistry.fromConfig({
+        watchedClasses: ['comments', 'documents'],
+        watchedClassesFile: file
+      });
+
+      expect(registry.names()).toEqual(['comments', 'documents']);
+      expect(registry.get('comments').eventPrefix('chunter:class:ChatMessage')).toBe('message');
+      expect(() => WatchedClassRegistry.fromConfig({ watchedClasses: ['tasks', 'wikis'] }))
+        .toThrow('Unknown watched classes: wikis');
+      expect(() => new WatchedClassRegistry([{ name: 'a', table: 'task', eventType: 'a' }, { name: 'a', table: 'task', eventType: 'a' }]))
+        .toThrow('Duplicate watched class "a"');
+    });
+  });
+
+  describe('ChangeWatcher events', () => {
+    let watcher;
+    let source;
+    let events;
+
+    beforeEach(async () => {
+      source = new FakeChangeSource();
+      watcher = createTestWatcher({ source });
+      watcher.enricher.enrich = jest.fn(async (batch) => batch);
+      events = [];
+      watcher.emitWebhooks = jest.fn(async (batch) => events.push(...batch));
+      await watcher.start();
+    });
+
+    afterEach(async () => {
+      await watcher.stop();
+    });
+
+    const comment = (fields = {}) => ({
+      id: 'msg-1',
+      class: 'chunter:class:ChatMessage',
+      space: 'project-1',
+      message: '<p>Looks good</p>',
+      attachedTo: 'issue-1',
+      attachedToClass: 'tracker:class:Issue',
+      collection: 'comments',
+      createdOn: BASE,
+      modifiedOn: BASE,
+      modifiedBy: 'user-1',
+      ...fields
+    });
+
+    it('should emit comment events with the entry projection', async () => {
+      await source.onChanges([{ entry: 'comments', row: comment() }]);
+      await source.onChanges([{ entry: 'comments', row: comment({ message: '<p>Edited</p>', modifiedOn: BASE + 1 }) }]);
+      await source.onChanges([{ table: 'chunter', row: { id: 'msg-1' }, deleted: true }]);
+
+      expect(events.map(event => event.type)).toEqual(['comment.created', 'comment.updated', 'comment.deleted']);
+      expect(events[0].data).toEqual({
+        id: 'msg-1',
+        class: 'chunter:class:ChatMessage',
+        space: 'project-1',
+        message: '<p>Looks good</p>',
+        attachedTo: 'issue-1',
+        attachedToClass: 'tracker:class:Issue',
+        collection: 'comments',
+        modifiedOn: BASE,
+        modifiedBy: 'user-1'
+      });
+      expect(events[2].data).toMatchObject({ id: 'msg-1', attachedTo: 'issue-1' });
+    });
+
+    it('should only enrich events of entries that ask for it', async () => {
+      await source.onChanges([
+        { entry: 'milestones', row: { id: 'm-1', class: 'tracker:class:Milestone', label: 'v1', status: 0, createdOn: BASE, modifiedOn: BASE } },
+        { entry: 'tasks', row: { id: 'issue-1', class: 'tracker:class:Issue', status: 'tracker:status:Todo', createdOn: BASE, modifiedOn: BASE } }
+      ]);
+
+      expect(events.map(event => event.type)).toEqual(['milestone.created', 'issue.created']);
+      expect(watcher.enricher.enrich).toHaveBeenCalledWith([events[1]]);
+    });
+  });
+});
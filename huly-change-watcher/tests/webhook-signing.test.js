@@ -0,0 +1,148 @@
+import { jest } from '@jest/globals';
+import { describe, it, expect, beforeEach, afterEach } from '@jest/globals';
+import { generateSecret, sign, signatureHeaders, verifySignature } from '../src/signing.js';
+import { createServer } from '../src/server.js';
+import { createTestWatcher } from './helpers.js';
+
+const NOW = 1704067200000;
+const URL_A = 'http://subscriber-a/webhook';
+
+describe('Webhook Signing', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('signing helpers', () => {
+    const body = JSON.stringify({ events: [{ type: 'issue.updated' }] });
+
+    it('should sign the timestamp and body with HMAC-SHA256', () => {
+      const secret = generateSecret();
+      const header = signatureHeaders({ secrets: [secret], deliveryId: 'd-1', timestamp: NOW, body });
+
+      expect(secret).toMatch(/^whsec_[0-9a-f]{64}$/);
+      expect(header).toEqual({
+        'X-Huly-Delivery-Id': 'd-1',
+        'X-Huly-Timestamp': String(NOW),
+        'X-Huly-Signature': `sha256=${sign(secret, NOW, body)}`
+      });
+      expect(verifySignature({ secret, header: header['X-Huly-Signature'], timestamp: NOW, body, now: NOW })).toBe(true);
+    });
+
+    it('should reject a tampered body, a wrong secret or a stale timestamp', () => {
+      const secret = generateSecret();
+      const header = `sha256=${sign(secret, NOW, body)}`;
+
+      expect(verifySignature({ secret, header, timestamp: NOW, body: `${body} `, now: NOW })).toBe(false);
+      expect(verifySignature({ secret: generateSecret(), header, timestamp: NOW, body, now: NOW })).toBe(false);
+      expect(verifySignature({ secret, header, timestamp: NOW, body, now: NOW + 10 * 60 * 1000 })).toBe(false);
+    });
+
+    it('should list one signature per active secret and omit the header without secrets', () => {
+      const [current, previous] = [generateSecret(), generateSecret()];
+      const rotating = signatureHeaders({ secrets: [current, previous], deliveryId: 'd-1', timestamp: NOW, body });
+      const unsigned = signatureHeaders({ secrets: [], deliveryId: 'd-1', timestamp: NOW, body });
+
+      expect(rotating['X-Huly-Signature'].split(',')).toHaveLength(2);
+      for (const secret of [current, previous]) {
+        expect(verifySignature({ secret, header: rotating['X-Huly-Signature'], timestamp: NOW, body, now: NOW })).toBe(true);
+      }
+      expect(unsigned).toEqual({ 'X-Huly-Delivery-Id': 'd-1', 'X-Huly-Timestamp': String(NOW) });
+    });
+  });
+
+  describe('ChangeWatcher subscribers', () => {
+    let watcher;
+
+    beforeEach(() => {
+      watcher = createTestWatcher({
+        config: { secretRotationGraceMs: 60000 }
+      });
+    });
+
+    const send = async (url) => {
+      const fetchMock = jest.spyOn(global, 'fetch').mockResolvedValue({ ok: true, status: 200 });
+      await watcher.sendWebhook(url, { events: [] }, { id: 'delivery-1' });
+      const [, request] = fetchMock.mock.calls[0];
+      fetchMock.mockRestore();
+      return request;
+    };
+
+    it('should generate a secret on subscribe unless one is given', () => {
+      const generated = watcher.addWebhookSubscriber(URL_A);
+      const repeated = watcher.addWebhookSubscriber(URL_A);
+      const given = watcher.addWebhookSubscriber('http://subscriber-b/webhook', { secret: 'shared-secret' });
+
+      expect(generated.secret).toMatch(/^whsec_/);
+      expect(repeated.secret).toBeUndefined();
+      expect(given.secret).toBe('shared-secret');
+      expect(watcher.webhookSubscribers.findByUrl(URL_A).secret).toBe(generated.secret);
+    });
+
+    it('should sign each delivery with the subscriber secret and delivery id', async () => {
+      const { secret } = watcher.addWebhookSubscriber(URL_A);
+
+      const request = await send(URL_A);
+
+      expect(request.headers['X-Huly-Delivery-Id']).toBe('delivery-1');
+      expect(verifySignature({
+        secret,
+        header: request.headers['X-Huly-Signature'],
+        timestamp: request.headers['X-Huly-Timestamp'],
+        body: request.body
+      })).toBe(true);
+    });
+
+    it('should sign with both secrets during the rotation grace period only', async () => {
+      const { secret: oldSecret } = watcher.addWebhookSubscriber(URL_A);
+      jest.spyOn(Date, 'now').mockReturnValue(NOW);
+      const rotated = watcher.rotateWebhookSecret(URL_A);
+
+      const during = await send(URL_A);
+      Date.now.mockReturnValue(NOW + 60000);
+      const after = await send(URL_A);
+
+      expect(rotated).toEqual({ success: true, secret: expect.stringMatching(/^whsec_/), previousSecretExpiresAt: NOW + 60000 });
+      expect(during.headers['X-Huly-Signature'].split(',')).toHaveLength(2);
+      const check = (request, secret) => verifySignature({
+        secret,
+        header: request.headers['X-Huly-Signature'],
+        timestamp: request.headers['X-Huly-Timestamp'],
+        body: request.body,
+        now: Number(request.headers['X-Huly-Timestamp'])
+      });
+      expect(check(during, oldSecret)).toBe(true);
+      expect(check(during, rotated.secret)).toBe(true);
+      expect(check(after, oldSecret)).toBe(false);
+      expect(check(after, rotated.secret)).toBe(true);
+    });
+
+    it('should expose subscribe and rotation over HTTP', async () => {
+      const server = createServer(watcher);
+      await new Promise(resolve => server.listen(0, resolve));
+      const baseUrl = `http://localhost:${server.address().port}`;
+      const post = (path, body) => fetch(`${baseUrl}${path}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+      });
+
+      try {
+        const subscribed = await (await post('/subscribe', { url: URL_A })).json();
+        const rotated = await post('/subscribers/rotate-secret', { url: URL_A, secret: 'next-secret' });
+        const unknown = await post('/subscribers/rotate-secret', { url: 'http://unknown/webhook' });
+
+        expect(subscribed.secret).toMatch(/^whsec_/);
+        expect(rotated.status).toBe(200);
+        expect((await rotated.json()).secret).toBe('next-secret');
+        expect(unknown.status).toBe(404);
+        expect(watcher.webhookSubscribers.activeSecrets(watcher.webhookSubscribers.findByUrl(URL_A))).toEqual(['next-secret', subscribed.secret]);
+      } finally {
+        await new Promise(resolve => server.close(resolve));
+      }
+    });
+  });
+});
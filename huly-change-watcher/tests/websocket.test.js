@@ -0,0 +1,138 @@
+import { jest } from '@jest/globals';
+import { describe, it, expect, beforeEach, afterEach } from '@jest/globals';
+import WebSocket from 'ws';
+import { createServer } from '../src/server.js';
+import { createTestWatcher, waitFor } from './helpers.js';
+
+const issueEvent = (id, data = {}) => ({ type: 'issue.updated', timestamp: 1704067200000, data: { id, project: 'PROJ', ...data } });
+
+describe('WebSocket Endpoint', () => {
+  let watcher;
+  let server;
+  let clients;
+
+  beforeEach(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    watcher = createTestWatcher({
+      config: { wsMaxUnacked: 2, wsMaxBufferBytes: 1024 }
+    });
+    server = createServer(watcher);
+    await new Promise(resolve => server.listen(0, resolve));
+    clients = [];
+  });
+
+  afterEach(async () => {
+    for (const client of clients) client.socket.terminate();
+    await watcher.stop();
+    await new Promise(resolve => server.close(resolve));
+    jest.restoreAllMocks();
+  });
+
+  // Connect and collect every message; resolves once the greeting arrived
+  const connect = async () => {
+    const socket = new WebSocket(`ws://localhost:${server.address().port}/ws`);
+    const client = { socket, messages: [], closed: null };
+    socket.on('message', data => client.messages.push(JSON.parse(data.toString())));
+    socket.on('close', code => { client.closed = code; });
+    clients.push(client);
+    await waitFor(() => client.messages.length > 0);
+    client.send = (message) => socket.send(JSON.stringify(message));
+    client.of = (type) => client.messages.filter(message => message.type === type);
+    return client;
+  };
+
+  it('should deliver events as webhook envelopes to matching subscriptions', async () => {
+    const client = await connect();
+    client.send({ type: 'subscribe', subscription: 'proj', filter: { projects: ['PROJ'] } });
+    client.send({ type: 'subscribe', subscription: 'all' });
+    await waitFor(() => client.of('subscribed').length === 2);
+
+    await watcher.emitWebhooks([issueEvent('a'), issueEvent('b', { project: 'OTHER' })]);
+    await waitFor(() => client.of('event').length === 3);
+
+    const received = client.of('event').map(message => [message.subscription, message.payload.events[0].data.id]);
+    expect(client.messages[0]).toEqual({ type: 'connected', lastEventId: expect.any(Number) });
+    expect(received).toEqual([['proj', 'a'], ['all', 'a'], ['all', 'b']]);
+    expect(client.of('event')[0].payload).toEqual({
+      source: 'huly-change-watcher',
+      schemaVersion: '1.0',
+      timestamp: expect.any(Number),
+      events: [issueEvent('a')]
+    });
+    expect(client.of('event')[2].eventId).toBe(client.of('event')[1].eventId + 1);
+    expect(watcher.getStats().wsClientCount).toBe(1);
+  });
+
+  it('should stop delivering after unsubscribe', async () => {
+    const client = await connect();
+    client.send({ type: 'subscribe' });
+    client.send({ type: 'unsubscribe' });
+    await waitFor(() => client.of('unsubscribed').length === 1);
+
+    await watcher.emitWebhooks([issueEvent('a')]);
+    await new Promise(resolve => setTimeout(resolve, 20));
+
+    expect(client.of('unsubscribed')).toEqual([{ type: 'unsubscribed', subscription: 'default' }]);
+    expect(client.of('event')).toEqual([]);
+  });
+
+  it('should resume from an event id', async () => {
+    await watcher.emitWebhooks([issueEvent('a'), issueEvent('b'), issueEvent('c')]);
+    const [first] = watcher.subscribers.buffer;
+
+    const client = await connect();
+    client.send({ type: 'subscribe', resumeFrom: first.id });
+    await waitFor(() => client.of('event').length === 2);
+
+    expect(client.of('event').map(message => message.payload.events[0].data.id)).toEqual(['b', 'c']);
+  });
+
+  it('should disconnect a subscription that stops acknowledging events', async () => {
+    const client = await connect();
+    client.send({ type: 'subscribe', ack: true });
+    await waitFor(() => client.of('subscribed').length === 1);
+
+    await watcher.emitWebhooks([issueEvent('a'), issueEvent('b')]);
+    await waitFor(() => client.of('event').length === 2);
+    client.send({ type: 'ack', eventId: client.of('event')[0].eventId });
+    client.send({ type: 'ack', eventId: client.of('event')[1].eventId });
+    await new Promise(resolve => setTimeout(resolve, 20));
+    await watcher.emitWebhooks([issueEvent('c'), issueEvent('d'), issueEvent('e')]);
+
+    await waitFor(() => client.closed !== null);
+    expect(client.closed).toBe(4008);
+    expect(client.of('event').map(message => message.payload.events[0].data.id)).toEqual(['a', 'b', 'c', 'd']);
+    expect(watcher.getStats().wsSlowConsumersDisconnected).toBe(1);
+  });
+
+  it('should disconnect a client that stops reading once too many bytes are unsent', async () => {
+    const client = await connect();
+    client.send({ type: 'subscribe' });
+    await waitFor(() => client.of('subscribed').length === 1);
+    const [connection] = watcher.webSockets.connections;
+    Object.defineProperty(connection.socket, 'bufferedAmount', { get: () => 4096 });
+
+    await watcher.emitWebhooks([issueEvent('a')]);
+
+    await waitFor(() => client.closed !== null);
+    expect(client.of('event')).toEqual([]);
+    expect(watcher.webSockets.size).toBe(0);
+    expect(watcher.getStats().wsSlowConsumersDisconnected).toBe(1);
+  });
+
+  it('should report invalid messages without closing the connection', async () => {
+    const client = await connect();
+    client.socket.send('not json');
+    client.send({ type: 'subscribe', filter: { where: ['priority ~ Urgent'] } });
+    client.send({ type: 'shout' });
+    await waitFor(() => client.of('error').length === 3);
+
+    expect(client.of('error').map(message => message.error)).toEqual([
+      'Invalid JSON',
+      expect.stringContaining('Invalid filter predicate'),
+      'Unknown message type: shout'
+    ]);
+    expect(client.closed).toBeNull();
+  });
+});